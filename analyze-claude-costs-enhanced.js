@@ -2,277 +2,359 @@
 
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
 const os = require('os');
 const { exec } = require('child_process');
+const { parseArgs, formatHelp, UsageError } = require('./lib/cli');
+const { startWatch } = require('./lib/watch');
+const { startServer } = require('./lib/server');
+const { getIconCSS, getChartScript } = require('./lib/assets');
+const {
+  buildConversationDetail,
+  findConversation,
+  formatConversationDetail
+} = require('./lib/detail');
+const { ConfigError, loadConfig } = require('./lib/config');
+const { formatExport } = require('./lib/export');
+const { loadProjectAliases, resolveProject } = require('./lib/projects');
+const { buildThreads } = require('./lib/threads');
+const { removeDuplicateResponses } = require('./lib/dedupe');
+const { readBillingCSV, reconcileBilling, formatReconciliation } = require('./lib/billing');
+const {
+  buildSnapshot,
+  readSnapshots,
+  aggregateSnapshots,
+  formatTeamReport
+} = require('./lib/snapshot');
+const {
+  comparePeriods,
+  getTrends,
+  formatBreakdowns,
+  formatComparison
+} = require('./lib/trends');
+const {
+  MAINLINE_BRANCHES,
+  findRepository,
+  isMainlineBranch,
+  attachCommits
+} = require('./lib/git');
+const {
+  getAvailableLocales,
+  resolveLocale,
+  detectLocale,
+  setLocale,
+  getLocale,
+  getMessages,
+  t,
+  formatCurrency,
+  formatNumber,
+  formatPercent,
+  formatDate,
+  formatWeekDay,
+  textWidth,
+  formatCurrencyChange,
+  formatPercentChange
+} = require('./lib/i18n');
+const { loadParseCache, getResumePoint, updateEntry, saveParseCache } = require('./lib/cache');
+const { runPool, createWorkerPool } = require('./lib/pool');
+const {
+  loadBudgets,
+  matchesProject,
+  checkBudget,
+  checkForecast,
+  formatBudgetAlert,
+  getBudgetExitCode
+} = require('./lib/budget');
+const { getForecast } = require('./lib/forecast');
+const {
+  DEFAULT_THRESHOLD,
+  loadAnomalyThreshold,
+  detectAnomalies,
+  formatAnomaly
+} = require('./lib/anomalies');
+const {
+  getPromptCacheStats,
+  summarizePromptCache,
+  aggregatePromptCacheByProject,
+  aggregatePromptCacheDaily,
+  findWorstCacheConversations
+} = require('./lib/prompt-cache');
+const {
+  setTimeZone,
+  getTimeZone,
+  setWeekStart,
+  getDateKey,
+  getRecentDays
+} = require('./lib/timezone');
+const {
+  getDefaultPricingPath,
+  loadPricing,
+  getPricingFingerprint,
+  resolvePricing,
+  calculateCostBreakdown,
+  calculateCost
+} = require('./lib/pricing');
+const {
+  getModelFamily,
+  createModelStats,
+  createToolStats,
+  limitToPeriod,
+  parseJSONLFileIncremental,
+  parseJSONLFile
+} = require('./lib/parser');
 
-// Claude API Pricing (per million tokens)
-const CLAUDE_PRICING = {
-  // Claude Opus 4
-  'claude-opus-4-20250514': {
-    input: 15.0,
-    output: 75.0,
-    cache_write: 18.75,
-    cache_read: 1.5
-  },
-  // Claude Sonnet 4
-  'claude-sonnet-4-20250514': {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  },
-  // Claude Sonnet 3.7
-  'claude-3-7-sonnet-20250219': {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  },
-  'claude-3-7-sonnet-latest': {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  },
-  // Claude Sonnet 3.5
-  'claude-3-5-sonnet-20241022': {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  },
-  'claude-3-5-sonnet-20240620': {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  },
-  'claude-3-5-sonnet-latest': {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  },
-  // Claude Haiku 3.5
-  'claude-3-5-haiku-20241022': {
-    input: 0.8,
-    output: 4.0,
-    cache_write: 1.0,
-    cache_read: 0.08
-  },
-  'claude-3-5-haiku-latest': {
-    input: 0.8,
-    output: 4.0,
-    cache_write: 1.0,
-    cache_read: 0.08
-  },
-  // Claude Opus 3
-  'claude-3-opus-20240229': {
-    input: 15.0,
-    output: 75.0,
-    cache_write: 18.75,
-    cache_read: 1.5
-  },
-  'claude-3-opus-latest': {
-    input: 15.0,
-    output: 75.0,
-    cache_write: 18.75,
-    cache_read: 1.5
-  },
-  // Claude Sonnet 3
-  'claude-3-sonnet-20240229': {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  },
-  // Claude Haiku 3
-  'claude-3-haiku-20240307': {
-    input: 0.25,
-    output: 1.25,
-    cache_write: 0.3,
-    cache_read: 0.03
-  },
-  // Default pricing (use Sonnet 3.5 as default)
-  default: {
-    input: 3.0,
-    output: 15.0,
-    cache_write: 3.75,
-    cache_read: 0.3
-  }
-};
-
-function calculateCost(usage, model) {
-  if (!usage) return 0;
-
-  // Get pricing for the model, fallback to default
-  const pricing = CLAUDE_PRICING[model] || CLAUDE_PRICING['default'];
+// Sum the per-model stats of many conversations into one row per model,
+// most expensive first.
+function aggregateModelCosts(conversations) {
+  const totals = {};
 
-  // Calculate costs for each token type (price per million tokens)
-  const inputCost = ((usage.input_tokens || 0) * pricing.input) / 1000000;
-  const outputCost = ((usage.output_tokens || 0) * pricing.output) / 1000000;
-  const cacheWriteCost = ((usage.cache_creation_input_tokens || 0) * pricing.cache_write) / 1000000;
-  const cacheReadCost = ((usage.cache_read_input_tokens || 0) * pricing.cache_read) / 1000000;
+  conversations.forEach(conv => {
+    Object.entries(conv.models || {}).forEach(([model, stats]) => {
+      const target = totals[model] || (totals[model] = createModelStats());
+      Object.keys(target).forEach(key => {
+        target[key] += stats[key];
+      });
+    });
+  });
 
-  return inputCost + outputCost + cacheWriteCost + cacheReadCost;
+  return Object.entries(totals)
+    .map(([model, stats]) => ({
+      model,
+      family: getModelFamily(model),
+      pricedByDefault: resolvePricing(model).fallback,
+      ...stats
+    }))
+    .sort((a, b) => b.totalCost - a.totalCost);
 }
 
-async function parseJSONLFile(filePath) {
-  const fileStream = fs.createReadStream(filePath);
-  const rl = readline.createInterface({
-    input: fileStream,
-    crlfDelay: Infinity
+// The same for the per-tool stats: one row per tool, ranked by the cost its
+// calls and results induced
+function aggregateToolCosts(conversations) {
+  const totals = {};
+
+  conversations.forEach(conv => {
+    Object.entries(conv.tools || {}).forEach(([tool, stats]) => {
+      const target =
+        totals[tool] || (totals[tool] = { conversationCount: 0, ...createToolStats() });
+      target.conversationCount++;
+      Object.keys(stats).forEach(key => {
+        target[key] += stats[key];
+      });
+    });
   });
 
-  let totalCost = 0;
-  let messageCount = 0;
-  let conversationName = '';
-  let conversationTitle = '';
-  let startTime = null;
-  let endTime = null;
-  let summary = '';
-  let firstUserMessage = '';
+  return Object.entries(totals)
+    .map(([tool, stats]) => ({ tool, ...stats }))
+    .sort((a, b) => b.totalCost - a.totalCost);
+}
 
-  for await (const line of rl) {
-    try {
-      const message = JSON.parse(line);
-
-      // Extract conversation metadata
-      if (message.type === 'summary') {
-        if (message.summary) {
-          summary = message.summary;
-        }
-        if (message.metadata) {
-          conversationName = message.metadata.workingDirectory || message.metadata.cwd || 'Unknown';
-          if (message.metadata.thread_summary) {
-            conversationTitle = message.metadata.thread_summary;
-          }
-          if (message.metadata.summary) {
-            conversationTitle = message.metadata.summary;
-          }
-        }
-      }
+function formatTokens(count) {
+  if (count >= 1e9) return `${(count / 1e9).toFixed(2)}B`;
+  if (count >= 1e6) return `${(count / 1e6).toFixed(2)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}K`;
+  return String(count);
+}
 
-      // Capture first user message as fallback title
-      if (message.type === 'user' && !firstUserMessage && message.text) {
-        firstUserMessage = message.text.substring(0, 100);
-      }
+// Collect every conversation file in one pass over the projects directory,
+// sorted so results come out in the same order on every run.
+function listConversationFiles(claudeProjectsDir, projectFilters) {
+  const files = [];
 
-      // Extract cost data from assistant messages
-      if (message.type === 'assistant' && message.message) {
-        const usage = message.message.usage;
-        const model = message.message.model;
-        if (usage && model) {
-          const cost = calculateCost(usage, model);
-          totalCost += cost;
-          messageCount++;
-        }
+  fs.readdirSync(claudeProjectsDir)
+    .sort()
+    .forEach(dirName => {
+      const projectPath = path.join(claudeProjectsDir, dirName);
+      let entries;
+      try {
+        if (!fs.statSync(projectPath).isDirectory()) return;
+        entries = fs.readdirSync(projectPath);
+      } catch (e) {
+        console.error(`Error reading project directory ${projectPath}:`, e.message);
+        return;
       }
 
-      // Track conversation time range - FIXED: use timestamp field
-      if (message.timestamp) {
-        const timestamp = new Date(message.timestamp);
-        if (!startTime || timestamp < startTime) startTime = timestamp;
-        if (!endTime || timestamp > endTime) endTime = timestamp;
+      // --project matches the project name, its path or the directory name
+      const project = resolveProject(claudeProjectsDir, dirName);
+      const names = [project.name, project.path, dirName].map(name => name.toLowerCase());
+      if (
+        projectFilters.length > 0 &&
+        !projectFilters.some(p => names.some(name => name.includes(p)))
+      ) {
+        return;
       }
-    } catch (e) {
-      // Silent error handling
-    }
-  }
 
-  // Determine best title
-  if (!conversationTitle) {
-    conversationTitle = summary || firstUserMessage || 'Untitled conversation';
-  }
+      entries
+        .filter(file => file.endsWith('.jsonl'))
+        .sort()
+        .forEach(file => files.push({ project, filePath: path.join(projectPath, file) }));
+    });
 
-  return {
-    conversationId: path.basename(filePath, '.jsonl'),
-    conversationName,
-    conversationTitle: conversationTitle.replace(/\n/g, ' ').substring(0, 100),
-    totalCost,
-    messageCount,
-    startTime,
-    endTime,
-    duration: endTime && startTime ? (endTime - startTime) / 1000 / 60 : 0 // in minutes
-  };
+  return files;
 }
 
-async function analyzeAllConversations() {
-  const claudeProjectsDir = path.join(process.env.HOME, '.claude', 'projects');
+async function analyzeAllConversations(options = {}) {
+  const claudeProjectsDir = options.dir || path.join(os.homedir(), '.claude', 'projects');
+  const log = options.quiet ? () => {} : console.log;
 
   if (!fs.existsSync(claudeProjectsDir)) {
     console.error('Claude projects directory not found:', claudeProjectsDir);
     return [];
   }
 
-  const conversations = [];
+  const cache =
+    options.cache === false
+      ? null
+      : loadParseCache({ fingerprint: getPricingFingerprint(), rebuild: options.rebuildCache });
+  const projectFilters = (options.project || []).map(p => p.toLowerCase());
+  const files = listConversationFiles(claudeProjectsDir, projectFilters);
+  const projectCount = new Set(files.map(f => f.project.dirName)).size;
 
-  // Get all project directories
-  const projectDirs = fs
-    .readdirSync(claudeProjectsDir)
-    .filter(dir => fs.statSync(path.join(claudeProjectsDir, dir)).isDirectory());
-  
-  console.log(`Found ${projectDirs.length} project directories`);
+  log(t('cli.foundProjects', { count: projectCount }));
+  log(t('cli.filesToProcess', { count: files.length }));
 
-  let processedCount = 0;
-  const totalFiles = projectDirs.reduce((acc, dir) => {
-    const projectPath = path.join(claudeProjectsDir, dir);
+  // Look up cached state up front so only files with new data go to workers
+  const tasks = [];
+  files.forEach(file => {
     try {
-      const files = fs.readdirSync(projectPath).filter(f => f.endsWith('.jsonl'));
-      return acc + files.length;
+      const stat = fs.statSync(file.filePath);
+      const resume = cache && getResumePoint(cache, file.filePath, stat);
+      tasks.push({ ...file, stat, resume });
     } catch (e) {
-      console.error(`Error reading project directory ${projectPath}:`, e.message);
-      return acc;
+      console.error(`\nError processing file ${path.basename(file.filePath)}:`, e.message);
     }
-  }, 0);
-  
-  console.log(`Total JSONL files to process: ${totalFiles}`);
-
-  for (const projectDir of projectDirs) {
-    const projectPath = path.join(claudeProjectsDir, projectDir);
-    const jsonlFiles = fs.readdirSync(projectPath).filter(file => file.endsWith('.jsonl'));
+  });
 
-    for (const jsonlFile of jsonlFiles) {
-      const filePath = path.join(projectPath, jsonlFile);
-      processedCount++;
-      process.stdout.write(`\rProcessing: ${processedCount}/${totalFiles} files...`);
+  const jobs = Math.max(1, options.jobs || Math.min(os.cpus().length, 8));
+  const pendingCount = tasks.filter(t => !t.resume || t.resume.offset < t.stat.size).length;
+  const workerScript = path.join(__dirname, 'lib', 'parse-worker.js');
+  const workerPool =
+    options.threads !== false && jobs > 1 && pendingCount > 1
+      ? createWorkerPool(workerScript, Math.min(jobs, pendingCount), {
+          pricingPath: options.pricing
+        })
+      : null;
 
-      try {
-        const conversation = await parseJSONLFile(filePath);
-        conversation.projectName = projectDir;
-        
-        // Only add conversations that have messages
-        if (conversation.messageCount > 0) {
-          conversations.push(conversation);
+  let processedCount = 0;
+  let cachedCount = 0;
+  const results = await runPool(tasks, jobs, async task => {
+    const { filePath, stat, resume } = task;
+    try {
+      let result = null;
+      if (workerPool && !workerPool.failed && (!resume || resume.offset < stat.size)) {
+        try {
+          result = await workerPool.run({ filePath, size: stat.size, resume });
+        } catch (e) {
+          if (!workerPool.failed) throw e;
         }
-      } catch (e) {
-        console.error(`\nError processing file ${jsonlFile}:`, e.message);
+      }
+      // Without workers, or when they could not start, files are parsed here
+      if (!result) result = await parseJSONLFileIncremental(filePath, stat.size, resume);
+      if (resume) cachedCount++;
+      if (cache) updateEntry(cache, filePath, stat, result.state, result.offset);
+      return result.conversation;
+    } catch (e) {
+      console.error(`\nError processing file ${path.basename(filePath)}:`, e.message);
+      return null;
+    } finally {
+      processedCount++;
+      if (!options.quiet) {
+        process.stdout.write(
+          `\r${t('cli.processing', { done: processedCount, total: files.length })}`
+        );
       }
     }
+  });
+
+  if (workerPool) {
+    await workerPool.close();
+    if (workerPool.failed) {
+      const reason = workerPool.failed.message;
+      console.error(`\nWorker threads could not start (${reason}); parsed on the main thread`);
+    }
   }
 
-  console.log('\n'); // New line after progress
+  const parsed = [];
+  results.forEach((conversation, index) => {
+    if (!conversation) return;
+    conversation.projectName = tasks[index].project.name;
+    conversation.projectPath = tasks[index].project.path;
+    conversation.repository = findRepository(conversation.cwd || conversation.projectPath);
+    parsed.push(conversation);
+  });
+
+  // Link resumed sessions into threads and drop repeated responses before
+  // filtering, so that a response is counted once, in the file that logged it first
+  const threaded = buildThreads(parsed);
+  const deduplicated = options.dedupe === false ? threaded : removeDuplicateResponses(threaded);
+  // Files left with nothing but repeated responses stay, to report what was removed.
+  // --since and --until keep the messages sent in that time.
+  const conversations = deduplicated
+    .filter(
+      conversation => conversation.messageCount > 0 || conversation.duplicateMessageCount > 0
+    )
+    .map(conversation => limitToPeriod(conversation, options.since, options.until))
+    .filter(Boolean);
+  conversations.forEach(conversation => {
+    conversation.promptCache = getPromptCacheStats(conversation);
+  });
+
+  if (options.commits) await attachCommits(conversations);
+
+  log('\n'); // New line after progress
+  if (cache) {
+    saveParseCache(cache);
+    if (cachedCount > 0) {
+      log(`${t('cli.reusedCache', { count: cachedCount, total: files.length })}\n`);
+    }
+  }
   return conversations;
 }
 
+// Spend per calendar day in the --tz time zone. Every assistant message counts
+// on the day it was sent, so a session that runs past midnight is split across
+// days; `conversationCosts` holds each conversation's part of the day (cost,
+// messages and cost per model), by ID, and `models` the day's cost per model.
 function aggregateDailyCosts(conversations) {
   const dailyCosts = {};
 
   conversations.forEach(conv => {
     if (conv.totalCost > 0 && conv.startTime) {
-      const dateKey = conv.startTime.toISOString().split('T')[0];
-      if (!dailyCosts[dateKey]) {
-        dailyCosts[dateKey] = {
-          date: dateKey,
-          totalCost: 0,
-          conversationCount: 0,
-          conversations: []
-        };
-      }
-      dailyCosts[dateKey].totalCost += conv.totalCost;
-      dailyCosts[dateKey].conversationCount += 1;
-      dailyCosts[dateKey].conversations.push(conv);
+      conv.turns.forEach(turn => {
+        // Messages without a time count on the day the conversation started
+        const dateKey = getDateKey(turn.timestamp === null ? conv.startTime : turn.timestamp);
+        if (!dailyCosts[dateKey]) {
+          dailyCosts[dateKey] = {
+            date: dateKey,
+            totalCost: 0,
+            subagentCost: 0,
+            messageCount: 0,
+            conversationCount: 0,
+            conversations: [],
+            conversationCosts: {},
+            models: {}
+          };
+        }
+        const day = dailyCosts[dateKey];
+        let share = day.conversationCosts[conv.conversationId];
+        if (!share) {
+          share = day.conversationCosts[conv.conversationId] = {
+            totalCost: 0,
+            subagentCost: 0,
+            messageCount: 0,
+            models: {}
+          };
+          day.conversationCount += 1;
+          day.conversations.push(conv);
+        }
+        const subagentCost = turn.sidechain ? turn.cost : 0;
+        share.totalCost += turn.cost;
+        share.subagentCost += subagentCost;
+        share.messageCount += 1;
+        share.models[turn.model] = (share.models[turn.model] || 0) + turn.cost;
+        day.totalCost += turn.cost;
+        day.subagentCost += subagentCost;
+        day.messageCount += 1;
+        day.models[turn.model] = (day.models[turn.model] || 0) + turn.cost;
+      });
     }
   });
 
@@ -280,39 +362,180 @@ function aggregateDailyCosts(conversations) {
   return Object.values(dailyCosts).sort((a, b) => a.date.localeCompare(b.date));
 }
 
-function getLast30Days() {
-  const days = [];
-  const today = new Date();
+function aggregateProjectCosts(conversations) {
+  const projectStats = {};
 
-  for (let i = 29; i >= 0; i--) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    days.push(date.toISOString().split('T')[0]);
-  }
+  conversations.forEach(conv => {
+    if (!projectStats[conv.projectName]) {
+      projectStats[conv.projectName] = {
+        projectName: conv.projectName,
+        conversationCount: 0,
+        conversationsWithCost: 0,
+        messageCount: 0,
+        totalCost: 0
+      };
+    }
+    const stats = projectStats[conv.projectName];
+    stats.conversationCount++;
+    stats.messageCount += conv.messageCount;
+    if (conv.totalCost > 0) {
+      stats.conversationsWithCost++;
+      stats.totalCost += conv.totalCost;
+    }
+  });
 
-  return days;
+  return Object.values(projectStats).sort((a, b) => b.totalCost - a.totalCost);
 }
 
-function createHTMLReport(conversations) {
-  const conversationsWithCosts = conversations
-    .filter(c => c.totalCost > 0)
+// Cost per git branch, with the repository the sessions ran in (or their
+// project when it is not a repository on this machine). Commits are counted
+// when they were looked up with --commits.
+function aggregateBranchCosts(conversations) {
+  const branchStats = {};
+
+  conversations.forEach(conv => {
+    const repository = conv.repository ? conv.repository.name : conv.projectName;
+    Object.entries(conv.gitBranches || {}).forEach(([branch, usage]) => {
+      const key = `${repository}\n${branch}`;
+      if (!branchStats[key]) {
+        branchStats[key] = {
+          repository,
+          branch,
+          mainline: isMainlineBranch(branch),
+          conversationCount: 0,
+          messageCount: 0,
+          totalCost: 0,
+          firstActivity: null,
+          lastActivity: null,
+          commits: null
+        };
+      }
+      const stats = branchStats[key];
+      stats.conversationCount++;
+      stats.messageCount += usage.messageCount;
+      stats.totalCost += usage.totalCost;
+      if (conv.startTime && (!stats.firstActivity || conv.startTime < stats.firstActivity)) {
+        stats.firstActivity = conv.startTime;
+      }
+      if (conv.endTime && (!stats.lastActivity || conv.endTime > stats.lastActivity)) {
+        stats.lastActivity = conv.endTime;
+      }
+      if (conv.commits) {
+        stats.commits = stats.commits || new Set();
+        conv.commits.forEach(commit => stats.commits.add(commit.hash));
+      }
+    });
+  });
+
+  return Object.values(branchStats)
+    .map(({ commits, firstActivity, lastActivity, ...stats }) => ({
+      ...stats,
+      firstActivity: firstActivity && firstActivity.toISOString(),
+      lastActivity: lastActivity && lastActivity.toISOString(),
+      commitCount: commits ? commits.size : null
+    }))
     .sort((a, b) => b.totalCost - a.totalCost);
+}
 
-  const totalCost = conversationsWithCosts.reduce((sum, c) => sum + c.totalCost, 0);
+// Cost per thread of resumed sessions (see lib/threads.js), titled after the
+// thread's first session
+function aggregateThreadCosts(conversations) {
+  const threadStats = {};
 
-  // Get unique projects for filter
-  const uniqueProjects = [...new Set(conversationsWithCosts.map(c => c.projectName))];
+  conversations
+    .slice()
+    .sort((a, b) => (a.startTime || 0) - (b.startTime || 0))
+    .forEach(conv => {
+      const threadId = conv.threadId || conv.conversationId;
+      if (!threadStats[threadId]) {
+        threadStats[threadId] = {
+          threadId,
+          conversationTitle: conv.conversationTitle,
+          projectName: conv.projectName,
+          fileCount: conv.threadFileCount || 1,
+          conversationIds: [],
+          messageCount: 0,
+          totalCost: 0,
+          copiedMessageCount: 0,
+          copiedCost: 0,
+          startTime: conv.startTime,
+          endTime: conv.endTime
+        };
+      }
+      const stats = threadStats[threadId];
+      if (!stats.conversationIds.includes(conv.conversationId)) {
+        stats.conversationIds.push(conv.conversationId);
+      }
+      stats.messageCount += conv.messageCount;
+      stats.totalCost += conv.totalCost;
+      stats.copiedMessageCount += conv.copiedMessageCount || 0;
+      stats.copiedCost += conv.copiedCost || 0;
+      if (conv.endTime && (!stats.endTime || conv.endTime > stats.endTime)) {
+        stats.endTime = conv.endTime;
+      }
+    });
+
+  return Object.values(threadStats)
+    .map(stats => ({
+      ...stats,
+      startTime: stats.startTime ? stats.startTime.toISOString() : null,
+      endTime: stats.endTime ? stats.endTime.toISOString() : null
+    }))
+    .sort((a, b) => b.totalCost - a.totalCost);
+}
+
+// Check the current day, week and month against every configured budget
+function evaluateBudgets(conversations, budgets, now = new Date()) {
+  const todayKey = getDateKey(now);
+  const alerts = [];
+
+  budgets.forEach(budget => {
+    const scoped = budget.project
+      ? conversations.filter(c => matchesProject(c.projectName, budget.project))
+      : conversations;
+    const alert = checkBudget(budget, aggregateDailyCosts(scoped), todayKey);
+    if (alert) alerts.push(alert);
+  });
+
+  return alerts;
+}
+
+// Check the month-end projection against the --forecast-warn amount, if any
+function evaluateForecast(conversations, limit, now = new Date()) {
+  if (limit === undefined) return [];
+  const forecast = getForecast(aggregateDailyCosts(conversations), now);
+  const alert = checkForecast(forecast && forecast.month, limit);
+  return alert ? [alert] : [];
+}
+
+// The data the report page works with in the browser: every conversation with
+// a cost, most expensive first, the last 30 days of daily costs, the trends and
+// forecasts (see lib/trends.js and lib/forecast.js) and the daily prompt cache
+// use (see lib/prompt-cache.js) overall and per project, and the anomalies
+// above `options.anomalyThreshold` (see lib/anomalies.js). Per-turn data is
+// only included once, as the drill-down `detail` of each conversation.
+function buildReportData(conversations, options = {}) {
+  const withoutTurns = ({ turns, filePath, ...conv }) => conv;
+  const conversationsWithCosts = conversations
+    .filter(c => c.totalCost > 0)
+    .sort((a, b) => b.totalCost - a.totalCost)
+    .map(c => ({ ...withoutTurns(c), detail: buildConversationDetail(c) }));
 
   // Get daily data
   const dailyData = aggregateDailyCosts(conversations);
-  const last30Days = getLast30Days();
+  const last30Days = getRecentDays(30);
 
-  // Fill in missing days with zero cost
+  // Fill in missing days with zero cost. The conversations of a day carry the
+  // part of their cost spent that day.
   const dailyCostMap = {};
   dailyData.forEach(d => {
     dailyCostMap[d.date] = {
       cost: d.totalCost,
-      conversations: d.conversations
+      conversations: d.conversations.map(c => ({
+        ...withoutTurns(c),
+        totalCost: d.conversationCosts[c.conversationId].totalCost,
+        subagentCost: d.conversationCosts[c.conversationId].subagentCost
+      }))
     };
   });
 
@@ -322,22 +545,105 @@ function createHTMLReport(conversations) {
     conversations: dailyCostMap[date]?.conversations || []
   }));
 
+  const now = Date.now();
+  const cacheDays = project =>
+    aggregatePromptCacheDaily(conversations, last30Days, project).map(day => ({
+      date: day.date,
+      hitRatio: day.hitRatio,
+      netSavings: day.netSavings,
+      unreadWriteCost: day.unreadWriteCost
+    }));
+  const trends = { all: getTrends(dailyData, now), projects: {} };
+  const forecast = { all: getForecast(dailyData, now), projects: {} };
+  const promptCache = { all: cacheDays(null), projects: {} };
+  new Set(conversationsWithCosts.map(c => c.projectName)).forEach(project => {
+    trends.projects[project] = getTrends(dailyData, now, project);
+    forecast.projects[project] = getForecast(dailyData, now, project);
+    promptCache.projects[project] = cacheDays(project);
+  });
+
+  return {
+    conversations: conversationsWithCosts,
+    daily: last30DaysData,
+    trends,
+    forecast,
+    promptCache,
+    anomalies: {
+      threshold: options.anomalyThreshold || DEFAULT_THRESHOLD,
+      flagged: detectAnomalies(conversations, dailyData, options.anomalyThreshold)
+    }
+  };
+}
+
+// JSON that is safe to place inside a <script> element
+function toScriptJSON(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Text from the logs (titles, paths, model and tool names) for HTML text and
+// attribute values
+function escapeHTML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Render the report page. With `options.dataSrc` the page loads its data from
+// that URL (see the serve command) instead of embedding it.
+function renderReportHTML(conversations, options = {}) {
+  const reportData = buildReportData(conversations, options);
+  const { conversations: conversationsWithCosts, daily: last30DaysData } = reportData;
+  // The daily chart runs on to the end of the month when there is a projection
+  const chartDays = [
+    ...last30DaysData.map(d => d.date),
+    ...(reportData.forecast.all ? reportData.forecast.all.month.days.slice(1) : []).map(
+      d => d.date
+    )
+  ];
+
+  const totalCost = conversationsWithCosts.reduce((sum, c) => sum + c.totalCost, 0);
+
+  const hasBranches = conversationsWithCosts.some(
+    c => Object.keys(c.gitBranches || {}).length > 0
+  );
+  const hasTools = conversationsWithCosts.some(c => Object.keys(c.tools || {}).length > 0);
+  const hasSubagents = conversationsWithCosts.some(c => c.subagentCost > 0);
+  const hasThreads = conversationsWithCosts.some(c => c.threadFileCount > 1);
+  const hasPromptCache = conversationsWithCosts.some(c => c.promptCache.hitRatio !== null);
+  const duplicateCount = conversations.reduce((sum, c) => sum + (c.duplicateMessageCount || 0), 0);
+  const duplicateCost = conversations.reduce((sum, c) => sum + (c.duplicateCost || 0), 0);
+
+  // Get unique projects for filter
+  const uniqueProjects = [...new Set(conversationsWithCosts.map(c => c.projectName))];
+
+  const unpricedModels = aggregateModelCosts(conversationsWithCosts).filter(m => m.pricedByDefault);
+
+  // Daily budget to draw for "all projects" and for each project that has its own
+  const dailyBudgetList = (options.budgets || []).filter(b => b.period === 'daily');
+  const dailyBudgets = {};
+  const overallDailyBudget = dailyBudgetList.find(b => !b.project);
+  if (overallDailyBudget) dailyBudgets.all = overallDailyBudget;
+  uniqueProjects.forEach(project => {
+    const budget = dailyBudgetList.find(b => b.project && matchesProject(project, b.project));
+    if (budget) dailyBudgets[project] = budget;
+  });
+  const budgetAlerts = options.budgetAlerts || [];
+
   // Prepare data for top conversations chart
   const chartData = conversationsWithCosts.slice(0, 20).map(c => ({
-    label: c.conversationTitle || c.conversationName.split('/').pop() || 'Unknown',
+    label: c.conversationTitle || t('common.unknown'),
     cost: c.totalCost,
-    date: c.startTime ? c.startTime.toLocaleDateString() : 'Unknown',
     projectName: c.projectName
   }));
 
   const html = `<!DOCTYPE html>
-<html data-theme="claude" data-mode="dark">
+<html lang="${getLocale()}" data-theme="claude" data-mode="dark">
 <head>
-    <title>Claude Code Conversation Cost Analysis</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/date-fns@2.29.3/index.min.js"></script>
-    <script src="https://cdn.jsdelivr.net/npm/chartjs-adapter-date-fns@3.0.0/dist/chartjs-adapter-date-fns.bundle.min.js"></script>
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+    <title>${t('report.title')}</title>
+    <meta charset="utf-8">
     <style>
         /* Claude Theme CSS Variables - Enhanced to match claude.ai */
         [data-theme=claude][data-mode=light] {
@@ -416,6 +722,17 @@ function createHTMLReport(conversations) {
         .theme-toggle:hover {
             background-color: hsl(var(--bg-300));
         }
+        .warning-banner {
+            margin: 1rem 0;
+            padding: 1rem 1.5rem;
+            border-radius: 12px;
+            border: 1px solid hsl(var(--accent-brand));
+            background-color: hsla(var(--accent-brand), 0.1);
+            color: hsl(var(--text-100));
+        }
+        .warning-banner ul {
+            margin: 0.5rem 0 0 0;
+        }
         .summary {
             display: grid;
             grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
@@ -462,6 +779,37 @@ function createHTMLReport(conversations) {
             border-radius: 12px;
             border: 1px solid hsl(var(--bg-300));
         }
+        .chart {
+            position: relative;
+            width: 100%;
+            height: 100%;
+        }
+        .chart svg {
+            display: block;
+        }
+        .chart-tooltip {
+            position: absolute;
+            z-index: 20;
+            pointer-events: none;
+            padding: 0.5rem 0.75rem;
+            border-radius: 0.5rem;
+            font-size: 0.8rem;
+            line-height: 1.5;
+            white-space: nowrap;
+        }
+        .chart-tooltip-title {
+            font-weight: 600;
+        }
+        .chart-tooltip-swatch {
+            display: inline-block;
+            width: 0.7em;
+            height: 0.7em;
+            margin-right: 0.4em;
+            border-radius: 2px;
+        }
+
+        /* Icons */
+        ${getIconCSS()}
         .filter-container {
             margin: 2rem 0;
             padding: 1.5rem;
@@ -554,11 +902,79 @@ function createHTMLReport(conversations) {
             font-size: 0.8rem;
             opacity: 0.7;
         }
+        .model-name {
+            font-family: 'Fira Code', monospace;
+            font-size: 0.875rem;
+            color: hsl(var(--text-100));
+        }
         .project-name {
             color: hsl(var(--accent-pro-100));
             font-family: 'Fira Code', monospace;
             font-size: 0.875rem;
         }
+        .detail-button {
+            background-color: hsl(var(--bg-300));
+            color: hsl(var(--text-200));
+            border: none;
+            padding: 0.25rem 0.75rem;
+            border-radius: 0.5rem;
+            cursor: pointer;
+            transition: all 0.2s;
+        }
+        .detail-button:hover {
+            background-color: hsl(var(--accent-brand));
+            color: white;
+        }
+        .detail-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            gap: 1rem;
+        }
+        .detail-summary {
+            color: hsl(var(--text-200));
+            line-height: 1.6;
+        }
+        .detail-summary ul {
+            margin: 0.25rem 0 0.75rem 0;
+        }
+        tr.turn-top td {
+            background-color: hsla(var(--accent-brand), 0.12);
+        }
+        tr.turn-cache-write td:first-child {
+            border-left: 3px solid hsl(var(--accent-secondary-100));
+        }
+        .turn-flag {
+            font-size: 0.75rem;
+            padding: 0.1rem 0.4rem;
+            border-radius: 0.25rem;
+            margin-right: 0.25rem;
+            color: white;
+        }
+        .turn-flag.top {
+            background-color: hsl(var(--accent-brand));
+        }
+        .turn-flag.cache-write {
+            background-color: hsl(var(--accent-secondary-100));
+        }
+        .branch-name {
+            font-family: 'Fira Code', monospace;
+            font-size: 0.875rem;
+        }
+        .turn-flag.mainline {
+            background-color: hsl(var(--text-400));
+        }
+        .turn-flag.subagent {
+            background-color: hsl(var(--accent-pro-100));
+        }
+        .turn-flag.cache-miss {
+            background-color: hsl(var(--danger-100));
+        }
+        .section-note {
+            color: hsl(var(--text-300));
+            font-size: 0.875rem;
+            margin: -0.5rem 0 1rem 0;
+        }
         
         /* Privacy mode styles */
         .privacy-toggle {
@@ -613,102 +1029,414 @@ function createHTMLReport(conversations) {
         <div class="header">
             <div class="header-title">
                 <i class="fas fa-chart-line"></i>
-                <h1 style="margin: 0;">Claude Code 对话花费分析</h1>
+                <h1 style="margin: 0;">${t('report.title')}</h1>
             </div>
             <div style="display: flex; gap: 0.75rem;">
-                <button class="privacy-toggle" onclick="togglePrivacy()" title="开启/关闭隐私模式">
+                <button class="privacy-toggle" onclick="togglePrivacy()" title="${t('report.privacyToggle')}">
                     <i class="fas fa-eye" id="privacy-icon"></i>
-                    <span id="privacy-text">隐私模式</span>
+                    <span id="privacy-text">${t('report.privacyMode')}</span>
                 </button>
                 <button class="theme-toggle" onclick="toggleTheme()">
                     <i class="fas fa-sun" id="theme-icon"></i>
-                    <span>Light Mode</span>
+                    <span>${t('report.lightMode')}</span>
                 </button>
             </div>
         </div>
         
+        ${
+          unpricedModels.length > 0
+            ? `<div class="warning-banner">
+            <i class="fas fa-exclamation-triangle" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.unpricedModels')}
+            <ul>
+                ${unpricedModels
+                  .map(
+                    m =>
+                      `<li class="model-name">${t('report.unpricedModel', {
+                        model: m.model,
+                        messages: formatNumber(m.messageCount),
+                        tokens: formatTokens(
+                          m.inputTokens + m.outputTokens + m.cacheWriteTokens + m.cacheReadTokens
+                        ),
+                        cost: formatCurrency(m.totalCost, 4)
+                      })}</li>`
+                  )
+                  .join('')}
+            </ul>
+        </div>`
+            : ''
+        }
+
+        ${
+          budgetAlerts.length > 0
+            ? `<div class="warning-banner">
+            <i class="fas fa-bell" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.budgetAlerts')}
+            <ul>
+                ${budgetAlerts.map(a => `<li>${formatBudgetAlert(a)}</li>`).join('')}
+            </ul>
+        </div>`
+            : ''
+        }
+
         <div class="summary">
             <div class="summary-item">
-                <div class="label">总花费</div>
-                <div class="summary-value">$${totalCost.toFixed(4)}</div>
+                <div class="label">${t('report.totalCost')}</div>
+                <div class="summary-value">${formatCurrency(totalCost, 4)}</div>
             </div>
             <div class="summary-item">
-                <div class="label">对话数量</div>
-                <div class="summary-value">${conversationsWithCosts.length}</div>
+                <div class="label">${t('report.conversationCount')}</div>
+                <div class="summary-value">${formatNumber(conversationsWithCosts.length)}</div>
             </div>
             <div class="summary-item">
-                <div class="label">平均花费</div>
-                <div class="summary-value">$${(totalCost / conversationsWithCosts.length).toFixed(
+                <div class="label">${t('report.averageCost')}</div>
+                <div class="summary-value">${formatCurrency(
+                  totalCost / conversationsWithCosts.length,
                   4
                 )}</div>
             </div>
         </div>
+        ${
+          duplicateCount > 0
+            ? `<p class="section-note">${t('report.duplicates', {
+                count: formatNumber(duplicateCount),
+                cost: formatCurrency(duplicateCost, 4)
+              })}</p>`
+            : ''
+        }
 
         <div class="filter-container">
-            <label for="projectFilter">按项目筛选:</label>
+            <label for="projectFilter">${t('report.filterByProject')}</label>
             <select id="projectFilter">
-                <option value="all">所有项目</option>
+                <option value="all">${t('report.allProjects')}</option>
                 ${uniqueProjects
-                  .map((p, index) => `<option value="${p}" class="project-option" data-original="${p.replace(/-Users-haleclipse-WorkSpace-/, '')}" data-generic="项目 #${index + 1}">${p.replace(/-Users-haleclipse-WorkSpace-/, '')}</option>`)
+                  .map(
+                    (p, index) =>
+                      `<option value="${escapeHTML(p)}" class="project-option" data-original="${escapeHTML(p)}" data-generic="${t('report.projectNumber', { number: index + 1 })}">${escapeHTML(p)}</option>`
+                  )
                   .join('')}
             </select>
         </div>
 
-        <h2><i class="fas fa-calendar-alt" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>每日花费统计 (最近30天)</h2>
+        <h2><i class="fas fa-calendar-alt" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.dailyCosts')}</h2>
         <div class="daily-chart-container">
-            <canvas id="dailyChart"></canvas>
+            <div id="dailyChart"></div>
         </div>
+        <p id="forecastSummary" class="section-note"></p>
+
+        <h2><i class="fas fa-chart-line" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.trends')}</h2>
+        <p id="trendSummary" class="section-note"></p>
+        ${[
+          ['trendProjectTable', 'column.project'],
+          ['trendModelTable', 'column.model']
+        ]
+          .map(
+            ([id, label]) => `<table id="${id}">
+            <thead>
+                <tr>
+                    <th>${t(label)}</th>
+                    <th>${t('report.lastWeek')}</th>
+                    <th>${t('report.thisWeek')}</th>
+                    <th>${t('report.change')}</th>
+                    <th>${t('report.lastMonth')}</th>
+                    <th>${t('report.thisMonth')}</th>
+                    <th>${t('report.change')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>`
+          )
+          .join('\n        ')}
+
+        <h2><i class="fas fa-exclamation-triangle" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.anomalies')}</h2>
+        <p id="anomalySummary" class="section-note"></p>
+        <table id="anomalyTable">
+            <thead>
+                <tr>
+                    <th>${t('column.anomaly')}</th>
+                    <th>${t('column.conversationOrDay')}</th>
+                    <th>${t('column.project')}</th>
+                    <th>${t('column.value')}</th>
+                    <th>${t('column.typical')}</th>
+                    <th>${t('column.score')}</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
 
-        <h2><i class="fas fa-trophy" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>花费最高的20个对话</h2>
+        <h2><i class="fas fa-trophy" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.topConversations')}</h2>
         <div class="chart-container">
-            <canvas id="costChart"></canvas>
+            <div id="costChart"></div>
+        </div>
+
+        <h2><i class="fas fa-microchip" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.modelBreakdown')}</h2>
+        <div class="chart-container" style="height: 300px;">
+            <div id="modelChart"></div>
+        </div>
+        <table id="modelTable">
+            <thead>
+                <tr>
+                    <th>${t('column.model')}</th>
+                    <th>${t('column.messages')}</th>
+                    <th>${t('tokens.input')}</th>
+                    <th>${t('tokens.output')}</th>
+                    <th>${t('tokens.cacheWrite')}</th>
+                    <th>${t('tokens.cacheRead')}</th>
+                    <th>${t('column.cost')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+
+        ${
+          hasBranches
+            ? `<h2><i class="fas fa-code-branch" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.branchBreakdown')}</h2>
+        <table id="branchTable">
+            <thead>
+                <tr>
+                    <th>${t('column.repository')}</th>
+                    <th>${t('column.branch')}</th>
+                    <th>${t('column.conversations')}</th>
+                    <th>${t('column.messages')}</th>
+                    <th>${t('column.period')}</th>
+                    <th>${t('column.commits')}</th>
+                    <th>${t('column.cost')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>`
+            : ''
+        }
+
+        ${
+          hasTools
+            ? `<h2><i class="fas fa-wrench" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.toolBreakdown')}</h2>
+        <p class="section-note">${t('report.toolNote')}</p>
+        <table id="toolTable">
+            <thead>
+                <tr>
+                    <th>${t('column.tool')}</th>
+                    <th>${t('column.calls')}</th>
+                    <th>${t('column.errors')}</th>
+                    <th>${t('column.resultTokens')}</th>
+                    <th>${t('column.resultCost')}</th>
+                    <th>${t('column.cost')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>`
+            : ''
+        }
+
+        ${
+          hasPromptCache
+            ? `<h2><i class="fas fa-database" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.promptCache')}</h2>
+        <p id="promptCacheSummary" class="section-note"></p>
+        <div class="chart-container" style="height: 300px;">
+            <div id="promptCacheChart"></div>
         </div>
+        <table id="promptCacheProjectTable">
+            <thead>
+                <tr>
+                    <th>${t('column.project')}</th>
+                    <th>${t('column.hitRatio')}</th>
+                    <th>${t('column.cacheSavings')}</th>
+                    <th>${t('column.unreadWrites')}</th>
+                    <th>${t('column.cacheMisses')}</th>
+                    <th>${t('column.modelSwitches')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+        <table id="promptCacheConversationTable">
+            <thead>
+                <tr>
+                    <th>${t('column.conversation')}</th>
+                    <th>${t('column.project')}</th>
+                    <th>${t('column.hitRatio')}</th>
+                    <th>${t('column.cacheSavings')}</th>
+                    <th>${t('column.unreadWrites')}</th>
+                    <th>${t('column.cacheMisses')}</th>
+                    <th>${t('column.modelSwitches')}</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>`
+            : ''
+        }
+
+        ${
+          hasThreads
+            ? `<h2><i class="fas fa-link" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.threads')}</h2>
+        <p id="threadSummary" class="section-note"></p>
+        <table id="threadTable">
+            <thead>
+                <tr>
+                    <th>${t('column.conversation')}</th>
+                    <th>${t('column.project')}</th>
+                    <th>${t('column.files')}</th>
+                    <th>${t('column.messages')}</th>
+                    <th>${t('column.period')}</th>
+                    <th>${t('column.cost')}</th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>`
+            : ''
+        }
+
+        ${
+          hasSubagents
+            ? `<h2><i class="fas fa-sitemap" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.subagents')}</h2>
+        <p id="subagentSummary" class="section-note"></p>
+        <div class="chart-container" style="height: 300px;">
+            <div id="subagentChart"></div>
+        </div>`
+            : ''
+        }
 
         <table id="conversationTable">
             <thead>
                 <tr>
-                    <th><i class="fas fa-comments" style="margin-right: 0.5rem;"></i>对话标题</th>
-                    <th><i class="fas fa-folder" style="margin-right: 0.5rem;"></i>项目</th>
-                    <th><i class="fas fa-dollar-sign" style="margin-right: 0.5rem;"></i>花费</th>
-                    <th><i class="fas fa-envelope" style="margin-right: 0.5rem;"></i>消息数</th>
-                    <th><i class="fas fa-clock" style="margin-right: 0.5rem;"></i>时长</th>
-                    <th><i class="fas fa-calendar" style="margin-right: 0.5rem;"></i>日期</th>
+                    <th><i class="fas fa-comments" style="margin-right: 0.5rem;"></i>${t('column.conversation')}</th>
+                    <th><i class="fas fa-folder" style="margin-right: 0.5rem;"></i>${t('column.project')}</th>
+                    <th><i class="fas fa-microchip" style="margin-right: 0.5rem;"></i>${t('column.model')}</th>
+                    <th><i class="fas fa-dollar-sign" style="margin-right: 0.5rem;"></i>${t('column.cost')}</th>
+                    <th><i class="fas fa-envelope" style="margin-right: 0.5rem;"></i>${t('column.messages')}</th>
+                    <th><i class="fas fa-clock" style="margin-right: 0.5rem;"></i>${t('column.duration')}</th>
+                    <th><i class="fas fa-calendar" style="margin-right: 0.5rem;"></i>${t('column.date')}</th>
+                    <th></th>
                 </tr>
             </thead>
             <tbody>
                 ${conversationsWithCosts
                   .slice(0, 20)
                   .map(
-                    conv => `
-                    <tr data-project="${conv.projectName}">
-                        <td class="conversation-title privacy-sensitive collapsed" title="点击展开完整标题" onclick="toggleTitle(this)">
-                            <span class="title-content">${conv.conversationTitle}</span>
+                    (conv, index) => `
+                    <tr data-project="${escapeHTML(conv.projectName)}">
+                        <td class="conversation-title privacy-sensitive collapsed" title="${t('report.expandTitle')}" onclick="toggleTitle(this)">
+                            <span class="title-content">${escapeHTML(conv.conversationTitle)}</span>
                             <i class="expand-icon fas fa-expand-alt"></i>
                         </td>
-                        <td class="project-name privacy-sensitive">${(conv.conversationName.split('/').pop() || conv.projectName).replace(/-Users-haleclipse-WorkSpace-/, '')}</td>
-                        <td class="cost">$${conv.totalCost.toFixed(6)}</td>
-                        <td style="color: hsl(var(--text-200));">${conv.messageCount}</td>
-                        <td style="color: hsl(var(--text-200));">${conv.duration.toFixed(1)} 分钟</td>
-                        <td style="color: hsl(var(--text-300)); font-family: 'Fira Code', monospace; font-size: 0.875rem;">${conv.startTime ? conv.startTime.toLocaleDateString() : 'Unknown'}</td>
+                        <td class="project-name privacy-sensitive" title="${escapeHTML(conv.projectPath)}">${escapeHTML(conv.projectName)}</td>
+                        <td class="model-name">${[...new Set(Object.keys(conv.models).map(getModelFamily))].join(', ')}</td>
+                        <td class="cost">${formatCurrency(conv.totalCost, 6)}</td>
+                        <td style="color: hsl(var(--text-200));">${formatNumber(conv.messageCount)}</td>
+                        <td style="color: hsl(var(--text-200));">${t('report.durationMinutes', {
+                          minutes: formatNumber(conv.duration, 1)
+                        })}</td>
+                        <td style="color: hsl(var(--text-300)); font-family: 'Fira Code', monospace; font-size: 0.875rem;">${formatDate(conv.startTime)}</td>
+                        <td><button class="detail-button" onclick="showConversationDetail(${index})">${t('report.details')}</button></td>
                     </tr>
                 `
                   )
                   .join('')}
             </tbody>
         </table>
+
+        <div id="conversationDetail" hidden>
+            <div class="detail-header">
+                <h2><i class="fas fa-list-ol" style="color: hsl(var(--accent-brand)); margin-right: 0.5rem;"></i>${t('report.conversationDetail')} <span id="detailTitle" class="privacy-sensitive"></span></h2>
+                <button class="detail-button" onclick="hideConversationDetail()"><i class="fas fa-times"></i> ${t('report.close')}</button>
+            </div>
+            <div id="detailSummary" class="detail-summary"></div>
+            <div class="chart-container" style="height: 300px;">
+                <div id="turnChart"></div>
+            </div>
+            <table id="turnTable">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>${t('column.time')}</th>
+                        <th>${t('column.model')}</th>
+                        <th>${t('tokens.input')}</th>
+                        <th>${t('tokens.output')}</th>
+                        <th>${t('tokens.cacheWrite')}</th>
+                        <th>${t('tokens.cacheRead')}</th>
+                        <th>${t('column.cost')}</th>
+                        <th>${t('column.cumulative')}</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
     </div>
 
+    <script>${getChartScript()}</script>
+    ${
+      options.dataSrc
+        ? `<script src="${options.dataSrc}"></script>`
+        : `<script>window.reportData = ${toScriptJSON(reportData)};</script>`
+    }
     <script>
         // Store all conversation data for filtering
-        const allConversations = ${JSON.stringify(conversationsWithCosts)};
-        const dailyDataByProject = ${JSON.stringify(last30DaysData)};
-        
-        // Theme management
-        let currentTheme = 'dark';
-        let privacyMode = false;
-        
-        // Chart colors based on theme
-        const getChartColors = () => {
+        const allConversations = window.reportData.conversations;
+        const dailyDataByProject = window.reportData.daily;
+
+        // Messages and number/date formatting of the report's locale
+        const locale = ${toScriptJSON(getLocale())};
+        const messages = ${toScriptJSON(getMessages())};
+
+        function t(key, params) {
+            const message = messages[key];
+            if (message === undefined) return key;
+            return message.replace(/\\{(\\w+)\\}/g, (match, name) =>
+                params && params[name] !== undefined ? String(params[name]) : match
+            );
+        }
+
+        // Text from the logs, before it goes into innerHTML; the same as escapeHTML() on the server
+        function escapeHTML(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+
+        function formatCurrency(value, digits) {
+            return new Intl.NumberFormat(locale, {
+                style: 'currency',
+                currency: 'USD',
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits
+            }).format(value);
+        }
+
+        function formatNumber(value, digits) {
+            return new Intl.NumberFormat(locale, digits === undefined ? {} : {
+                minimumFractionDigits: digits,
+                maximumFractionDigits: digits
+            }).format(value);
+        }
+
+        function formatPercent(ratio) {
+            return new Intl.NumberFormat(locale, {
+                style: 'percent',
+                minimumFractionDigits: 1,
+                maximumFractionDigits: 1
+            }).format(ratio);
+        }
+
+        // Dates arrive as ISO strings in the report data and are shown in the --tz zone
+        const timeZone = ${toScriptJSON(getTimeZone())};
+
+        function formatDate(value) {
+            return value ? new Date(value).toLocaleDateString(locale, { timeZone }) : t('common.unknown');
+        }
+
+        function formatTime(value) {
+            return value ? new Date(value).toLocaleTimeString(locale, { timeZone }) : '-';
+        }
+        
+        // Theme management
+        let currentTheme = 'dark';
+        let privacyMode = false;
+        
+        // Chart colors based on theme
+        const getChartColors = () => {
             if (currentTheme === 'dark') {
                 return {
                     primary: 'hsl(251, 40.2%, 54.1%)',
@@ -730,15 +1458,15 @@ function createHTMLReport(conversations) {
             }
         };
 
-        // Daily cost chart
-        const dailyCtx = document.getElementById('dailyChart').getContext('2d');
-        const dailyChart = new Chart(dailyCtx, {
+        // Daily cost chart, with the budget lines and the rolling averages
+        const averageColor = 'hsl(210, 70.9%, 51.6%)';
+        const dailyChart = new Chart(document.getElementById('dailyChart'), {
             type: 'line',
             data: {
-                labels: ${JSON.stringify(last30DaysData.map(d => d.date))},
+                labels: ${toScriptJSON(chartDays)},
                 datasets: [{
-                    label: '每日花费 (USD)',
-                    data: ${JSON.stringify(last30DaysData.map(d => d.cost))},
+                    label: t('report.dailyCostLabel'),
+                    data: ${toScriptJSON(last30DaysData.map(d => d.cost))},
                     backgroundColor: getChartColors().primaryAlpha,
                     borderColor: getChartColors().primary,
                     borderWidth: 2,
@@ -748,6 +1476,61 @@ function createHTMLReport(conversations) {
                     pointBorderColor: getChartColors().primary,
                     pointBorderWidth: 2,
                     pointRadius: 4
+                }, {
+                    label: t('report.dailyBudget'),
+                    data: [],
+                    borderColor: 'hsl(0, 70%, 55%)',
+                    borderWidth: 1.5,
+                    borderDash: [6, 4],
+                    fill: false,
+                    pointRadius: 0
+                }, {
+                    label: t('report.budgetWarnLine'),
+                    data: [],
+                    borderColor: 'hsl(40, 90%, 55%)',
+                    borderWidth: 1,
+                    borderDash: [2, 4],
+                    fill: false,
+                    pointRadius: 0
+                }, {
+                    label: t('report.average7'),
+                    data: [],
+                    borderColor: getChartColors().secondary,
+                    borderWidth: 1.5,
+                    fill: false,
+                    tension: 0.2,
+                    pointRadius: 0
+                }, {
+                    label: t('report.average30'),
+                    data: [],
+                    borderColor: averageColor,
+                    borderWidth: 1.5,
+                    borderDash: [4, 4],
+                    fill: false,
+                    tension: 0.2,
+                    pointRadius: 0
+                }, {
+                    label: t('report.projection'),
+                    data: [],
+                    borderColor: getChartColors().primary,
+                    borderWidth: 2,
+                    borderDash: [6, 4],
+                    fill: false,
+                    pointRadius: 0
+                }, {
+                    // The projection's range, drawn as a band without a legend entry
+                    data: [],
+                    borderColor: 'transparent',
+                    borderWidth: 1,
+                    fill: false,
+                    pointRadius: 0
+                }, {
+                    data: [],
+                    borderColor: 'transparent',
+                    backgroundColor: getChartColors().primaryAlpha,
+                    borderWidth: 1,
+                    fill: '-1',
+                    pointRadius: 0
                 }]
             },
             options: {
@@ -760,12 +1543,6 @@ function createHTMLReport(conversations) {
                 scales: {
                     x: {
                         type: 'time',
-                        time: {
-                            unit: 'day',
-                            displayFormats: {
-                                day: 'MMM d'
-                            }
-                        },
                         ticks: {
                             color: getChartColors().text
                         },
@@ -778,7 +1555,7 @@ function createHTMLReport(conversations) {
                         ticks: {
                             color: getChartColors().text,
                             callback: function(value) {
-                                return '$' + value.toFixed(2);
+                                return formatCurrency(value, 2);
                             }
                         },
                         grid: {
@@ -800,16 +1577,27 @@ function createHTMLReport(conversations) {
                         borderWidth: 2,
                         callbacks: {
                             label: function(context) {
+                                if (!context.dataset.label) return null;
+                                if (context.datasetIndex === 5) {
+                                    return context.dataset.label + ': ' + t('report.projectionRange', {
+                                        cost: formatCurrency(context.parsed.y, 2),
+                                        low: formatCurrency(dailyChart.data.datasets[6].data[context.dataIndex], 2),
+                                        high: formatCurrency(dailyChart.data.datasets[7].data[context.dataIndex], 2)
+                                    });
+                                }
+                                if (context.datasetIndex !== 0) {
+                                    return context.dataset.label + ': ' + formatCurrency(context.parsed.y, 2);
+                                }
                                 const dayData = dailyDataByProject[context.dataIndex];
-                                const lines = ['花费: $' + context.parsed.y.toFixed(4)];
+                                const lines = [t('report.tooltipCost', { cost: formatCurrency(context.parsed.y, 4) })];
                                 if (dayData && dayData.conversations.length > 0) {
-                                    lines.push('对话数: ' + dayData.conversations.length);
+                                    lines.push(t('report.tooltipConversations', { count: dayData.conversations.length }));
                                     lines.push('---');
                                     dayData.conversations.slice(0, 3).forEach(conv => {
-                                        lines.push(conv.conversationTitle.substring(0, 40) + '...: $' + conv.totalCost.toFixed(2));
+                                        lines.push(conv.conversationTitle.substring(0, 40) + '...: ' + formatCurrency(conv.totalCost, 2));
                                     });
                                     if (dayData.conversations.length > 3) {
-                                        lines.push('... 还有 ' + (dayData.conversations.length - 3) + ' 个');
+                                        lines.push(t('report.tooltipMore', { count: dayData.conversations.length - 3 }));
                                     }
                                 }
                                 return lines;
@@ -820,17 +1608,44 @@ function createHTMLReport(conversations) {
             }
         });
 
+        // Budget lines and over-budget days on the daily chart
+        const dailyBudgets = ${toScriptJSON(dailyBudgets)};
+        let selectedBudgetProject = 'all';
+
+        function applyDailyBudget() {
+            const budget = dailyBudgets[selectedBudgetProject] || (selectedBudgetProject !== 'all' ? null : dailyBudgets.all);
+            const costs = dailyChart.data.datasets[0].data;
+            const colors = getChartColors();
+            const pointColors = costs.map(cost => {
+                if (!budget) return colors.primary;
+                if (cost >= budget.limit) return 'hsl(0, 70%, 55%)';
+                if (cost >= budget.warnAt) return 'hsl(40, 90%, 55%)';
+                return colors.primary;
+            });
+
+            dailyChart.data.datasets[0].pointBackgroundColor = pointColors;
+            dailyChart.data.datasets[0].pointBorderColor = pointColors;
+            dailyChart.data.datasets[0].pointRadius = costs.map(cost => (budget && cost >= budget.warnAt ? 6 : 4));
+            const days = dailyChart.data.labels;
+            dailyChart.data.datasets[1].data = budget ? days.map(() => budget.limit) : [];
+            dailyChart.data.datasets[2].data = budget ? days.map(() => budget.warnAt) : [];
+            dailyChart.data.datasets[1].hidden = !budget;
+            dailyChart.data.datasets[2].hidden = !budget;
+            dailyChart.update();
+        }
+
+        applyDailyBudget();
+
         // Top conversations chart
-        const ctx = document.getElementById('costChart').getContext('2d');
-        const conversationChart = new Chart(ctx, {
+        const conversationChart = new Chart(document.getElementById('costChart'), {
             type: 'bar',
             data: {
-                labels: ${JSON.stringify(
+                labels: ${toScriptJSON(
                   chartData.map(c => c.label.substring(0, 50) + (c.label.length > 50 ? '...' : ''))
                 )},
                 datasets: [{
-                    label: '花费 (USD)',
-                    data: ${JSON.stringify(chartData.map(c => c.cost))},
+                    label: t('report.costLabel'),
+                    data: ${toScriptJSON(chartData.map(c => c.cost))},
                     backgroundColor: getChartColors().secondaryAlpha,
                     borderColor: getChartColors().secondary,
                     borderWidth: 1
@@ -846,7 +1661,7 @@ function createHTMLReport(conversations) {
                         ticks: {
                             color: getChartColors().text,
                             callback: function(value) {
-                                return '$' + value.toFixed(4);
+                                return formatCurrency(value, 4);
                             }
                         },
                         grid: {
@@ -892,11 +1707,414 @@ function createHTMLReport(conversations) {
                         callbacks: {
                             title: function(context) {
                                 // Show full conversation title
-                                const fullTitle = ${JSON.stringify(chartData.map(c => c.label))}[context[0].dataIndex];
+                                const fullTitle = ${toScriptJSON(chartData.map(c => c.label))}[context[0].dataIndex];
                                 return fullTitle;
                             },
                             label: function(context) {
-                                return '花费: $' + context.parsed.x.toFixed(4);
+                                return t('report.tooltipCost', { cost: formatCurrency(context.parsed.x, 4) });
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        // Per-model breakdown
+        const tokenTypes = [
+            { label: t('tokens.input'), tokens: 'inputTokens', cost: 'inputCost', color: 'hsl(251, 40.2%, 54.1%)' },
+            { label: t('tokens.output'), tokens: 'outputTokens', cost: 'outputCost', color: 'hsl(15, 63.1%, 59.6%)' },
+            { label: t('tokens.cacheWrite'), tokens: 'cacheWriteTokens', cost: 'cacheWriteCost', color: 'hsl(210, 70.9%, 51.6%)' },
+            { label: t('tokens.cacheRead'), tokens: 'cacheReadTokens', cost: 'cacheReadCost', color: 'hsl(130, 50%, 55%)' }
+        ];
+
+        function modelFamily(model) {
+            if (/opus/i.test(model)) return 'Opus';
+            if (/sonnet/i.test(model)) return 'Sonnet';
+            if (/haiku/i.test(model)) return 'Haiku';
+            return 'Other';
+        }
+
+        function modelFamilies(conv) {
+            return [...new Set(Object.keys(conv.models || {}).map(modelFamily))];
+        }
+
+        function formatTokens(count) {
+            if (count >= 1e9) return (count / 1e9).toFixed(2) + 'B';
+            if (count >= 1e6) return (count / 1e6).toFixed(2) + 'M';
+            if (count >= 1e3) return (count / 1e3).toFixed(1) + 'K';
+            return String(count);
+        }
+
+        function aggregateModels(conversations) {
+            const totals = {};
+            conversations.forEach(conv => {
+                Object.entries(conv.models || {}).forEach(([model, stats]) => {
+                    const target = totals[model] || (totals[model] = { model, messageCount: 0, totalCost: 0 });
+                    target.messageCount += stats.messageCount;
+                    target.totalCost += stats.totalCost;
+                    tokenTypes.forEach(type => {
+                        target[type.tokens] = (target[type.tokens] || 0) + stats[type.tokens];
+                        target[type.cost] = (target[type.cost] || 0) + stats[type.cost];
+                    });
+                });
+            });
+            return Object.values(totals).sort((a, b) => b.totalCost - a.totalCost);
+        }
+
+        const modelChart = new Chart(document.getElementById('modelChart'), {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: tokenTypes.map(type => ({
+                    label: type.label,
+                    data: [],
+                    backgroundColor: type.color
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                indexAxis: 'y',
+                scales: {
+                    x: {
+                        stacked: true,
+                        ticks: {
+                            color: getChartColors().text,
+                            callback: function(value) {
+                                return formatCurrency(value, 2);
+                            }
+                        },
+                        grid: {
+                            color: getChartColors().grid
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        ticks: {
+                            color: getChartColors().text
+                        },
+                        grid: {
+                            color: getChartColors().grid
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: getChartColors().text
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return context.dataset.label + ': ' + formatCurrency(context.parsed.x, 4);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        function renderModelBreakdown(conversations) {
+            const models = aggregateModels(conversations);
+
+            modelChart.data.labels = models.map(m => m.model);
+            tokenTypes.forEach((type, index) => {
+                modelChart.data.datasets[index].data = models.map(m => m[type.cost]);
+            });
+            modelChart.update();
+
+            document.querySelector('#modelTable tbody').innerHTML = models.map(m => \`
+                <tr>
+                    <td class="model-name">\${escapeHTML(m.model)}</td>
+                    <td style="color: hsl(var(--text-200));">\${m.messageCount}</td>
+                    \${tokenTypes.map(type => \`<td style="color: hsl(var(--text-200));">\${formatTokens(m[type.tokens])} <span style="color: hsl(var(--text-400));">(\${formatCurrency(m[type.cost], 2)})</span></td>\`).join('')}
+                    <td class="cost">\${formatCurrency(m.totalCost, 4)}</td>
+                </tr>
+            \`).join('');
+        }
+
+        renderModelBreakdown(allConversations);
+
+        // Cost per git branch, the same aggregation as aggregateBranchCosts()
+        function aggregateBranches(conversations) {
+            const totals = {};
+            conversations.forEach(conv => {
+                const repository = conv.repository ? conv.repository.name : conv.projectName;
+                Object.entries(conv.gitBranches || {}).forEach(([branch, usage]) => {
+                    const key = repository + '\\n' + branch;
+                    const target = totals[key] || (totals[key] = {
+                        repository,
+                        branch,
+                        mainline: ${toScriptJSON(MAINLINE_BRANCHES)}.includes(branch),
+                        conversationCount: 0,
+                        messageCount: 0,
+                        totalCost: 0,
+                        firstActivity: null,
+                        lastActivity: null,
+                        commits: null
+                    });
+                    target.conversationCount++;
+                    target.messageCount += usage.messageCount;
+                    target.totalCost += usage.totalCost;
+                    if (conv.startTime && (!target.firstActivity || conv.startTime < target.firstActivity)) {
+                        target.firstActivity = conv.startTime;
+                    }
+                    if (conv.endTime && (!target.lastActivity || conv.endTime > target.lastActivity)) {
+                        target.lastActivity = conv.endTime;
+                    }
+                    if (conv.commits) {
+                        target.commits = target.commits || new Set();
+                        conv.commits.forEach(commit => target.commits.add(commit.hash));
+                    }
+                });
+            });
+            return Object.values(totals).sort((a, b) => b.totalCost - a.totalCost);
+        }
+
+        function renderBranchBreakdown(conversations) {
+            const tbody = document.querySelector('#branchTable tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = aggregateBranches(conversations).slice(0, 20).map(b => \`
+                <tr>
+                    <td class="project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(b.repository)}</td>
+                    <td class="branch-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(b.branch)}\${b.mainline ? ' <span class="turn-flag mainline">' + t('report.mainline') + '</span>' : ''}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(b.conversationCount)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(b.messageCount)}</td>
+                    <td style="color: hsl(var(--text-300)); font-family: 'Fira Code', monospace; font-size: 0.875rem;">\${formatDate(b.firstActivity)} – \${formatDate(b.lastActivity)}</td>
+                    <td style="color: hsl(var(--text-200));">\${b.commits ? formatNumber(b.commits.size) : '-'}</td>
+                    <td class="cost">\${formatCurrency(b.totalCost, 4)}</td>
+                </tr>
+            \`).join('');
+        }
+
+        renderBranchBreakdown(allConversations);
+
+        // Cost induced per tool, the same aggregation as aggregateToolCosts()
+        function aggregateTools(conversations) {
+            const totals = {};
+            conversations.forEach(conv => {
+                Object.entries(conv.tools || {}).forEach(([tool, stats]) => {
+                    const target = totals[tool] || (totals[tool] = { tool, conversationCount: 0 });
+                    target.conversationCount++;
+                    Object.entries(stats).forEach(([key, value]) => {
+                        target[key] = (target[key] || 0) + value;
+                    });
+                });
+            });
+            return Object.values(totals).sort((a, b) => b.totalCost - a.totalCost);
+        }
+
+        function renderToolBreakdown(conversations) {
+            const tbody = document.querySelector('#toolTable tbody');
+            if (!tbody) return;
+
+            tbody.innerHTML = aggregateTools(conversations).map(tool => \`
+                <tr>
+                    <td class="model-name">\${escapeHTML(tool.tool)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(tool.callCount)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(tool.errorCount)}\${tool.callCount > 0 && tool.errorCount > 0 ? ' <span style="color: hsl(var(--text-400));">(' + formatPercent(tool.errorCount / tool.callCount) + ')</span>' : ''}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatTokens(tool.resultTokens)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatCurrency(tool.resultCost, 4)}</td>
+                    <td class="cost">\${formatCurrency(tool.totalCost, 4)}</td>
+                </tr>
+            \`).join('');
+        }
+
+        renderToolBreakdown(allConversations);
+
+        // This week and month against the last, and the rolling averages on the daily chart
+        const trendData = window.reportData.trends;
+
+        function formatChange(row) {
+            const change = (row.difference < 0 ? '-' : '+') + formatCurrency(Math.abs(row.difference), 4);
+            if (row.percent === null) return change;
+            return change + ', ' + (row.percent < 0 ? '' : '+') + formatPercent(row.percent);
+        }
+
+        function renderTrendTable(id, week, month, sensitive) {
+            const rows = {};
+            const row = name => rows[name] || (rows[name] = { name, week: null, month: null });
+            week.forEach(r => { row(r.name).week = r; });
+            month.forEach(r => { row(r.name).month = r; });
+            const cells = r => r
+                ? \`<td style="color: hsl(var(--text-200));">\${formatCurrency(r.base, 4)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatCurrency(r.current, 4)}</td>
+                    <td class="cost">\${formatChange(r)}</td>\`
+                : '<td>-</td><td>-</td><td>-</td>';
+            const nameClass = sensitive ? \`project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}\` : 'model-name';
+            document.querySelector('#' + id + ' tbody').innerHTML = Object.values(rows)
+                .sort((a, b) => (b.month ? b.month.current : 0) - (a.month ? a.month.current : 0))
+                .map(r => \`
+                <tr>
+                    <td class="\${nameClass}">\${escapeHTML(r.name)}</td>
+                    \${cells(r.week)}
+                    \${cells(r.month)}
+                </tr>
+            \`).join('');
+        }
+
+        function renderTrends(selectedProject) {
+            const trends = selectedProject === 'all' ? trendData.all : trendData.projects[selectedProject];
+            if (!trends) return;
+
+            const latest = trends.averages[trends.averages.length - 1];
+            const sentence = (key, comparison) => t(key, {
+                current: formatCurrency(comparison.current.totalCost, 4),
+                base: formatCurrency(comparison.base.totalCost, 4),
+                change: formatChange(comparison)
+            });
+            document.getElementById('trendSummary').textContent = [
+                sentence('report.weekOverWeek', trends.week),
+                sentence('report.monthOverMonth', trends.month),
+                latest.average30 !== null ? t('report.rollingAverages', {
+                    week: formatCurrency(latest.average7, 4),
+                    month: formatCurrency(latest.average30, 4)
+                }) : ''
+            ].join(' ').trim();
+            renderTrendTable('trendProjectTable', trends.week.projects, trends.month.projects, true);
+            renderTrendTable('trendModelTable', trends.week.models, trends.month.models, false);
+
+            dailyChart.data.datasets[3].data = trends.averages.map(day => day.average7);
+            dailyChart.data.datasets[4].data = trends.averages.map(day => day.average30);
+            dailyChart.update();
+        }
+
+        renderTrends('all');
+
+        // Month-end projection on the daily chart, from today on
+        const forecastData = window.reportData.forecast;
+
+        function renderForecast(selectedProject) {
+            const forecast = selectedProject === 'all' ? forecastData.all : forecastData.projects[selectedProject];
+            const summary = document.getElementById('forecastSummary');
+            [5, 6, 7].forEach(index => { dailyChart.data.datasets[index].data = []; });
+            if (!forecast) {
+                summary.textContent = '';
+                dailyChart.update();
+                return;
+            }
+
+            const { month, quarter, model } = forecast;
+            summary.textContent = [
+                t('report.forecast', {
+                    monthDate: month.to,
+                    month: formatCurrency(month.projected, 2),
+                    monthLow: formatCurrency(month.low, 2),
+                    monthHigh: formatCurrency(month.high, 2),
+                    quarterDate: quarter.to,
+                    quarter: formatCurrency(quarter.projected, 2),
+                    quarterLow: formatCurrency(quarter.low, 2),
+                    quarterHigh: formatCurrency(quarter.high, 2)
+                }),
+                t(model.weekdayFactors.some(factor => factor !== 1) ? 'report.forecastModel' : 'report.forecastFlat', {
+                    average: formatCurrency(model.dailyAverage, 4),
+                    days: formatNumber(model.dayCount)
+                })
+            ].join(' ');
+
+            // Projected days line up with the chart's days from today on
+            const offset = dailyChart.data.labels.indexOf(month.days[0].date);
+            if (offset !== -1) {
+                const lineUp = field => dailyChart.data.labels.map((date, index) =>
+                    index < offset ? null : month.days[index - offset][field]);
+                dailyChart.data.datasets[5].data = lineUp('expected');
+                dailyChart.data.datasets[6].data = lineUp('low');
+                dailyChart.data.datasets[7].data = lineUp('high');
+            }
+            dailyChart.update();
+        }
+
+        renderForecast('all');
+
+        // Conversations and days that cost far more than usual; days only with all projects
+        const anomalyData = window.reportData.anomalies;
+
+        function renderAnomalies(selectedProject) {
+            const anomalies = anomalyData.flagged.filter(anomaly => selectedProject === 'all' || anomaly.projectName === selectedProject);
+            const threshold = formatNumber(anomalyData.threshold, 1);
+            document.getElementById('anomalySummary').textContent = anomalies.length > 0
+                ? t('report.anomalySummary', { count: formatNumber(anomalies.length), threshold })
+                : t('report.noAnomalies', { threshold });
+            document.querySelector('#anomalyTable tbody').innerHTML = anomalies.slice(0, 20).map(anomaly => {
+                const index = anomaly.conversationId === null ? -1 : allConversations.findIndex(c => c.conversationId === anomaly.conversationId);
+                return \`
+                <tr>
+                    <td class="model-name">\${t('report.anomaly.' + anomaly.kind)}</td>
+                    \${anomaly.date
+                        ? \`<td style="font-family: 'Fira Code', monospace; font-size: 0.875rem;">\${anomaly.date}</td><td>-</td>\`
+                        : \`<td class="conversation-title privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(anomaly.conversationTitle)}</td>
+                    <td class="project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(anomaly.projectName)}</td>\`}
+                    <td class="cost">\${formatCurrency(anomaly.value, 4)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatCurrency(anomaly.typical, 4)} <span style="color: hsl(var(--text-400));">(×\${formatNumber(anomaly.value / anomaly.typical, 1)})</span></td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(anomaly.score, 1)}</td>
+                    <td>\${index !== -1 ? \`<button class="detail-button" onclick="showConversationDetail(\${index})">\${t('report.details')}</button>\` : ''}</td>
+                </tr>
+            \`;
+            }).join('');
+        }
+
+        renderAnomalies('all');
+
+        // Main thread and subagent spend per day, for the same days as the daily chart
+        const subagentChartElement = document.getElementById('subagentChart');
+        const subagentChart = subagentChartElement && new Chart(subagentChartElement, {
+            type: 'bar',
+            data: {
+                labels: dailyDataByProject.map(day => day.date),
+                datasets: [{
+                    label: t('report.mainThread'),
+                    data: [],
+                    backgroundColor: getChartColors().primary
+                }, {
+                    label: t('report.subagentSpend'),
+                    data: [],
+                    backgroundColor: getChartColors().secondary
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false,
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        stacked: true,
+                        ticks: {
+                            color: getChartColors().text
+                        },
+                        grid: {
+                            color: getChartColors().grid
+                        }
+                    },
+                    y: {
+                        stacked: true,
+                        beginAtZero: true,
+                        ticks: {
+                            color: getChartColors().text,
+                            callback: function(value) {
+                                return formatCurrency(value, 2);
+                            }
+                        },
+                        grid: {
+                            color: getChartColors().grid
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: getChartColors().text
+                        }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                return context.dataset.label + ': ' + formatCurrency(context.parsed.y, 4);
                             }
                         }
                     }
@@ -904,6 +2122,462 @@ function createHTMLReport(conversations) {
             }
         });
 
+        function renderSubagents(conversations, selectedProject) {
+            if (!subagentChart) return;
+
+            const totalCost = conversations.reduce((sum, c) => sum + c.totalCost, 0);
+            const withSubagents = conversations.filter(c => c.subagentCost > 0);
+            const subagentCost = withSubagents.reduce((sum, c) => sum + c.subagentCost, 0);
+            const subagentCount = withSubagents.reduce((sum, c) => sum + c.subagentCount, 0);
+            document.getElementById('subagentSummary').textContent = [
+                t('report.subagentSummary', {
+                    cost: formatCurrency(subagentCost, 4),
+                    percent: formatPercent(totalCost > 0 ? subagentCost / totalCost : 0),
+                    conversations: formatNumber(withSubagents.length)
+                }),
+                subagentCount > 0 ? t('report.subagentsSpawned', {
+                    count: formatNumber(subagentCount),
+                    cost: formatCurrency(subagentCost / subagentCount, 4)
+                }) : ''
+            ].join(' ').trim();
+
+            const days = dailyDataByProject.map(day => {
+                const dayConversations = selectedProject === 'all'
+                    ? day.conversations
+                    : day.conversations.filter(c => c.projectName === selectedProject);
+                const cost = dayConversations.reduce((sum, c) => sum + c.totalCost, 0);
+                const subagent = dayConversations.reduce((sum, c) => sum + (c.subagentCost || 0), 0);
+                return { main: cost - subagent, subagent };
+            });
+            subagentChart.data.datasets[0].data = days.map(day => day.main);
+            subagentChart.data.datasets[1].data = days.map(day => day.subagent);
+            subagentChart.update();
+        }
+
+        renderSubagents(allConversations, 'all');
+
+        // Sessions continued across several log files, the same aggregation as aggregateThreadCosts()
+        function aggregateThreads(conversations) {
+            const totals = {};
+            conversations
+                .slice()
+                .sort((a, b) => new Date(a.startTime || 0) - new Date(b.startTime || 0))
+                .forEach(conv => {
+                    const threadId = conv.threadId || conv.conversationId;
+                    const target = totals[threadId] || (totals[threadId] = {
+                        threadId,
+                        conversationTitle: conv.conversationTitle,
+                        projectName: conv.projectName,
+                        fileCount: conv.threadFileCount || 1,
+                        messageCount: 0,
+                        totalCost: 0,
+                        copiedMessageCount: 0,
+                        copiedCost: 0,
+                        startTime: conv.startTime,
+                        endTime: conv.endTime
+                    });
+                    target.messageCount += conv.messageCount;
+                    target.totalCost += conv.totalCost;
+                    target.copiedMessageCount += conv.copiedMessageCount || 0;
+                    target.copiedCost += conv.copiedCost || 0;
+                    if (conv.endTime && (!target.endTime || conv.endTime > target.endTime)) {
+                        target.endTime = conv.endTime;
+                    }
+                });
+            return Object.values(totals).sort((a, b) => b.totalCost - a.totalCost);
+        }
+
+        function renderThreads(conversations) {
+            const tbody = document.querySelector('#threadTable tbody');
+            if (!tbody) return;
+
+            const threads = aggregateThreads(conversations).filter(thread => thread.fileCount > 1);
+            const copiedCount = threads.reduce((sum, thread) => sum + thread.copiedMessageCount, 0);
+            document.getElementById('threadSummary').textContent = copiedCount > 0
+                ? t('report.copiedMessages', {
+                    count: formatNumber(copiedCount),
+                    cost: formatCurrency(threads.reduce((sum, thread) => sum + thread.copiedCost, 0), 4)
+                })
+                : '';
+            tbody.innerHTML = threads.slice(0, 20).map(thread => \`
+                <tr>
+                    <td class="conversation-title privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(thread.conversationTitle)}</td>
+                    <td class="project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(thread.projectName)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(thread.fileCount)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(thread.messageCount)}</td>
+                    <td style="color: hsl(var(--text-300)); font-family: 'Fira Code', monospace; font-size: 0.875rem;">\${formatDate(thread.startTime)} – \${formatDate(thread.endTime)}</td>
+                    <td class="cost">\${formatCurrency(thread.totalCost, 4)}</td>
+                </tr>
+            \`).join('');
+        }
+
+        renderThreads(allConversations);
+
+        // Prompt cache use: the same sums as summarizePromptCache(), per day from the report data
+        const promptCacheData = window.reportData.promptCache;
+        const promptCacheFields = ['inputTokens', 'cacheWriteTokens', 'cacheReadTokens', 'savings', 'writePremium', 'unreadWriteTokens', 'unreadWriteCost', 'missCount', 'modelSwitchCount'];
+
+        function summarizePromptCache(conversations) {
+            const stats = {};
+            promptCacheFields.forEach(field => {
+                stats[field] = conversations.reduce((sum, c) => sum + c.promptCache[field], 0);
+            });
+            const promptTokens = stats.inputTokens + stats.cacheWriteTokens + stats.cacheReadTokens;
+            stats.hitRatio = promptTokens > 0 ? stats.cacheReadTokens / promptTokens : null;
+            stats.netSavings = stats.savings - stats.writePremium;
+            return stats;
+        }
+
+        function formatSignedCurrency(value) {
+            return (value < 0 ? '-' : '+') + formatCurrency(Math.abs(value), 4);
+        }
+
+        const promptCacheChartElement = document.getElementById('promptCacheChart');
+        const promptCacheChart = promptCacheChartElement && new Chart(promptCacheChartElement, {
+            type: 'bar',
+            data: {
+                labels: dailyDataByProject.map(day => day.date),
+                datasets: [{
+                    label: t('report.netSavings'),
+                    data: [],
+                    backgroundColor: tokenTypes[3].color,
+                    yAxisID: 'y'
+                }, {
+                    label: t('report.unreadWrites'),
+                    data: [],
+                    backgroundColor: tokenTypes[2].color,
+                    yAxisID: 'y'
+                }, {
+                    type: 'line',
+                    label: t('report.hitRatio'),
+                    data: [],
+                    borderColor: getChartColors().secondary,
+                    pointRadius: 0,
+                    tension: 0.2,
+                    fill: false,
+                    yAxisID: 'y1'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false,
+                },
+                scales: {
+                    x: {
+                        type: 'time',
+                        ticks: { color: getChartColors().text },
+                        grid: { color: getChartColors().grid }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        ticks: {
+                            color: getChartColors().text,
+                            callback: function(value) {
+                                return formatCurrency(value, 2);
+                            }
+                        },
+                        grid: { color: getChartColors().grid }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        ticks: {
+                            color: getChartColors().text,
+                            callback: function(value) {
+                                return formatPercent(value);
+                            }
+                        },
+                        grid: { drawOnChartArea: false }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        labels: { color: getChartColors().text }
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: function(context) {
+                                if (context.dataset.yAxisID === 'y1') {
+                                    return context.dataset.label + ': ' + formatPercent(context.parsed.y);
+                                }
+                                return context.dataset.label + ': ' + formatCurrency(context.parsed.y, 4);
+                            }
+                        }
+                    }
+                }
+            }
+        });
+
+        function promptCacheCells(stats) {
+            return \`
+                    <td style="color: hsl(var(--text-200));">\${stats.hitRatio === null ? '-' : formatPercent(stats.hitRatio)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatSignedCurrency(stats.netSavings)}</td>
+                    <td class="cost">\${formatCurrency(stats.unreadWriteCost, 4)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(stats.missCount)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(stats.modelSwitchCount)}</td>\`;
+        }
+
+        function renderPromptCache(conversations, selectedProject) {
+            if (!promptCacheChart) return;
+
+            const stats = summarizePromptCache(conversations);
+            document.getElementById('promptCacheSummary').textContent = stats.hitRatio === null ? '' : t('report.promptCacheSummary', {
+                ratio: formatPercent(stats.hitRatio),
+                savings: formatCurrency(stats.savings, 4),
+                premium: formatCurrency(stats.writePremium, 4),
+                net: formatSignedCurrency(stats.netSavings),
+                unread: formatCurrency(stats.unreadWriteCost, 4)
+            });
+
+            const projects = {};
+            conversations.forEach(conv => {
+                (projects[conv.projectName] = projects[conv.projectName] || []).push(conv);
+            });
+            document.querySelector('#promptCacheProjectTable tbody').innerHTML = Object.entries(projects)
+                .map(([projectName, list]) => ({ projectName, ...summarizePromptCache(list) }))
+                .filter(project => project.hitRatio !== null)
+                .sort((a, b) => b.unreadWriteCost - a.unreadWriteCost)
+                .map(project => \`
+                <tr>
+                    <td class="project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(project.projectName)}</td>
+                    \${promptCacheCells(project)}
+                </tr>
+            \`).join('');
+
+            // The conversations that spent the most on cache writes never read
+            document.querySelector('#promptCacheConversationTable tbody').innerHTML = conversations
+                .filter(conv => conv.promptCache.unreadWriteCost > 0)
+                .sort((a, b) => b.promptCache.unreadWriteCost - a.promptCache.unreadWriteCost)
+                .slice(0, 10)
+                .map(conv => \`
+                <tr>
+                    <td class="conversation-title privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(conv.conversationTitle)}</td>
+                    <td class="project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${escapeHTML(conv.projectName)}</td>
+                    \${promptCacheCells(conv.promptCache)}
+                    <td><button class="detail-button" onclick="showConversationDetail(\${allConversations.indexOf(conv)})">\${t('report.details')}</button></td>
+                </tr>
+            \`).join('');
+
+            const days = selectedProject === 'all' ? promptCacheData.all : promptCacheData.projects[selectedProject] || [];
+            promptCacheChart.data.datasets[0].data = days.map(day => day.netSavings);
+            promptCacheChart.data.datasets[1].data = days.map(day => day.unreadWriteCost);
+            promptCacheChart.data.datasets[2].data = days.map(day => day.hitRatio);
+            promptCacheChart.update();
+        }
+
+        renderPromptCache(allConversations, 'all');
+
+        // Per-turn drill-down of one conversation
+        const cacheWriteColor = 'hsl(210, 70.9%, 51.6%)';
+        let turnChart = null;
+        let currentDetail = null;
+
+        function turnColors(detail) {
+            const colors = getChartColors();
+            const inStretch = turn => detail.cacheWriteStretches.some(s => turn >= s.fromTurn && turn <= s.toTurn);
+            return detail.turns.map(t => {
+                if (detail.topTurns.includes(t.turn)) return colors.secondary;
+                if (inStretch(t.turn)) return cacheWriteColor;
+                return colors.primaryAlpha;
+            });
+        }
+
+        function renderTurnChart(detail) {
+            const colors = getChartColors();
+            const labels = detail.turns.map(t => '#' + t.turn);
+            const costs = detail.turns.map(t => t.cost);
+            const cumulative = detail.turns.map(t => t.cumulativeCost);
+
+            if (turnChart) {
+                turnChart.data.labels = labels;
+                turnChart.data.datasets[0].data = costs;
+                turnChart.data.datasets[0].backgroundColor = turnColors(detail);
+                turnChart.data.datasets[1].data = cumulative;
+                turnChart.update();
+                return;
+            }
+
+            turnChart = new Chart(document.getElementById('turnChart'), {
+                type: 'bar',
+                data: {
+                    labels,
+                    datasets: [{
+                        label: t('report.turnCost'),
+                        data: costs,
+                        backgroundColor: turnColors(detail),
+                        yAxisID: 'y'
+                    }, {
+                        type: 'line',
+                        label: t('report.cumulativeCost'),
+                        data: cumulative,
+                        borderColor: colors.primary,
+                        backgroundColor: colors.primaryAlpha,
+                        pointRadius: 0,
+                        tension: 0.1,
+                        yAxisID: 'y1'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        x: {
+                            ticks: { color: colors.text },
+                            grid: { color: colors.grid }
+                        },
+                        y: {
+                            beginAtZero: true,
+                            position: 'left',
+                            ticks: {
+                                color: colors.text,
+                                callback: function(value) {
+                                    return formatCurrency(value, 2);
+                                }
+                            },
+                            grid: { color: colors.grid }
+                        },
+                        y1: {
+                            beginAtZero: true,
+                            position: 'right',
+                            ticks: {
+                                color: colors.text,
+                                callback: function(value) {
+                                    return formatCurrency(value, 2);
+                                }
+                            },
+                            grid: { drawOnChartArea: false }
+                        }
+                    },
+                    plugins: {
+                        legend: {
+                            labels: { color: colors.text }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    return context.dataset.label + ': ' + formatCurrency(context.parsed.y, 4);
+                                },
+                                afterBody: function(items) {
+                                    const turn = currentDetail.turns[items[0].dataIndex];
+                                    return [
+                                        t('report.tooltipModel', { model: turn.model }),
+                                        t('report.tooltipCache', {
+                                            written: formatTokens(turn.cacheWriteTokens),
+                                            read: formatTokens(turn.cacheReadTokens)
+                                        })
+                                    ];
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        }
+
+        function showConversationDetail(index) {
+            const conv = allConversations[index];
+            const detail = conv.detail;
+            const share = cost => detail.totalCost > 0 ? formatPercent(cost / detail.totalCost) : '-';
+            const stretchTurns = new Set();
+            detail.cacheWriteStretches.forEach(s => {
+                for (let turn = s.fromTurn; turn <= s.toTurn; turn++) stretchTurns.add(turn);
+            });
+
+            document.getElementById('detailTitle').textContent = conv.conversationTitle;
+            document.getElementById('detailSummary').innerHTML = \`
+                <p>\${t('report.detailSummary', {
+                    cost: '<span class="cost">' + formatCurrency(detail.totalCost, 4) + '</span>',
+                    turns: detail.turns.length
+                })}</p>
+                \${detail.thread.fileCount > 1 ? \`
+                    <p>\${t('report.detailThread', { files: detail.thread.fileCount })}\${detail.thread.copiedMessageCount > 0 ? ' ' + t('report.detailCopied', {
+                        count: detail.thread.copiedMessageCount,
+                        cost: formatCurrency(detail.thread.copiedCost, 4)
+                    }) : ''}</p>
+                \` : ''}
+                \${detail.duplicates.messageCount > detail.thread.copiedMessageCount ? \`
+                    <p>\${t('report.detailRepeated', {
+                        count: detail.duplicates.messageCount - detail.thread.copiedMessageCount,
+                        cost: formatCurrency(detail.duplicates.totalCost - detail.thread.copiedCost, 4)
+                    })}</p>
+                \` : ''}
+                \${detail.subagents.messageCount > 0 ? \`
+                    <p>\${t('report.detailSubagents', {
+                        cost: '<span class="cost">' + formatCurrency(detail.subagents.totalCost, 4) + '</span>',
+                        percent: share(detail.subagents.totalCost),
+                        count: detail.subagents.count,
+                        turns: detail.subagents.messageCount
+                    })}</p>
+                \` : ''}
+                \${detail.promptCache.hitRatio !== null ? \`
+                    <p>\${t('report.detailPromptCache', {
+                        ratio: formatPercent(detail.promptCache.hitRatio),
+                        net: formatSignedCurrency(detail.promptCache.netSavings),
+                        unread: '<span class="cost">' + formatCurrency(detail.promptCache.unreadWriteCost, 4) + '</span>',
+                        misses: formatNumber(detail.promptCache.missCount),
+                        switches: formatNumber(detail.promptCache.modelSwitchCount)
+                    })}</p>
+                \` : ''}
+                \${detail.topTurns.length > 0 ? \`
+                    <div>\${t('report.topTurns')}</div>
+                    <ul>\${detail.topTurns.map(number => {
+                        const turn = detail.turns[number - 1];
+                        return \`<li>#\${turn.turn} \${formatTime(turn.timestamp)}: <span class="cost">\${formatCurrency(turn.cost, 4)}</span> (\${share(turn.cost)}), \${escapeHTML(turn.model)}</li>\`;
+                    }).join('')}</ul>
+                \` : ''}
+                \${detail.cacheWriteStretches.length > 0 ? \`
+                    <div>\${t('report.cacheWriteStretches')}</div>
+                    <ul>\${detail.cacheWriteStretches.map(s => \`<li>#\${s.fromTurn}-#\${s.toTurn} (\${t('report.stretch', {
+                        turns: s.turnCount,
+                        start: formatTime(s.startTime),
+                        end: formatTime(s.endTime)
+                    })}): <span class="cost">\${formatCurrency(s.cost, 4)}</span> (\${share(s.cost)}), \${t('report.stretchWritten', { tokens: formatTokens(s.cacheWriteTokens) })}</li>\`).join('')}</ul>
+                \` : ''}
+                \${detail.tools.length > 0 ? \`
+                    <div>\${t('report.tools')}</div>
+                    <ul>\${detail.tools.map(tool => \`<li>\${escapeHTML(tool.tool)}: <span class="cost">\${formatCurrency(tool.totalCost, 4)}</span> (\${share(tool.totalCost)}), \${t('report.toolDetails', {
+                        calls: formatNumber(tool.callCount),
+                        errors: formatNumber(tool.errorCount),
+                        tokens: formatTokens(tool.resultTokens)
+                    })}</li>\`).join('')}</ul>
+                \` : ''}
+            \`;
+
+            document.querySelector('#turnTable tbody').innerHTML = detail.turns.map(turn => {
+                const isTop = detail.topTurns.includes(turn.turn);
+                const inStretch = stretchTurns.has(turn.turn);
+                const classes = [isTop ? 'turn-top' : '', inStretch ? 'turn-cache-write' : ''].join(' ');
+                return \`
+                    <tr class="\${classes}">
+                        <td>\${turn.turn}</td>
+                        <td style="font-family: 'Fira Code', monospace; font-size: 0.875rem;">\${formatTime(turn.timestamp)}</td>
+                        <td class="model-name">\${escapeHTML(turn.model)}</td>
+                        <td>\${formatTokens(turn.inputTokens)}</td>
+                        <td>\${formatTokens(turn.outputTokens)}</td>
+                        <td>\${formatTokens(turn.cacheWriteTokens)}</td>
+                        <td>\${formatTokens(turn.cacheReadTokens)}</td>
+                        <td class="cost">\${formatCurrency(turn.cost, 4)}</td>
+                        <td>\${formatCurrency(turn.cumulativeCost, 4)}</td>
+                        <td>\${isTop ? '<span class="turn-flag top">' + t('report.flagTop') + '</span>' : ''}\${inStretch ? '<span class="turn-flag cache-write">' + t('report.flagCacheWrite') + '</span>' : ''}\${turn.sidechain ? '<span class="turn-flag subagent">' + t('report.flagSubagent') + '</span>' : ''}\${turn.cacheMiss ? '<span class="turn-flag cache-miss">' + t('report.flagCacheMiss') + '</span>' : ''}</td>
+                    </tr>
+                \`;
+            }).join('');
+
+            const panel = document.getElementById('conversationDetail');
+            panel.hidden = false;
+            currentDetail = detail;
+            renderTurnChart(detail);
+            panel.scrollIntoView({ behavior: 'smooth' });
+        }
+
+        function hideConversationDetail() {
+            document.getElementById('conversationDetail').hidden = true;
+        }
+
         // Theme toggle function
         function toggleTheme() {
             currentTheme = currentTheme === 'dark' ? 'light' : 'dark';
@@ -914,10 +2588,10 @@ function createHTMLReport(conversations) {
             
             if (currentTheme === 'light') {
                 themeIcon.className = 'fas fa-moon';
-                themeText.textContent = 'Dark Mode';
+                themeText.textContent = t('report.darkMode');
             } else {
                 themeIcon.className = 'fas fa-sun';
-                themeText.textContent = 'Light Mode';
+                themeText.textContent = t('report.lightMode');
             }
             
             // Update chart colors
@@ -930,8 +2604,10 @@ function createHTMLReport(conversations) {
             // Update daily chart
             dailyChart.data.datasets[0].backgroundColor = colors.primaryAlpha;
             dailyChart.data.datasets[0].borderColor = colors.primary;
-            dailyChart.data.datasets[0].pointBackgroundColor = colors.primary;
-            dailyChart.data.datasets[0].pointBorderColor = colors.primary;
+            dailyChart.data.datasets[3].borderColor = colors.secondary;
+            dailyChart.data.datasets[5].borderColor = colors.primary;
+            dailyChart.data.datasets[7].backgroundColor = colors.primaryAlpha;
+            applyDailyBudget();
             
             dailyChart.options.scales.x.ticks.color = colors.text;
             dailyChart.options.scales.x.grid.color = colors.grid;
@@ -949,8 +2625,53 @@ function createHTMLReport(conversations) {
             conversationChart.options.scales.y.grid.color = colors.grid;
             conversationChart.options.plugins.legend.labels.color = colors.text;
             
+            // Update model chart
+            modelChart.options.scales.x.ticks.color = colors.text;
+            modelChart.options.scales.x.grid.color = colors.grid;
+            modelChart.options.scales.y.ticks.color = colors.text;
+            modelChart.options.scales.y.grid.color = colors.grid;
+            modelChart.options.plugins.legend.labels.color = colors.text;
+            
             dailyChart.update();
             conversationChart.update();
+            modelChart.update();
+
+            if (subagentChart) {
+                subagentChart.data.datasets[0].backgroundColor = colors.primary;
+                subagentChart.data.datasets[1].backgroundColor = colors.secondary;
+                ['x', 'y'].forEach(axis => {
+                    subagentChart.options.scales[axis].ticks.color = colors.text;
+                    subagentChart.options.scales[axis].grid.color = colors.grid;
+                });
+                subagentChart.options.plugins.legend.labels.color = colors.text;
+                subagentChart.update();
+            }
+
+            if (promptCacheChart) {
+                promptCacheChart.data.datasets[2].borderColor = colors.secondary;
+                ['x', 'y', 'y1'].forEach(axis => {
+                    promptCacheChart.options.scales[axis].ticks.color = colors.text;
+                });
+                ['x', 'y'].forEach(axis => {
+                    promptCacheChart.options.scales[axis].grid.color = colors.grid;
+                });
+                promptCacheChart.options.plugins.legend.labels.color = colors.text;
+                promptCacheChart.update();
+            }
+
+            // Update turn chart, if a conversation detail was opened
+            if (turnChart) {
+                turnChart.data.datasets[0].backgroundColor = turnColors(currentDetail);
+                turnChart.data.datasets[1].borderColor = colors.primary;
+                turnChart.data.datasets[1].backgroundColor = colors.primaryAlpha;
+                ['x', 'y', 'y1'].forEach(axis => {
+                    turnChart.options.scales[axis].ticks.color = colors.text;
+                });
+                turnChart.options.scales.x.grid.color = colors.grid;
+                turnChart.options.scales.y.grid.color = colors.grid;
+                turnChart.options.plugins.legend.labels.color = colors.text;
+                turnChart.update();
+            }
         }
 
         // Privacy toggle function
@@ -965,7 +2686,7 @@ function createHTMLReport(conversations) {
                 // Enable privacy mode
                 privacyButton.classList.add('active');
                 privacyIcon.className = 'fas fa-eye-slash';
-                privacyText.textContent = '分享模式';
+                privacyText.textContent = t('report.shareMode');
                 
                 // Add blur to sensitive elements
                 sensitiveElements.forEach(element => {
@@ -981,7 +2702,7 @@ function createHTMLReport(conversations) {
                 // Disable privacy mode
                 privacyButton.classList.remove('active');
                 privacyIcon.className = 'fas fa-eye';
-                privacyText.textContent = '隐私模式';
+                privacyText.textContent = t('report.privacyMode');
                 
                 // Remove blur from sensitive elements
                 sensitiveElements.forEach(element => {
@@ -1001,12 +2722,12 @@ function createHTMLReport(conversations) {
             if (isPrivate) {
                 // Replace conversation titles with generic labels in bar chart
                 const genericLabels = conversationChart.data.labels.map((label, index) => 
-                    \`对话 #\${index + 1}\`
+                    t('report.conversationNumber', { number: index + 1 })
                 );
                 conversationChart.data.labels = genericLabels;
             } else {
                 // Restore original labels
-                const originalLabels = ${JSON.stringify(
+                const originalLabels = ${toScriptJSON(
                   chartData.map(c => c.label.substring(0, 50) + (c.label.length > 50 ? '...' : ''))
                 )};
                 conversationChart.data.labels = originalLabels;
@@ -1038,9 +2759,9 @@ function createHTMLReport(conversations) {
             
             // Update summary
             const totalCost = filteredConversations.reduce((sum, c) => sum + c.totalCost, 0);
-            document.querySelector('.summary-value').textContent = '$' + totalCost.toFixed(4);
-            document.querySelectorAll('.summary-value')[1].textContent = filteredConversations.length;
-            document.querySelectorAll('.summary-value')[2].textContent = '$' + (totalCost / filteredConversations.length).toFixed(4);
+            document.querySelector('.summary-value').textContent = formatCurrency(totalCost, 4);
+            document.querySelectorAll('.summary-value')[1].textContent = formatNumber(filteredConversations.length);
+            document.querySelectorAll('.summary-value')[2].textContent = formatCurrency(totalCost / filteredConversations.length, 4);
             
             // Update daily chart
             const filteredDailyData = dailyDataByProject.map(day => {
@@ -1055,30 +2776,44 @@ function createHTMLReport(conversations) {
             });
             
             dailyChart.data.datasets[0].data = filteredDailyData.map(d => d.cost);
-            dailyChart.update();
+            selectedBudgetProject = selectedProject;
+            applyDailyBudget();
             
             // Update conversation chart
             const topFiltered = filteredConversations.slice(0, 20);
             conversationChart.data.labels = topFiltered.map(c => {
-                const label = c.conversationTitle || c.conversationName.split('/').pop() || 'Unknown';
+                const label = c.conversationTitle || t('common.unknown');
                 return label.substring(0, 50) + (label.length > 50 ? '...' : '');
             });
             conversationChart.data.datasets[0].data = topFiltered.map(c => c.totalCost);
             conversationChart.update();
             
+            // Update model breakdown
+            renderModelBreakdown(filteredConversations);
+            renderBranchBreakdown(filteredConversations);
+            renderToolBreakdown(filteredConversations);
+            renderTrends(selectedProject);
+            renderForecast(selectedProject);
+            renderAnomalies(selectedProject);
+            renderSubagents(filteredConversations, selectedProject);
+            renderThreads(filteredConversations);
+            renderPromptCache(filteredConversations, selectedProject);
+            
             // Update table
             const tbody = document.querySelector('#conversationTable tbody');
             tbody.innerHTML = topFiltered.map((conv, index) => \`
-                <tr data-project="\${conv.projectName}">
-                    <td class="conversation-title privacy-sensitive collapsed \${privacyMode ? 'privacy-blur' : ''}" title="点击展开完整标题" onclick="toggleTitle(this)">
-                        <span class="title-content">\${conv.conversationTitle}</span>
+                <tr data-project="\${escapeHTML(conv.projectName)}">
+                    <td class="conversation-title privacy-sensitive collapsed \${privacyMode ? 'privacy-blur' : ''}" title="\${t('report.expandTitle')}" onclick="toggleTitle(this)">
+                        <span class="title-content">\${escapeHTML(conv.conversationTitle)}</span>
                         <i class="expand-icon fas fa-expand-alt"></i>
                     </td>
-                    <td class="project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}">\${(conv.conversationName.split('/').pop() || conv.projectName).replace(/-Users-haleclipse-WorkSpace-/, '')}</td>
-                    <td class="cost">$\${conv.totalCost.toFixed(6)}</td>
-                    <td style="color: hsl(var(--text-200));">\${conv.messageCount}</td>
-                    <td style="color: hsl(var(--text-200));">\${conv.duration.toFixed(1)} 分钟</td>
-                    <td style="color: hsl(var(--text-300)); font-family: 'Fira Code', monospace; font-size: 0.875rem;">\${conv.startTime ? conv.startTime.toLocaleDateString() : 'Unknown'}</td>
+                    <td class="project-name privacy-sensitive \${privacyMode ? 'privacy-blur' : ''}" title="\${escapeHTML(conv.projectPath)}">\${escapeHTML(conv.projectName)}</td>
+                    <td class="model-name">\${modelFamilies(conv).join(', ')}</td>
+                    <td class="cost">\${formatCurrency(conv.totalCost, 6)}</td>
+                    <td style="color: hsl(var(--text-200));">\${formatNumber(conv.messageCount)}</td>
+                    <td style="color: hsl(var(--text-200));">\${t('report.durationMinutes', { minutes: formatNumber(conv.duration, 1) })}</td>
+                    <td style="color: hsl(var(--text-300)); font-family: 'Fira Code', monospace; font-size: 0.875rem;">\${formatDate(conv.startTime)}</td>
+                    <td><button class="detail-button" onclick="showConversationDetail(\${allConversations.indexOf(conv)})">\${t('report.details')}</button></td>
                 </tr>
             \`).join('');
         });
@@ -1093,13 +2828,13 @@ function createHTMLReport(conversations) {
                 element.classList.remove('collapsed');
                 element.classList.add('expanded');
                 icon.className = 'expand-icon fas fa-compress-alt';
-                element.title = '点击收起';
+                element.title = t('report.collapseTitle');
             } else {
                 // Collapse
                 element.classList.remove('expanded');
                 element.classList.add('collapsed');
                 icon.className = 'expand-icon fas fa-expand-alt';
-                element.title = '点击展开完整标题';
+                element.title = t('report.expandTitle');
             }
         }
         
@@ -1113,7 +2848,7 @@ function createHTMLReport(conversations) {
                     const icon = title.querySelector('.expand-icon');
                     if (icon) {
                         icon.className = 'expand-icon fas fa-expand-alt';
-                        title.title = '点击展开完整标题';
+                        title.title = t('report.expandTitle');
                     }
                 });
             }
@@ -1122,81 +2857,373 @@ function createHTMLReport(conversations) {
 </body>
 </html>`;
 
-  const outputPath = path.join(os.tmpdir(), `claude-costs-report-${Date.now()}.html`);
+  return html;
+}
+
+function createHTMLReport(conversations, options = {}) {
+  const html = renderReportHTML(conversations, options);
+  const outputPath =
+    options.out || path.join(os.tmpdir(), `claude-costs-report-${Date.now()}.html`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
   fs.writeFileSync(outputPath, html);
-  console.log(`\nHTML report generated: ${outputPath}`);
   return outputPath;
 }
 
-function displaySummary(conversations) {
+function displaySummary(conversations, options = {}) {
   const conversationsWithCosts = conversations.filter(c => c.totalCost > 0);
   const totalCost = conversationsWithCosts.reduce((sum, c) => sum + c.totalCost, 0);
 
-  console.log('\n=== Claude Conversation Cost Summary ===\n');
-  console.log(`Total Cost: $${totalCost.toFixed(4)}`);
-  console.log(`Total Conversations with Costs: ${conversationsWithCosts.length}`);
-  console.log(`Total Conversations Analyzed: ${conversations.length}`);
+  console.log(`\n=== ${t('summary.title')} ===\n`);
+  console.log(t('summary.totalCost', { cost: formatCurrency(totalCost, 4) }));
+  console.log(t('summary.conversationsWithCosts', { count: conversationsWithCosts.length }));
+  console.log(t('summary.conversationsAnalyzed', { count: conversations.length }));
   console.log(
-    `Average Cost per Conversation: $${(totalCost / conversationsWithCosts.length).toFixed(4)}`
+    t('summary.averageCost', {
+      cost: formatCurrency(totalCost / conversationsWithCosts.length, 4)
+    })
   );
-  
+  const duplicateCount = conversations.reduce((sum, c) => sum + (c.duplicateMessageCount || 0), 0);
+  if (duplicateCount > 0) {
+    console.log(
+      t('summary.duplicates', {
+        count: formatNumber(duplicateCount),
+        cost: formatCurrency(
+          conversations.reduce((sum, c) => sum + (c.duplicateCost || 0), 0),
+          4
+        )
+      })
+    );
+  }
+
   // Show project breakdown
-  const projectStats = {};
-  conversations.forEach(conv => {
-    if (!projectStats[conv.projectName]) {
-      projectStats[conv.projectName] = {
-        total: 0,
-        withCost: 0,
-        totalCost: 0
-      };
-    }
-    projectStats[conv.projectName].total++;
-    if (conv.totalCost > 0) {
-      projectStats[conv.projectName].withCost++;
-      projectStats[conv.projectName].totalCost += conv.totalCost;
+  console.log(`\n=== ${t('summary.projectBreakdown')} ===`);
+  aggregateProjectCosts(conversations).forEach(stats => {
+    console.log(`\n${stats.projectName}:`);
+    console.log(
+      `  ${t('summary.projectConversations', {
+        count: stats.conversationCount,
+        withCosts: stats.conversationsWithCost
+      })}`
+    );
+    console.log(`  ${t('summary.totalCost', { cost: formatCurrency(stats.totalCost, 4) })}`);
+  });
+
+  // Show model breakdown
+  const modelStats = aggregateModelCosts(conversations);
+  const percentOf = value => formatPercent(totalCost > 0 ? value / totalCost : 0);
+
+  console.log(`\n=== ${t('summary.modelBreakdown')} ===`);
+  const familyCosts = {};
+  modelStats.forEach(stats => {
+    familyCosts[stats.family] = (familyCosts[stats.family] || 0) + stats.totalCost;
+  });
+  console.log(
+    Object.entries(familyCosts)
+      .map(([family, cost]) => `${family}: ${formatCurrency(cost, 4)} (${percentOf(cost)})`)
+      .join(' | ')
+  );
+  modelStats.forEach(stats => {
+    console.log(`\n${stats.model}:`);
+    console.log(`  ${t('summary.messages', { count: formatNumber(stats.messageCount) })}`);
+    console.log(
+      `  ${t('summary.modelTokens', {
+        input: formatTokens(stats.inputTokens),
+        output: formatTokens(stats.outputTokens),
+        cacheWrite: formatTokens(stats.cacheWriteTokens),
+        cacheRead: formatTokens(stats.cacheReadTokens)
+      })}`
+    );
+    console.log(
+      `  ${t('summary.modelCost', {
+        cost: formatCurrency(stats.totalCost, 4),
+        input: formatCurrency(stats.inputCost, 4),
+        output: formatCurrency(stats.outputCost, 4),
+        cacheWrite: formatCurrency(stats.cacheWriteCost, 4),
+        cacheRead: formatCurrency(stats.cacheReadCost, 4)
+      })}`
+    );
+  });
+
+  // Show models that had no pricing entry and were billed at the default rates
+  const unpricedModels = modelStats.filter(m => m.pricedByDefault);
+  if (unpricedModels.length > 0) {
+    console.log(`\n⚠️  ${t('summary.unpricedModels')}`);
+    unpricedModels.forEach(m => {
+      const tokens = m.inputTokens + m.outputTokens + m.cacheWriteTokens + m.cacheReadTokens;
+      console.log(
+        `  ${t('summary.unpricedModel', {
+          model: m.model,
+          messages: formatNumber(m.messageCount),
+          tokens: formatTokens(tokens),
+          cost: formatCurrency(m.totalCost, 4)
+        })}`
+      );
+    });
+    console.log(`  ${t('summary.unpricedHint', { path: getDefaultPricingPath() })}`);
+  }
+
+  // Show where the money went by token type
+  const tokenTypes = [
+    ['tokens.input', 'inputTokens', 'inputCost'],
+    ['tokens.output', 'outputTokens', 'outputCost'],
+    ['tokens.cacheWrite', 'cacheWriteTokens', 'cacheWriteCost'],
+    ['tokens.cacheRead', 'cacheReadTokens', 'cacheReadCost']
+  ];
+  const labelWidth = Math.max(...tokenTypes.map(([key]) => textWidth(t(key)))) + 2;
+  console.log(`\n=== ${t('summary.tokenTypeBreakdown')} ===`);
+  tokenTypes.forEach(([key, tokensKey, costKey]) => {
+    const tokens = modelStats.reduce((sum, m) => sum + m[tokensKey], 0);
+    const cost = modelStats.reduce((sum, m) => sum + m[costKey], 0);
+    console.log(
+      `${t(key)}:${' '.repeat(labelWidth - textWidth(t(key)) - 1)}${t('summary.tokenTypeCost', {
+        cost: formatCurrency(cost, 4),
+        percent: percentOf(cost),
+        tokens: formatTokens(tokens)
+      })}`
+    );
+  });
+
+  // Show how well the prompt cache was used and where it was wasted
+  const promptCache = summarizePromptCache(conversations);
+  if (promptCache.hitRatio !== null) {
+    console.log(`\n=== ${t('summary.promptCache')} ===`);
+    console.log(
+      t('summary.cacheHitRatio', {
+        ratio: formatPercent(promptCache.hitRatio),
+        read: formatTokens(promptCache.cacheReadTokens),
+        written: formatTokens(promptCache.cacheWriteTokens),
+        input: formatTokens(promptCache.inputTokens)
+      })
+    );
+    console.log(
+      t('summary.cacheSavings', {
+        savings: formatCurrency(promptCache.savings, 4),
+        premium: formatCurrency(promptCache.writePremium, 4),
+        net: formatCurrencyChange(promptCache.netSavings)
+      })
+    );
+    console.log(
+      t('summary.unreadCacheWrites', {
+        tokens: formatTokens(promptCache.unreadWriteTokens),
+        cost: formatCurrency(promptCache.unreadWriteCost, 4)
+      })
+    );
+    const worst = findWorstCacheConversations(conversations, 5);
+    if (worst.length > 0) {
+      console.log(`\n${t('summary.worstCacheConversations')}`);
+      worst.forEach((conv, i) => {
+        const stats = conv.promptCache;
+        console.log(`${i + 1}. ${conv.conversationTitle} (${conv.projectName})`);
+        console.log(
+          `   ${t('summary.worstCacheDetails', {
+            cost: formatCurrency(stats.unreadWriteCost, 4),
+            ratio: stats.hitRatio === null ? '-' : formatPercent(stats.hitRatio),
+            misses: formatNumber(stats.missCount),
+            switches: formatNumber(stats.modelSwitchCount)
+          })}`
+        );
+      });
     }
+  }
+
+  // Show how this week and month compare with the last
+  const trends = getTrends(aggregateDailyCosts(conversations));
+  const latestAverages = trends.averages[trends.averages.length - 1];
+  console.log(`\n=== ${t('summary.trends')} ===`);
+  [
+    ['summary.weekOverWeek', trends.week],
+    ['summary.monthOverMonth', trends.month]
+  ].forEach(([key, comparison]) => {
+    console.log(
+      t(key, {
+        current: formatCurrency(comparison.current.totalCost, 4),
+        base: formatCurrency(comparison.base.totalCost, 4),
+        change: [
+          formatCurrencyChange(comparison.difference),
+          ...(comparison.percent === null ? [] : [formatPercentChange(comparison.percent)])
+        ].join(', ')
+      })
+    );
   });
-  
-  console.log('\n=== Project Breakdown ===');
-  Object.entries(projectStats)
-    .sort((a, b) => b[1].totalCost - a[1].totalCost)
-    .forEach(([project, stats]) => {
-      const projectDisplay = project.replace(/-Users-haleclipse-WorkSpace-/, '');
-      console.log(`\n${projectDisplay}:`);
-      console.log(`  Conversations: ${stats.total} (${stats.withCost} with costs)`);
-      console.log(`  Total Cost: $${stats.totalCost.toFixed(4)}`);
+  if (latestAverages.average30 !== null) {
+    console.log(
+      t('summary.rollingAverages', {
+        week: formatCurrency(latestAverages.average7, 4),
+        month: formatCurrency(latestAverages.average30, 4)
+      })
+    );
+  }
+  if (trends.week.projects.length > 0) {
+    console.log(
+      `\n${formatBreakdowns(trends.week, {
+        baseLabel: t('summary.lastWeek'),
+        currentLabel: t('summary.thisWeek'),
+        limit: 5
+      }).join('\n')}`
+    );
+  }
+
+  // Show where this month and quarter are heading
+  const forecast = getForecast(aggregateDailyCosts(conversations));
+  console.log(`\n=== ${t('summary.forecast')} ===`);
+  if (forecast) {
+    [
+      ['summary.monthEnd', forecast.month],
+      ['summary.quarterEnd', forecast.quarter]
+    ].forEach(([key, projection]) => {
+      console.log(
+        t(key, {
+          date: projection.to,
+          projected: formatCurrency(projection.projected, 2),
+          low: formatCurrency(projection.low, 2),
+          high: formatCurrency(projection.high, 2),
+          spent: formatCurrency(projection.spent, 2)
+        })
+      );
     });
+    console.log(
+      t('summary.forecastModel', {
+        average: formatCurrency(forecast.model.dailyAverage, 4),
+        days: forecast.model.dayCount
+      })
+    );
+    if (forecast.model.weekdayFactors.some(factor => factor !== 1)) {
+      // Listed from Monday
+      const weekDays = [1, 2, 3, 4, 5, 6, 0];
+      const { weekdayFactors } = forecast.model;
+      console.log(
+        t('summary.weekdayFactors', {
+          factors: weekDays
+            .map(day => `${formatWeekDay(day)} ${formatNumber(weekdayFactors[day], 2)}`)
+            .join(', ')
+        })
+      );
+    }
+  } else {
+    console.log(t('summary.noForecast'));
+  }
+
+  // Warn about conversations and days that cost far more than usual
+  const anomalies = detectAnomalies(
+    conversations,
+    aggregateDailyCosts(conversations),
+    options.anomalyThreshold
+  );
+  console.log(`\n=== ${t('summary.anomalies')} ===`);
+  if (anomalies.length > 0) {
+    anomalies.slice(0, 10).forEach(anomaly => console.log(`⚠️  ${formatAnomaly(anomaly)}`));
+    if (anomalies.length > 10) {
+      console.log(t('summary.moreAnomalies', { count: formatNumber(anomalies.length - 10) }));
+    }
+  } else {
+    console.log(t('summary.noAnomalies'));
+  }
+
+  // Show the most expensive git branches
+  const branchStats = aggregateBranchCosts(conversations);
+  if (branchStats.length > 0) {
+    console.log(`\n=== ${t('summary.branchBreakdown')} ===`);
+    branchStats.slice(0, 10).forEach(stats => {
+      const details = [t('summary.branchConversations', { count: stats.conversationCount })];
+      if (stats.commitCount !== null) {
+        details.push(t('summary.branchCommits', { count: stats.commitCount }));
+      }
+      console.log(
+        `${stats.repository} ${stats.branch}: ${formatCurrency(stats.totalCost, 4)} (${details.join(
+          ', '
+        )})`
+      );
+    });
+  }
+
+  // Show the tools whose calls and results cost the most
+  const toolStats = aggregateToolCosts(conversations);
+  if (toolStats.length > 0) {
+    console.log(`\n=== ${t('summary.toolBreakdown')} ===`);
+    toolStats.slice(0, 10).forEach(stats => {
+      console.log(
+        `${stats.tool}: ${formatCurrency(stats.totalCost, 4)} (${t('summary.toolDetails', {
+          calls: formatNumber(stats.callCount),
+          errors: formatNumber(stats.errorCount),
+          tokens: formatTokens(stats.resultTokens),
+          resultCost: formatCurrency(stats.resultCost, 4)
+        })})`
+      );
+    });
+  }
+
+  // Show how much went to Task subagents
+  const withSubagents = conversations.filter(c => c.subagentCost > 0);
+  if (withSubagents.length > 0) {
+    const subagentCost = withSubagents.reduce((sum, c) => sum + c.subagentCost, 0);
+    const subagentCount = withSubagents.reduce((sum, c) => sum + c.subagentCount, 0);
+    console.log(`\n=== ${t('summary.subagents')} ===`);
+    console.log(
+      t('summary.subagentCost', {
+        cost: formatCurrency(subagentCost, 4),
+        percent: percentOf(subagentCost),
+        conversations: formatNumber(withSubagents.length)
+      })
+    );
+    console.log(t('summary.mainThreadCost', { cost: formatCurrency(totalCost - subagentCost, 4) }));
+    if (subagentCount > 0) {
+      console.log(
+        t('summary.subagentAverage', {
+          count: formatNumber(subagentCount),
+          cost: formatCurrency(subagentCost / subagentCount, 4)
+        })
+      );
+    }
+  }
+
+  // Show the sessions that were resumed or continued in other log files
+  const continuedThreads = aggregateThreadCosts(conversations).filter(s => s.fileCount > 1);
+  if (continuedThreads.length > 0) {
+    console.log(`\n=== ${t('summary.threads')} ===`);
+    console.log(
+      t('summary.threadCount', {
+        threads: formatNumber(continuedThreads.length),
+        files: formatNumber(continuedThreads.reduce((sum, s) => sum + s.fileCount, 0))
+      })
+    );
+    const copiedCount = continuedThreads.reduce((sum, s) => sum + s.copiedMessageCount, 0);
+    if (copiedCount > 0) {
+      console.log(
+        t('summary.copiedMessages', {
+          count: formatNumber(copiedCount),
+          cost: formatCurrency(
+            continuedThreads.reduce((sum, s) => sum + s.copiedCost, 0),
+            4
+          )
+        })
+      );
+    }
+    continuedThreads.slice(0, 5).forEach(stats => {
+      console.log(
+        `${stats.conversationTitle}: ${formatCurrency(stats.totalCost, 4)} (${t(
+          'summary.threadFiles',
+          { count: stats.fileCount }
+        )})`
+      );
+    });
+  }
 
   // Show top 5 with titles
-  console.log('\nTop 5 Most Expensive Conversations:');
+  console.log(`\n${t('summary.topConversations')}`);
   conversationsWithCosts
     .sort((a, b) => b.totalCost - a.totalCost)
     .slice(0, 5)
     .forEach((conv, i) => {
       console.log(`${i + 1}. ${conv.conversationTitle}`);
-      console.log(`   Project: ${conv.conversationName.split('/').pop() || conv.projectName}`);
-      console.log(`   Cost: $${conv.totalCost.toFixed(6)}`);
-      console.log(`   Date: ${conv.startTime ? conv.startTime.toLocaleDateString() : 'Unknown'}`);
+      console.log(
+        `   ${t('summary.project', { project: conv.projectName })}`
+      );
+      console.log(`   ${t('summary.cost', { cost: formatCurrency(conv.totalCost, 6) })}`);
+      console.log(`   ${t('summary.date', { date: formatDate(conv.startTime) })}`);
     });
 }
 
-// Main execution
-async function main() {
-  console.log('Analyzing Claude conversation costs...\n');
-
-  const conversations = await analyzeAllConversations();
-
-  if (conversations.length === 0) {
-    console.log('No conversations found.');
-    return;
-  }
-
-  displaySummary(conversations);
-  const reportPath = createHTMLReport(conversations);
-
-  console.log('\nOpening report in browser...');
-
-  // Open the HTML file in the default browser
+function openInBrowser(reportPath) {
   const platform = process.platform;
   let cmd;
   if (platform === 'darwin') {
@@ -1209,10 +3236,395 @@ async function main() {
 
   exec(cmd, err => {
     if (err) {
-      console.error('Failed to open browser automatically.');
-      console.log(`Please open the following file manually: ${reportPath}`);
+      console.error(t('cli.openFailed'));
+      console.log(t('cli.openManually', { path: reportPath }));
     }
   });
 }
 
-main().catch(console.error);
\ No newline at end of file
+// Budget alerts go to stderr even with --quiet, and set a distinct exit code
+function reportBudgetAlerts(alerts) {
+  if (alerts.length === 0) return;
+
+  alerts.forEach(alert => console.error(formatBudgetAlert(alert)));
+  process.exitCode = getBudgetExitCode(alerts);
+}
+
+// Main execution
+async function main(argv = process.argv.slice(2)) {
+  let command;
+  let positionals;
+  let options;
+  try {
+    ({ command, positionals, options } = parseArgs(argv));
+  } catch (e) {
+    if (!(e instanceof UsageError)) throw e;
+    console.error(`Error: ${e.message}`);
+    console.error('Run with --help to see the available options.');
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(formatHelp());
+    return;
+  }
+  if (options.version) {
+    console.log(require('./package.json').version);
+    return;
+  }
+
+  const locale = options.lang ? resolveLocale(options.lang) : detectLocale();
+  if (!locale) {
+    console.error(
+      `Error: Unsupported language: ${options.lang} (available: ${getAvailableLocales().join(
+        ', '
+      )})`
+    );
+    process.exitCode = 2;
+    return;
+  }
+  setLocale(locale);
+  if (options.tz) setTimeZone(options.tz);
+  setWeekStart(options.weekStart);
+
+  if (options.forecastWarn !== undefined && options.forecastWarn <= 0) {
+    console.error(`Error: --forecast-warn must be a positive amount: ${options.forecastWarn}`);
+    process.exitCode = 2;
+    return;
+  }
+  if (options.anomalyThreshold !== undefined && options.anomalyThreshold <= 0) {
+    console.error(
+      `Error: --anomaly-threshold must be a positive number: ${options.anomalyThreshold}`
+    );
+    process.exitCode = 2;
+    return;
+  }
+
+  // Machine-readable output on stdout must not be mixed with progress text
+  if (options.format && !options.out) {
+    options.quiet = true;
+  }
+
+  const log = options.quiet ? () => {} : console.log;
+
+  let budgets;
+  let anomalyThreshold;
+  try {
+    const config = loadConfig(options.config);
+    loadPricing(options.pricing);
+    budgets = loadBudgets(config, options);
+    anomalyThreshold = loadAnomalyThreshold(config, options);
+    loadProjectAliases(config);
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+    console.error(`Error: ${e.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const claudeProjectsDir = options.dir || path.join(os.homedir(), '.claude', 'projects');
+
+  if (command === 'watch') {
+    if (!fs.existsSync(claudeProjectsDir)) {
+      console.error('Claude projects directory not found:', claudeProjectsDir);
+      process.exitCode = 1;
+      return;
+    }
+    const watcher = startWatch({ dir: claudeProjectsDir, dedupe: options.dedupe });
+    process.once('SIGINT', () => {
+      watcher.stop();
+      console.log('');
+    });
+    return;
+  }
+
+  if (command === 'serve') {
+    if (options.port < 0 || options.port > 65535) {
+      console.error(`Error: Invalid port: ${options.port}`);
+      process.exitCode = 2;
+      return;
+    }
+    if (!fs.existsSync(claudeProjectsDir)) {
+      console.error('Claude projects directory not found:', claudeProjectsDir);
+      process.exitCode = 1;
+      return;
+    }
+    // Refreshes rely on the parse cache to only read what was appended
+    const server = startServer(
+      { port: options.port, host: options.host, dir: claudeProjectsDir, log },
+      {
+        loadConversations: () => analyzeAllConversations({ ...options, quiet: true }),
+        renderReport: (conversations, dataSrc) =>
+          renderReportHTML(conversations, {
+            ...options,
+            anomalyThreshold,
+            budgets,
+            budgetAlerts: [
+              ...evaluateBudgets(conversations, budgets),
+              ...evaluateForecast(conversations, options.forecastWarn)
+            ],
+            dataSrc
+          }),
+        renderReportData: conversations =>
+          `window.reportData = ${toScriptJSON(
+            buildReportData(conversations, { anomalyThreshold })
+          )};\n`,
+        aggregateDaily: aggregateDailyCosts,
+        aggregateProjects: aggregateProjectCosts,
+        aggregateModels: aggregateModelCosts,
+        aggregateBranches: aggregateBranchCosts,
+        aggregateTools: aggregateToolCosts,
+        aggregateThreads: aggregateThreadCosts
+      }
+    );
+    process.once('SIGINT', () => {
+      server.stop();
+      console.log('');
+    });
+    return;
+  }
+
+  if (command === 'show') {
+    if (options.format && options.format !== 'json') {
+      console.error('Error: show only supports --format json');
+      process.exitCode = 2;
+      return;
+    }
+    const conversations = await analyzeAllConversations({ ...options, quiet: true });
+    const { conversation, matches } = findConversation(conversations, positionals[0]);
+    if (!conversation) {
+      console.error(
+        matches.length === 0
+          ? `No conversation found with ID ${positionals[0]}`
+          : `Several conversations match ${positionals[0]}: ${matches
+              .slice(0, 10)
+              .map(c => `${c.conversationId} (${c.projectName})`)
+              .join(', ')}${matches.length > 10 ? `, and ${matches.length - 10} more` : ''}`
+      );
+      process.exitCode = 1;
+      return;
+    }
+    const detail = buildConversationDetail(conversation);
+    const output = options.format
+      ? JSON.stringify(detail, null, 2) + '\n'
+      : formatConversationDetail(detail) + '\n';
+    if (options.out) {
+      fs.mkdirSync(path.dirname(options.out), { recursive: true });
+      fs.writeFileSync(options.out, output);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  if (command === 'reconcile') {
+    if (!options.billing) {
+      console.error('Error: reconcile needs --billing <file>');
+      process.exitCode = 2;
+      return;
+    }
+    if (options.format && options.format !== 'json') {
+      console.error('Error: reconcile only supports --format json');
+      process.exitCode = 2;
+      return;
+    }
+    let billingRows;
+    try {
+      billingRows = readBillingCSV(options.billing);
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      console.error(`Error: ${e.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    // The console reports usage by UTC day; --since and --until are UTC days
+    // too (see parseArgs)
+    setTimeZone('UTC');
+    const conversations = await analyzeAllConversations({ ...options, quiet: true });
+    const range = {
+      from: options.since ? getDateKey(options.since) : null,
+      to: options.until ? getDateKey(options.until) : null
+    };
+    const result = reconcileBilling(aggregateDailyCosts(conversations), billingRows, range);
+    const output = options.format
+      ? JSON.stringify(result, null, 2) + '\n'
+      : formatReconciliation(result) + '\n';
+    if (options.out) {
+      fs.mkdirSync(path.dirname(options.out), { recursive: true });
+      fs.writeFileSync(options.out, output);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  if (command === 'compare') {
+    if (!options.from || !options.to) {
+      console.error('Error: compare needs --from <start..end> and --to <start..end>');
+      process.exitCode = 2;
+      return;
+    }
+    if (options.format && options.format !== 'json') {
+      console.error('Error: compare only supports --format json');
+      process.exitCode = 2;
+      return;
+    }
+    const conversations = await analyzeAllConversations({ ...options, quiet: true });
+    const comparison = comparePeriods(aggregateDailyCosts(conversations), options.from, options.to);
+    const label = range => (range.from === range.to ? range.from : `${range.from}..${range.to}`);
+    const output = options.format
+      ? JSON.stringify(comparison, null, 2) + '\n'
+      : [
+          t('compare.title', { base: label(options.from), current: label(options.to) }),
+          '',
+          ...formatComparison(comparison, {
+            baseLabel: label(options.from),
+            currentLabel: label(options.to)
+          })
+        ].join('\n') + '\n';
+    if (options.out) {
+      fs.mkdirSync(path.dirname(options.out), { recursive: true });
+      fs.writeFileSync(options.out, output);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  if (command === 'export-snapshot') {
+    if (options.format) {
+      console.error('Error: export-snapshot always writes JSON and takes no --format');
+      process.exitCode = 2;
+      return;
+    }
+    const conversations = await analyzeAllConversations({ ...options, quiet: true });
+    const snapshot = buildSnapshot(conversations, {
+      machine: options.machine,
+      user: options.user,
+      anonymize: options.anonymize
+    });
+    const output = JSON.stringify(snapshot) + '\n';
+    if (options.out) {
+      fs.mkdirSync(path.dirname(options.out), { recursive: true });
+      fs.writeFileSync(options.out, output);
+      log(
+        t('cli.snapshotWritten', {
+          count: formatNumber(snapshot.conversations.length),
+          path: options.out
+        })
+      );
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  if (command === 'aggregate') {
+    if (options.format && options.format !== 'json') {
+      console.error('Error: aggregate only supports --format json');
+      process.exitCode = 2;
+      return;
+    }
+    let snapshots;
+    try {
+      snapshots = readSnapshots(path.resolve(positionals[0]));
+    } catch (e) {
+      if (!(e instanceof ConfigError)) throw e;
+      console.error(`Error: ${e.message}`);
+      process.exitCode = 1;
+      return;
+    }
+    const result = aggregateSnapshots(snapshots, options);
+    const output = options.format
+      ? JSON.stringify(result, null, 2) + '\n'
+      : formatTeamReport(result) + '\n';
+    if (options.out) {
+      fs.mkdirSync(path.dirname(options.out), { recursive: true });
+      fs.writeFileSync(options.out, output);
+    } else {
+      process.stdout.write(output);
+    }
+    return;
+  }
+
+  log(`${t('cli.analyzing')}\n`);
+
+  const conversations = await analyzeAllConversations(options);
+  const budgetAlerts = [
+    ...evaluateBudgets(conversations, budgets),
+    ...evaluateForecast(conversations, options.forecastWarn)
+  ];
+
+  if (options.format) {
+    const output = formatExport(
+      {
+        conversations,
+        daily: aggregateDailyCosts(conversations),
+        projects: aggregateProjectCosts(conversations),
+        models: aggregateModelCosts(conversations),
+        branches: aggregateBranchCosts(conversations),
+        tools: aggregateToolCosts(conversations),
+        threads: aggregateThreadCosts(conversations)
+      },
+      options.format,
+      options.table
+    );
+    if (options.out) {
+      fs.mkdirSync(path.dirname(options.out), { recursive: true });
+      fs.writeFileSync(options.out, output);
+      log(t('cli.exportWritten', { format: options.format.toUpperCase(), path: options.out }));
+    } else {
+      process.stdout.write(output);
+    }
+    reportBudgetAlerts(budgetAlerts);
+    return;
+  }
+
+  if (conversations.length === 0) {
+    log(t('cli.noConversations'));
+    reportBudgetAlerts(budgetAlerts);
+    return;
+  }
+
+  if (!options.quiet) {
+    displaySummary(conversations, { anomalyThreshold });
+  }
+  const reportPath = createHTMLReport(conversations, {
+    ...options,
+    anomalyThreshold,
+    budgets,
+    budgetAlerts
+  });
+  log(`\n${t('cli.reportGenerated', { path: reportPath })}`);
+  reportBudgetAlerts(budgetAlerts);
+
+  if (options.open) {
+    log(`\n${t('cli.openingReport')}`);
+    openInBrowser(reportPath);
+  }
+}
+
+module.exports = {
+  calculateCost,
+  calculateCostBreakdown,
+  parseJSONLFile,
+  analyzeAllConversations,
+  aggregateDailyCosts,
+  aggregateProjectCosts,
+  aggregateModelCosts,
+  aggregateBranchCosts,
+  aggregateToolCosts,
+  aggregateThreadCosts,
+  evaluateBudgets,
+  evaluateForecast,
+  buildReportData,
+  renderReportHTML,
+  createHTMLReport,
+  displaySummary,
+  main
+};
+
+if (require.main === module) {
+  main().catch(console.error);
+}
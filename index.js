@@ -1,4 +1,6 @@
 #!/usr/bin/env node
 
 // Entry point for npx execution
-require('./analyze-claude-costs-enhanced.js');
+require('./analyze-claude-costs-enhanced.js')
+  .main()
+  .catch(console.error);
@@ -0,0 +1,127 @@
+const { ConfigError } = require('./config');
+const { t, formatCurrency, formatNumber } = require('./i18n');
+
+// Conversations and days that cost far more than usual, measured against the
+// user's own history: a conversation's cost, its cost per message and its cost
+// per minute, and a day's spend. Costs are skewed (most conversations are
+// cheap, a few are not), so values are compared on a log scale, and with the
+// median and the median absolute deviation (MAD), which a few outliers do not
+// move the way they move the mean and standard deviation. A value's score is
+// its modified z-score: how far its log is above the median, in units of
+// 1.4826 MADs, which is one standard deviation for normally distributed data.
+// When more than half the values are equal the MAD is zero, and the mean
+// absolute deviation, times 1.2533, takes its place.
+
+// Flag values scoring above this; 3.5 is the usual cut-off for modified z-scores
+const DEFAULT_THRESHOLD = 3.5;
+// Fewer values than this say too little about what is usual
+const MIN_SAMPLES = 10;
+// When nearly all values are alike even a small difference scores high, so a
+// value is also only flagged at this many times the median or more
+const MIN_RATIO = 2;
+// Shorter sessions have too few minutes for a meaningful cost per minute
+const MIN_BURN_MINUTES = 10;
+
+// The threshold comes from the "anomalies" section of config.json, for
+// example { "anomalies": { "threshold": 3 } }, or --anomaly-threshold
+function loadAnomalyThreshold(config = {}, options = {}) {
+  if (options.anomalyThreshold !== undefined) return options.anomalyThreshold;
+  const section = config.anomalies || {};
+  if (section.threshold === undefined) return DEFAULT_THRESHOLD;
+  if (typeof section.threshold !== 'number' || section.threshold <= 0) {
+    throw new ConfigError('The anomaly threshold must be a positive number');
+  }
+  return section.threshold;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// The entries whose value scores above `threshold`, with their score and the
+// median value; none when there are too few values or they are all alike
+function findOutliers(entries, threshold) {
+  if (entries.length < MIN_SAMPLES) return [];
+  const logs = entries.map(entry => Math.log(entry.value));
+  const center = median(logs);
+  const deviations = logs.map(value => Math.abs(value - center));
+  const spread =
+    1.4826 * median(deviations) ||
+    (1.2533 * deviations.reduce((sum, value) => sum + value, 0)) / deviations.length;
+  if (spread === 0) return [];
+
+  const typical = Math.exp(center);
+  return entries
+    .map((entry, index) => ({ ...entry, typical, score: (logs[index] - center) / spread }))
+    .filter(entry => entry.score > threshold && entry.value >= typical * MIN_RATIO);
+}
+
+function conversationFields(conv) {
+  return {
+    conversationId: conv.conversationId,
+    conversationTitle: conv.conversationTitle,
+    projectName: conv.projectName,
+    startTime: conv.startTime ? new Date(conv.startTime).toISOString() : null,
+    date: null
+  };
+}
+
+// Every flagged conversation and day, highest score first. Each has the
+// `kind` of value that stood out (cost, messageCost, burnRate or day), the
+// `value`, the `typical` (median) value and the `score`; conversations their
+// ID, title, project and start time, and days their `date`.
+function detectAnomalies(conversations, daily, threshold = DEFAULT_THRESHOLD) {
+  // Files left with nothing but repeated responses have no messages of their own
+  const withCosts = conversations.filter(conv => conv.totalCost > 0 && conv.messageCount > 0);
+  const measure = (kind, list, value) =>
+    findOutliers(
+      list.map(conv => ({ kind, value: value(conv), ...conversationFields(conv) })),
+      threshold
+    );
+
+  const days = daily
+    .filter(day => day.totalCost > 0)
+    .map(day => ({
+      kind: 'day',
+      value: day.totalCost,
+      conversationId: null,
+      conversationTitle: null,
+      projectName: null,
+      startTime: null,
+      date: day.date
+    }));
+
+  return [
+    ...measure('cost', withCosts, conv => conv.totalCost),
+    ...measure('messageCost', withCosts, conv => conv.totalCost / conv.messageCount),
+    ...measure(
+      'burnRate',
+      withCosts.filter(conv => conv.duration >= MIN_BURN_MINUTES),
+      conv => conv.totalCost / conv.duration
+    ),
+    ...findOutliers(days, threshold)
+  ].sort((a, b) => b.score - a.score);
+}
+
+// One line per anomaly for the console summary
+function formatAnomaly(anomaly) {
+  const params = {
+    value: formatCurrency(anomaly.value, 4),
+    typical: formatCurrency(anomaly.typical, 4),
+    ratio: formatNumber(anomaly.value / anomaly.typical, 1),
+    score: formatNumber(anomaly.score, 1),
+    title: anomaly.conversationTitle,
+    project: anomaly.projectName,
+    date: anomaly.date
+  };
+  return t(`anomaly.${anomaly.kind}`, params);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  loadAnomalyThreshold,
+  detectAnomalies,
+  formatAnomaly
+};
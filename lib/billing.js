@@ -0,0 +1,267 @@
+const fs = require('fs');
+const { ConfigError } = require('./config');
+const {
+  t,
+  formatCurrency,
+  formatTable,
+  formatCurrencyChange,
+  formatPercentChange
+} = require('./i18n');
+
+// Compare the locally estimated costs with a usage or cost export downloaded
+// from the Anthropic console. The export has one row per day, model and
+// whatever else it is split by (workspace, API key, token type); rows are
+// summed per day and per model, so any of those layouts works.
+
+// Accepted column names, after lowercasing and turning everything other than
+// letters and digits into underscores
+const DATE_COLUMNS = ['usage_date_utc', 'usage_date', 'date', 'day'];
+const MODEL_COLUMNS = ['model', 'model_version', 'model_name'];
+const COST_COLUMNS = ['cost_usd', 'total_cost_usd', 'amount_usd', 'cost', 'amount', 'total_cost'];
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+function normalizeHeader(name) {
+  return name
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+// claude-sonnet-4-20250514, "Claude Sonnet 4" and claude-sonnet-4 all name the
+// same model. Claude 3 model IDs put the version before the family
+// (claude-3-5-haiku-20241022) where the console writes it after ("Claude Haiku
+// 3.5"), so names made of a family and a version become claude-<family>-<version>.
+function normalizeModelName(model) {
+  const name = model
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/-(\d{8}|latest)$/, '')
+    .replace(/^-|-$/g, '');
+  const parts = name.split('-');
+  const families = parts.slice(1).filter(part => /^[a-z]+$/.test(part));
+  const version = parts.filter(part => /^\d+$/.test(part));
+  if (parts[0] !== 'claude' || families.length !== 1 || parts.length !== version.length + 2) {
+    return name;
+  }
+  return ['claude', families[0], ...version].join('-');
+}
+
+function parseBillingDate(value) {
+  const iso = /^(\d{4}-\d{2}-\d{2})/.exec(value.trim());
+  if (iso) return iso[1];
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+// Read an exported CSV into `{ date, model, cost }` rows (model is null when
+// the export is not split by model)
+function readBillingCSV(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    throw new ConfigError(`Cannot read ${filePath}: ${e.message}`);
+  }
+
+  const [header, ...records] = parseCSV(text);
+  if (!header || records.length === 0) throw new ConfigError(`${filePath} has no rows`);
+  const columns = header.map(normalizeHeader);
+  const find = names => names.map(name => columns.indexOf(name)).find(index => index !== -1);
+  const dateColumn = find(DATE_COLUMNS);
+  const modelColumn = find(MODEL_COLUMNS);
+  const costColumn = find(COST_COLUMNS);
+  if (dateColumn === undefined || costColumn === undefined) {
+    throw new ConfigError(
+      `${filePath} needs a date column (${DATE_COLUMNS.join(', ')}) and a cost column (${COST_COLUMNS.join(', ')})`
+    );
+  }
+
+  return records.map((record, index) => {
+    const line = index + 2;
+    const date = parseBillingDate(record[dateColumn] || '');
+    if (!date) {
+      throw new ConfigError(`Invalid date on line ${line} of ${filePath}: ${record[dateColumn]}`);
+    }
+    const amount = (record[costColumn] || '').replace(/[$,\s]/g, '');
+    const cost = amount === '' ? 0 : Number(amount);
+    if (isNaN(cost)) {
+      throw new ConfigError(`Invalid cost on line ${line} of ${filePath}: ${record[costColumn]}`);
+    }
+    const model = modelColumn === undefined ? null : (record[modelColumn] || '').trim() || null;
+    return { date, model, cost };
+  });
+}
+
+function compare(localCost, billedCost) {
+  const difference = localCost - billedCost;
+  return {
+    localCost,
+    billedCost,
+    difference,
+    percent: billedCost > 0 ? difference / billedCost : null
+  };
+}
+
+// Compare the local daily aggregation (see aggregateDailyCosts) with billing
+// rows over the days the export covers, narrowed to the days `from` and `to`
+// (YYYY-MM-DD) when given. Returns the totals, every day and model with both
+// costs, and the days that only one of the two has.
+function reconcileBilling(daily, billingRows, { from: sinceKey, to: untilKey } = {}) {
+  const rows = billingRows.filter(
+    row => (!sinceKey || row.date >= sinceKey) && (!untilKey || row.date <= untilKey)
+  );
+  const dates = rows.map(row => row.date).sort();
+  const from = sinceKey || dates[0] || null;
+  const to = untilKey || dates[dates.length - 1] || null;
+  const inRange = date => from !== null && date >= from && date <= to;
+
+  const days = new Map();
+  const models = new Map();
+  const day = date =>
+    days.get(date) ||
+    days.set(date, { date, localCost: 0, billedCost: 0, local: false, billed: false }).get(date);
+  const model = name => {
+    const key = normalizeModelName(name);
+    return (
+      models.get(key) || models.set(key, { model: name, localCost: 0, billedCost: 0 }).get(key)
+    );
+  };
+
+  daily.forEach(entry => {
+    if (!inRange(entry.date)) return;
+    const target = day(entry.date);
+    target.localCost += entry.totalCost;
+    target.local = true;
+    Object.entries(entry.models).forEach(([name, cost]) => {
+      const target = model(name);
+      // Name the model as the logs do
+      target.model = name;
+      target.localCost += cost;
+    });
+  });
+  rows.forEach(row => {
+    const target = day(row.date);
+    target.billedCost += row.cost;
+    target.billed = true;
+    if (row.model) model(row.model).billedCost += row.cost;
+  });
+
+  const dayList = [...days.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const localCost = dayList.reduce((sum, d) => sum + d.localCost, 0);
+  const billedCost = dayList.reduce((sum, d) => sum + d.billedCost, 0);
+  return {
+    from,
+    to,
+    ...compare(localCost, billedCost),
+    days: dayList.map(d => ({ date: d.date, ...compare(d.localCost, d.billedCost) })),
+    localOnlyDays: dayList.filter(d => d.local && !d.billed).map(d => d.date),
+    billingOnlyDays: dayList.filter(d => d.billed && !d.local).map(d => d.date),
+    // Without a model column the export cannot be compared per model
+    models: rows.some(row => row.model)
+      ? [...models.values()]
+          .map(m => ({ model: m.model, ...compare(m.localCost, m.billedCost) }))
+          .sort((a, b) => Math.max(b.localCost, b.billedCost) - Math.max(a.localCost, a.billedCost))
+      : []
+  };
+}
+
+function formatComparisonTable(label, rows) {
+  return formatTable([
+    [label, t('reconcile.local'), t('reconcile.billed'), t('reconcile.difference'), ''],
+    ...rows.map(row => [
+      row.label,
+      formatCurrency(row.localCost, 4),
+      formatCurrency(row.billedCost, 4),
+      formatCurrencyChange(row.difference),
+      formatPercentChange(row.percent)
+    ])
+  ]);
+}
+
+// Plain-text rendering for the `reconcile` command
+function formatReconciliation(result) {
+  const lines = [
+    t('reconcile.title', { from: result.from, to: result.to }),
+    '',
+    t('reconcile.totals', {
+      local: formatCurrency(result.localCost, 4),
+      billed: formatCurrency(result.billedCost, 4)
+    }),
+    t('reconcile.totalDifference', {
+      difference: formatCurrencyChange(result.difference),
+      percent: formatPercentChange(result.percent)
+    }),
+    '',
+    ...formatComparisonTable(
+      t('column.date'),
+      result.days.map(d => ({ label: d.date, ...d }))
+    )
+  ];
+
+  if (result.localOnlyDays.length > 0) {
+    lines.push('', t('reconcile.localOnly', { dates: result.localOnlyDays.join(', ') }));
+  }
+  if (result.billingOnlyDays.length > 0) {
+    lines.push('', t('reconcile.billingOnly', { dates: result.billingOnlyDays.join(', ') }));
+  }
+  if (result.models.length > 0) {
+    lines.push(
+      '',
+      ...formatComparisonTable(
+        t('column.model'),
+        result.models.map(m => ({ label: m.model, ...m }))
+      )
+    );
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseCSV,
+  normalizeModelName,
+  readBillingCSV,
+  reconcileBilling,
+  formatReconciliation
+};
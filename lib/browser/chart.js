@@ -0,0 +1,685 @@
+// Minimal SVG chart renderer for the HTML report, so the report is one file
+// that renders without network access. It follows the Chart.js API for the
+// subset the report uses: bar and line datasets (mixed per dataset),
+// horizontal and stacked bars, a secondary y axis, lines filled to zero or to
+// the previous dataset (`fill: '-1'`), a legend that toggles datasets and
+// index-mode tooltips. It is inlined into the page as a script
+// and defines window.Chart.
+(function () {
+  'use strict';
+
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif";
+  const DEFAULT_WIDTH = 600;
+  const DEFAULT_HEIGHT = 300;
+  const LEGEND_HEIGHT = 28;
+
+  function escapeXML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Dataset options may be one value or one value per data point
+  function valueAt(option, index, fallback) {
+    if (Array.isArray(option)) return option[index] !== undefined ? option[index] : fallback;
+    return option !== undefined ? option : fallback;
+  }
+
+  // SVG text cannot be measured before it is in the document, so widths are
+  // estimated; wide (CJK) characters count double.
+  function textWidth(text, fontSize) {
+    let units = 0;
+    for (const char of String(text)) units += char.charCodeAt(0) > 0x2e80 ? 1 : 0.6;
+    return units * fontSize;
+  }
+
+  function truncate(text, maxWidth, fontSize) {
+    text = String(text);
+    if (textWidth(text, fontSize) <= maxWidth) return text;
+    while (text.length > 1 && textWidth(text + '…', fontSize) > maxWidth) {
+      text = text.slice(0, -1);
+    }
+    return text + '…';
+  }
+
+  function buildTicks(min, max, count) {
+    if (max <= min) max = min + 1;
+    const rough = (max - min) / Math.max(1, count);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    const residual = rough / magnitude;
+    const step = (residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1) * magnitude;
+
+    const ticks = [];
+    const end = Math.ceil(max / step) * step;
+    for (let value = Math.floor(min / step) * step; value <= end + step / 2; value += step) {
+      ticks.push(Number(value.toPrecision(12)));
+    }
+    return ticks;
+  }
+
+  // Category labels of a time axis are YYYY-MM-DD dates, shown in the
+  // language of the page
+  function formatTimeLabel(label) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(label);
+    if (!match) return String(label);
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date.toLocaleDateString(document.documentElement.lang || undefined, {
+      month: 'short',
+      day: 'numeric',
+      timeZone: 'UTC'
+    });
+  }
+
+  function element(name, attributes, content) {
+    const attrs = Object.keys(attributes)
+      .filter(key => attributes[key] !== undefined && attributes[key] !== null)
+      .map(key => ` ${key}="${escapeXML(attributes[key])}"`)
+      .join('');
+    return content === undefined ? `<${name}${attrs}/>` : `<${name}${attrs}>${content}</${name}>`;
+  }
+
+  class Chart {
+    // `el` is the element to draw into; the chart fills it
+    constructor(el, config) {
+      this.el = el;
+      this.el.classList.add('chart');
+
+      this.type = config.type;
+      this.data = config.data;
+      this.options = config.options || {};
+      this.layout = null;
+
+      this.svg = document.createElementNS(SVG_NS, 'svg');
+      this.tooltip = document.createElement('div');
+      this.tooltip.className = 'chart-tooltip';
+      this.tooltip.hidden = true;
+      this.el.appendChild(this.svg);
+      this.el.appendChild(this.tooltip);
+
+      this.onMouseMove = event => this.showTooltip(event);
+      this.onMouseLeave = () => this.hideTooltip();
+      this.onClick = event => this.toggleDataset(event);
+      this.onResize = () => this.update();
+      this.svg.addEventListener('mousemove', this.onMouseMove);
+      this.svg.addEventListener('mouseleave', this.onMouseLeave);
+      this.svg.addEventListener('click', this.onClick);
+      window.addEventListener('resize', this.onResize);
+
+      this.update();
+    }
+
+    scaleOptions(key) {
+      return (this.options.scales && this.options.scales[key]) || {};
+    }
+
+    datasetType(dataset) {
+      return dataset.type || this.type;
+    }
+
+    // Value axes always include 0, which is what every chart of the report wants
+    buildValueScale(key, datasets, stacked, length) {
+      const values = [0];
+      if (stacked) {
+        for (let index = 0; index < length; index++) {
+          let positive = 0;
+          let negative = 0;
+          datasets.forEach(dataset => {
+            const value = Number(dataset.data[index]) || 0;
+            if (value >= 0) positive += value;
+            else negative += value;
+          });
+          values.push(positive, negative);
+        }
+      } else {
+        datasets.forEach(dataset => {
+          dataset.data.forEach(value => {
+            if (typeof value === 'number' && isFinite(value)) values.push(value);
+          });
+        });
+      }
+
+      const options = this.scaleOptions(key);
+      const ticks = buildTicks(Math.min(...values), Math.max(...values), this.tickCount(key));
+      const callback = options.ticks && options.ticks.callback;
+      return {
+        key,
+        options,
+        stacked,
+        min: ticks[0],
+        max: ticks[ticks.length - 1],
+        ticks,
+        labels: ticks.map((value, index) =>
+          callback ? String(callback.call(this, value, index, ticks)) : String(value)
+        )
+      };
+    }
+
+    tickCount(key) {
+      const width = this.el.clientWidth || DEFAULT_WIDTH;
+      const height = this.el.clientHeight || DEFAULT_HEIGHT;
+      const horizontal = this.options.indexAxis === 'y';
+      return key === 'x' && horizontal
+        ? Math.max(2, Math.floor(width / 120))
+        : Math.max(2, Math.floor(height / 60));
+    }
+
+    computeLayout() {
+      const width = this.el.clientWidth || DEFAULT_WIDTH;
+      const height = this.el.clientHeight || DEFAULT_HEIGHT;
+      const horizontal = this.options.indexAxis === 'y';
+      const labels = this.data.labels || [];
+      const datasets = this.data.datasets.filter(dataset => !dataset.hidden);
+      const categoryKey = horizontal ? 'y' : 'x';
+      const categoryOptions = this.scaleOptions(categoryKey);
+
+      const valueKeys = horizontal ? ['x'] : ['y'];
+      datasets.forEach(dataset => {
+        const key = (horizontal ? dataset.xAxisID : dataset.yAxisID) || valueKeys[0];
+        if (!valueKeys.includes(key)) valueKeys.push(key);
+      });
+      const valueScales = {};
+      valueKeys.forEach(key => {
+        const axisDatasets = datasets.filter(
+          dataset => ((horizontal ? dataset.xAxisID : dataset.yAxisID) || valueKeys[0]) === key
+        );
+        const stacked = Boolean(this.scaleOptions(key).stacked || categoryOptions.stacked);
+        valueScales[key] = this.buildValueScale(key, axisDatasets, stacked, labels.length);
+      });
+
+      const fontSize = key => {
+        const ticks = this.scaleOptions(key).ticks || {};
+        return (ticks.font && ticks.font.size) || 12;
+      };
+      const maxLabelWidth = (texts, size) =>
+        Math.max(0, ...texts.map(text => textWidth(text, size)));
+      const categoryLabels = labels.map(label =>
+        categoryOptions.type === 'time' ? formatTimeLabel(label) : String(label)
+      );
+
+      const hasLegend = this.data.datasets.some(dataset => dataset.label);
+      const top = (hasLegend ? LEGEND_HEIGHT : 0) + 8;
+      let left;
+      let right = 12;
+      const bottom = 24;
+      if (horizontal) {
+        left = Math.min(width * 0.4, maxLabelWidth(categoryLabels, fontSize('y'))) + 12;
+        // The last value label is centered on the right edge of the plot
+        const valueLabels = valueScales.x.labels;
+        right = Math.max(
+          right,
+          textWidth(valueLabels[valueLabels.length - 1], fontSize('x')) / 2 + 4
+        );
+      } else {
+        left = maxLabelWidth(valueScales.y.labels, fontSize('y')) + 12;
+        const secondary = valueKeys.find(key => key !== 'y');
+        if (secondary) {
+          right = maxLabelWidth(valueScales[secondary].labels, fontSize(secondary)) + 12;
+        }
+      }
+
+      return {
+        width,
+        height,
+        horizontal,
+        labels,
+        categoryLabels,
+        categoryKey,
+        categoryOptions,
+        valueKeys,
+        valueScales,
+        fontSize,
+        plot: {
+          x: left,
+          y: top,
+          width: Math.max(10, width - left - right),
+          height: Math.max(10, height - top - bottom)
+        }
+      };
+    }
+
+    // Position of a category's center along the category axis
+    categoryPosition(layout, index) {
+      const { plot, horizontal, labels } = layout;
+      const band = (horizontal ? plot.height : plot.width) / Math.max(1, labels.length);
+      return (horizontal ? plot.y : plot.x) + band * (index + 0.5);
+    }
+
+    valuePosition(scale, layout, value) {
+      const { plot, horizontal } = layout;
+      const ratio = (value - scale.min) / (scale.max - scale.min);
+      return horizontal ? plot.x + ratio * plot.width : plot.y + plot.height - ratio * plot.height;
+    }
+
+    renderLegend(layout) {
+      const labels = ((this.options.plugins || {}).legend || {}).labels || {};
+      const items = this.data.datasets
+        .map((dataset, index) => ({ dataset, index }))
+        .filter(item => item.dataset.label);
+      const widths = items.map(item => 18 + textWidth(item.dataset.label, 12) + 16);
+      let x = Math.max(0, (layout.width - widths.reduce((sum, w) => sum + w, 0)) / 2);
+
+      return items
+        .map((item, i) => {
+          const { dataset, index } = item;
+          const swatch =
+            this.datasetType(dataset) === 'line'
+              ? dataset.borderColor
+              : valueAt(dataset.backgroundColor, 0, dataset.borderColor);
+          const group = element(
+            'g',
+            {
+              'data-dataset': index,
+              style: 'cursor: pointer',
+              opacity: dataset.hidden ? 0.4 : 1
+            },
+            element('rect', {
+              x,
+              y: 8,
+              width: 12,
+              height: 12,
+              rx: 2,
+              fill: swatch || '#888'
+            }) +
+              element(
+                'text',
+                {
+                  x: x + 18,
+                  y: 18,
+                  fill: labels.color || '#666',
+                  'font-size': 12,
+                  'text-decoration': dataset.hidden ? 'line-through' : undefined
+                },
+                escapeXML(dataset.label)
+              )
+          );
+          x += widths[i];
+          return group;
+        })
+        .join('');
+    }
+
+    renderAxes(layout) {
+      const { plot, horizontal, categoryLabels, categoryOptions, valueScales, fontSize } = layout;
+      const parts = [];
+
+      Object.values(valueScales).forEach((scale, scaleIndex) => {
+        const ticks = scale.options.ticks || {};
+        const grid = scale.options.grid || {};
+        const secondary = scaleIndex > 0;
+        scale.ticks.forEach((value, index) => {
+          const position = this.valuePosition(scale, layout, value);
+          if (grid.drawOnChartArea !== false && !secondary) {
+            parts.push(
+              horizontal
+                ? element('line', {
+                    x1: position,
+                    x2: position,
+                    y1: plot.y,
+                    y2: plot.y + plot.height,
+                    stroke: grid.color || '#ddd'
+                  })
+                : element('line', {
+                    x1: plot.x,
+                    x2: plot.x + plot.width,
+                    y1: position,
+                    y2: position,
+                    stroke: grid.color || '#ddd'
+                  })
+            );
+          }
+          const text = escapeXML(scale.labels[index]);
+          const attributes = horizontal
+            ? { x: position, y: plot.y + plot.height + 16, 'text-anchor': 'middle' }
+            : secondary
+              ? { x: plot.x + plot.width + 6, y: position + 4, 'text-anchor': 'start' }
+              : { x: plot.x - 6, y: position + 4, 'text-anchor': 'end' };
+          parts.push(
+            element(
+              'text',
+              { ...attributes, fill: ticks.color || '#666', 'font-size': fontSize(scale.key) },
+              text
+            )
+          );
+        });
+      });
+
+      const ticks = categoryOptions.ticks || {};
+      const grid = categoryOptions.grid || {};
+      const size = fontSize(layout.categoryKey);
+      const band = (horizontal ? plot.height : plot.width) / Math.max(1, categoryLabels.length);
+      // Skip labels that would overlap unless autoSkip is turned off
+      let every = 1;
+      if (ticks.autoSkip !== false) {
+        const needed = horizontal
+          ? size + 4
+          : Math.max(0, ...categoryLabels.map(label => textWidth(label, size))) + 8;
+        every = Math.max(1, Math.ceil(needed / band));
+      }
+      categoryLabels.forEach((label, index) => {
+        if (index % every !== 0) return;
+        const position = this.categoryPosition(layout, index);
+        parts.push(
+          horizontal
+            ? element('line', {
+                x1: plot.x,
+                x2: plot.x + plot.width,
+                y1: position,
+                y2: position,
+                stroke: grid.color || '#eee'
+              })
+            : element('line', {
+                x1: position,
+                x2: position,
+                y1: plot.y,
+                y2: plot.y + plot.height,
+                stroke: grid.color || '#eee'
+              })
+        );
+        parts.push(
+          horizontal
+            ? element(
+                'text',
+                {
+                  x: plot.x - 6,
+                  y: position + size / 3,
+                  'text-anchor': 'end',
+                  fill: ticks.color || '#666',
+                  'font-size': size
+                },
+                escapeXML(truncate(label, plot.x - 12, size))
+              )
+            : element(
+                'text',
+                {
+                  x: position,
+                  y: plot.y + plot.height + 16,
+                  'text-anchor': 'middle',
+                  fill: ticks.color || '#666',
+                  'font-size': size
+                },
+                escapeXML(label)
+              )
+        );
+      });
+
+      return parts.join('');
+    }
+
+    renderBars(layout) {
+      const { plot, horizontal, labels, valueScales } = layout;
+      const bars = this.data.datasets
+        .map((dataset, index) => ({ dataset, index }))
+        .filter(item => !item.dataset.hidden && this.datasetType(item.dataset) === 'bar');
+      if (bars.length === 0) return '';
+
+      const band = (horizontal ? plot.height : plot.width) / Math.max(1, labels.length);
+      const scaleOf = dataset =>
+        valueScales[(horizontal ? dataset.xAxisID : dataset.yAxisID) || layout.valueKeys[0]];
+      const stacked = scaleOf(bars[0].dataset).stacked;
+      const slots = stacked ? 1 : bars.length;
+      const thickness = (band * 0.8) / slots;
+      const offsets = labels.map(() => ({ positive: 0, negative: 0 }));
+
+      const parts = [];
+      bars.forEach((item, slot) => {
+        const { dataset } = item;
+        const scale = scaleOf(dataset);
+        dataset.data.forEach((raw, index) => {
+          const value = Number(raw) || 0;
+          if (index >= labels.length) return;
+          let base = 0;
+          if (stacked) {
+            const offset = offsets[index];
+            base = value >= 0 ? offset.positive : offset.negative;
+            if (value >= 0) offset.positive += value;
+            else offset.negative += value;
+          }
+          const from = this.valuePosition(scale, layout, base);
+          const to = this.valuePosition(scale, layout, base + value);
+          const start =
+            this.categoryPosition(layout, index) -
+            (band * 0.8) / 2 +
+            (stacked ? 0 : slot * thickness);
+          const rect = horizontal
+            ? { x: Math.min(from, to), y: start, width: Math.abs(to - from), height: thickness }
+            : { x: start, y: Math.min(from, to), width: thickness, height: Math.abs(to - from) };
+          parts.push(
+            element('rect', {
+              ...rect,
+              fill: valueAt(dataset.backgroundColor, index, '#888'),
+              stroke: dataset.borderWidth ? valueAt(dataset.borderColor, index) : undefined,
+              'stroke-width': dataset.borderWidth || undefined
+            })
+          );
+        });
+      });
+      return parts.join('');
+    }
+
+    renderLines(layout) {
+      const { labels, valueScales } = layout;
+      const parts = [];
+      // Points of each line drawn, for fills to the previous dataset
+      const drawn = [];
+
+      this.data.datasets.forEach((dataset, datasetIndex) => {
+        if (dataset.hidden || this.datasetType(dataset) !== 'line') return;
+        const scale = valueScales[dataset.yAxisID || 'y'];
+        const points = [];
+        dataset.data.forEach((value, index) => {
+          if (typeof value !== 'number' || !isFinite(value) || index >= labels.length) return;
+          points.push({
+            index,
+            x: this.categoryPosition(layout, index),
+            y: this.valuePosition(scale, layout, value)
+          });
+        });
+        if (points.length === 0) return;
+        drawn[datasetIndex] = points;
+
+        const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x},${p.y}`).join(' ');
+        if (dataset.fill === '-1') {
+          const previous = drawn[datasetIndex - 1];
+          if (previous) {
+            const back = previous
+              .slice()
+              .reverse()
+              .map(p => `L${p.x},${p.y}`)
+              .join(' ');
+            parts.push(
+              element('path', {
+                d: `${path} ${back} Z`,
+                fill: dataset.backgroundColor,
+                stroke: 'none'
+              })
+            );
+          }
+        } else if (dataset.fill) {
+          const zero = this.valuePosition(scale, layout, 0);
+          parts.push(
+            element('path', {
+              d: `${path} L${points[points.length - 1].x},${zero} L${points[0].x},${zero} Z`,
+              fill: dataset.backgroundColor,
+              stroke: 'none'
+            })
+          );
+        }
+        parts.push(
+          element('path', {
+            d: path,
+            fill: 'none',
+            stroke: dataset.borderColor || '#888',
+            'stroke-width': dataset.borderWidth || 3,
+            'stroke-dasharray': dataset.borderDash ? dataset.borderDash.join(' ') : undefined,
+            'stroke-linejoin': 'round'
+          })
+        );
+        points.forEach(p => {
+          const radius = valueAt(dataset.pointRadius, p.index, 3);
+          if (!radius) return;
+          parts.push(
+            element('circle', {
+              cx: p.x,
+              cy: p.y,
+              r: radius,
+              fill: valueAt(dataset.pointBackgroundColor, p.index, dataset.borderColor),
+              stroke: valueAt(dataset.pointBorderColor, p.index, dataset.borderColor),
+              'stroke-width': dataset.pointBorderWidth || 1
+            })
+          );
+        });
+      });
+      return parts.join('');
+    }
+
+    update() {
+      const layout = this.computeLayout();
+      this.layout = layout;
+      const { width, height, plot, horizontal } = layout;
+
+      this.svg.setAttribute('width', width);
+      this.svg.setAttribute('height', height);
+      this.svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+      this.svg.setAttribute('font-family', FONT_FAMILY);
+      this.svg.innerHTML =
+        this.renderLegend(layout) +
+        this.renderAxes(layout) +
+        this.renderBars(layout) +
+        this.renderLines(layout) +
+        element('rect', {
+          class: 'chart-hover',
+          x: plot.x,
+          y: plot.y,
+          width: horizontal ? plot.width : 0,
+          height: horizontal ? 0 : plot.height,
+          fill: 'rgba(128, 128, 128, 0.15)',
+          'pointer-events': 'none'
+        });
+      this.hideTooltip();
+    }
+
+    toggleDataset(event) {
+      const target = event.target.closest && event.target.closest('[data-dataset]');
+      if (!target) return;
+      const dataset = this.data.datasets[Number(target.getAttribute('data-dataset'))];
+      dataset.hidden = !dataset.hidden;
+      this.update();
+    }
+
+    showTooltip(event) {
+      const layout = this.layout;
+      if (!layout || layout.labels.length === 0) return;
+      const { plot, horizontal, labels } = layout;
+      const bounds = this.svg.getBoundingClientRect();
+      const x = event.clientX - bounds.left;
+      const y = event.clientY - bounds.top;
+      if (x < plot.x || x > plot.x + plot.width || y < plot.y || y > plot.y + plot.height) {
+        this.hideTooltip();
+        return;
+      }
+
+      const band = (horizontal ? plot.height : plot.width) / labels.length;
+      const index = Math.min(
+        labels.length - 1,
+        Math.floor((horizontal ? y - plot.y : x - plot.x) / band)
+      );
+      const items = this.data.datasets
+        .map((dataset, datasetIndex) => ({ dataset, datasetIndex }))
+        .filter(
+          ({ dataset }) =>
+            !dataset.hidden && dataset.data[index] !== undefined && dataset.data[index] !== null
+        )
+        .map(({ dataset, datasetIndex }) => {
+          const value = dataset.data[index];
+          return {
+            chart: this,
+            dataset,
+            datasetIndex,
+            dataIndex: index,
+            label: labels[index],
+            raw: value,
+            formattedValue: String(value),
+            parsed: horizontal ? { x: value, y: index } : { x: index, y: value }
+          };
+        });
+      if (items.length === 0) {
+        this.hideTooltip();
+        return;
+      }
+
+      const options = (this.options.plugins || {}).tooltip || {};
+      const callbacks = options.callbacks || {};
+      const toLines = value => (Array.isArray(value) ? value : value ? [value] : []);
+      const title = callbacks.title ? toLines(callbacks.title(items)) : [String(labels[index])];
+      const body = [];
+      items.forEach(item => {
+        const lines = callbacks.label
+          ? toLines(callbacks.label(item))
+          : [`${item.dataset.label || ''}: ${item.formattedValue}`];
+        const color =
+          this.datasetType(item.dataset) === 'line'
+            ? item.dataset.borderColor
+            : valueAt(item.dataset.backgroundColor, index, item.dataset.borderColor);
+        lines.forEach((line, i) => {
+          body.push(
+            `<div>${
+              i === 0
+                ? `<span class="chart-tooltip-swatch" style="background:${escapeXML(color)}"></span>`
+                : ''
+            }${escapeXML(line)}</div>`
+          );
+        });
+      });
+      if (callbacks.afterBody) {
+        toLines(callbacks.afterBody(items)).forEach(line =>
+          body.push(`<div>${escapeXML(line)}</div>`)
+        );
+      }
+
+      const tooltip = this.tooltip;
+      tooltip.innerHTML =
+        title.map(line => `<div class="chart-tooltip-title">${escapeXML(line)}</div>`).join('') +
+        body.join('');
+      tooltip.style.background = options.backgroundColor || 'rgba(0, 0, 0, 0.8)';
+      tooltip.style.color = options.bodyColor || '#fff';
+      tooltip.style.border = options.borderWidth
+        ? `${options.borderWidth}px solid ${options.borderColor || 'transparent'}`
+        : 'none';
+      tooltip.querySelectorAll('.chart-tooltip-title').forEach(node => {
+        node.style.color = options.titleColor || tooltip.style.color;
+      });
+      tooltip.hidden = false;
+
+      // Keep the tooltip inside the chart
+      const left = Math.min(x + 12, layout.width - tooltip.offsetWidth - 4);
+      tooltip.style.left = `${Math.max(4, left)}px`;
+      tooltip.style.top = `${Math.max(4, Math.min(y + 12, layout.height - tooltip.offsetHeight - 4))}px`;
+
+      const hover = this.svg.querySelector('.chart-hover');
+      if (hover) {
+        const start = (horizontal ? plot.y : plot.x) + band * index;
+        hover.setAttribute(horizontal ? 'y' : 'x', start);
+        hover.setAttribute(horizontal ? 'height' : 'width', band);
+      }
+    }
+
+    hideTooltip() {
+      this.tooltip.hidden = true;
+      const hover = this.svg.querySelector('.chart-hover');
+      if (hover) hover.setAttribute(this.layout && this.layout.horizontal ? 'height' : 'width', 0);
+    }
+
+    destroy() {
+      this.svg.removeEventListener('mousemove', this.onMouseMove);
+      this.svg.removeEventListener('mouseleave', this.onMouseLeave);
+      this.svg.removeEventListener('click', this.onClick);
+      window.removeEventListener('resize', this.onResize);
+      this.el.innerHTML = '';
+    }
+  }
+
+  window.Chart = Chart;
+})();
@@ -0,0 +1,133 @@
+const { ConfigError } = require('./config');
+const { t, formatCurrency, formatPercent } = require('./i18n');
+const { getPeriodKey } = require('./timezone');
+
+const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+const DEFAULT_WARN_RATIO = 0.8;
+
+// Process exit codes, so cron jobs and shell hooks can tell the cases apart
+const EXIT_BUDGET_WARNING = 3;
+const EXIT_BUDGET_EXCEEDED = 4;
+
+function normalizeBudget(value, period, project, warnRatio) {
+  const where = project ? `${period} budget for project "${project}"` : `${period} budget`;
+  const entry = typeof value === 'number' ? { limit: value } : value;
+  if (!entry || typeof entry.limit !== 'number' || entry.limit <= 0) {
+    throw new ConfigError(`The ${where} needs a positive "limit" in USD`);
+  }
+
+  const warn = entry.warn === undefined ? warnRatio : entry.warn;
+  if (typeof warn !== 'number' || warn <= 0 || warn > 1) {
+    throw new ConfigError(`The warning ratio of the ${where} must be between 0 and 1`);
+  }
+
+  return { period, project, limit: entry.limit, warnAt: entry.limit * warn };
+}
+
+// Budgets come from the "budgets" section of config.json, for example
+//
+//   { "budgets": { "daily": 20, "monthly": { "limit": 300, "warn": 0.9 },
+//                  "projects": { "webapp": { "weekly": 50 } } } }
+//
+// and the --daily-budget/--weekly-budget/--monthly-budget/--budget-warn flags,
+// which override the overall (not per-project) values.
+function loadBudgets(config = {}, options = {}) {
+  const section = config.budgets || {};
+  let warnRatio = DEFAULT_WARN_RATIO;
+  if (section.warn !== undefined) warnRatio = section.warn;
+  if (options.budgetWarn !== undefined) warnRatio = options.budgetWarn;
+
+  const budgets = [];
+  BUDGET_PERIODS.forEach(period => {
+    const value =
+      options[`${period}Budget`] !== undefined ? options[`${period}Budget`] : section[period];
+    if (value !== undefined) {
+      budgets.push(normalizeBudget(value, period, null, warnRatio));
+    }
+  });
+
+  Object.entries(section.projects || {}).forEach(([project, periods]) => {
+    BUDGET_PERIODS.forEach(period => {
+      if (periods && periods[period] !== undefined) {
+        budgets.push(normalizeBudget(periods[period], period, project, warnRatio));
+      }
+    });
+  });
+
+  return budgets;
+}
+
+// Project budgets match project names the same way --project does
+function matchesProject(projectName, pattern) {
+  return projectName.toLowerCase().includes(pattern.toLowerCase());
+}
+
+// Compare the spend of the period containing `todayKey` with a budget.
+// Returns null while the spend is below the warning threshold.
+function checkBudget(budget, dailyCosts, todayKey) {
+  const periodKey = getPeriodKey(budget.period, todayKey);
+  const spent = dailyCosts
+    .filter(day => getPeriodKey(budget.period, day.date) === periodKey)
+    .reduce((sum, day) => sum + day.totalCost, 0);
+
+  if (spent < budget.warnAt) return null;
+  return { ...budget, periodKey, spent, level: spent >= budget.limit ? 'exceeded' : 'warning' };
+}
+
+// Compare a month-end projection (see lib/forecast.js) with the amount given
+// with --forecast-warn. Returns null while the projection stays within it.
+function checkForecast(projection, limit) {
+  if (!projection || projection.projected <= limit) return null;
+  return {
+    period: 'monthly',
+    project: null,
+    limit,
+    periodKey: projection.from.slice(0, 7),
+    spent: projection.spent,
+    projected: projection.projected,
+    level: 'projected'
+  };
+}
+
+function formatBudgetAlert(alert) {
+  const params = {
+    period: t(`budget.period.${alert.period}`),
+    project: alert.project,
+    spent: formatCurrency(alert.spent),
+    periodKey: alert.periodKey
+  };
+  const spend = t(alert.project ? 'budget.projectSpend' : 'budget.spend', params);
+  if (alert.level === 'projected') {
+    return t('budget.projected', {
+      spend,
+      projected: formatCurrency(alert.projected),
+      limit: formatCurrency(alert.limit)
+    });
+  }
+  const percent = formatPercent(alert.spent / alert.limit, 0);
+  const limit = formatCurrency(alert.limit);
+
+  return t(alert.level === 'exceeded' ? 'budget.exceeded' : 'budget.warning', {
+    spend,
+    percent,
+    limit
+  });
+}
+
+function getBudgetExitCode(alerts) {
+  if (alerts.some(alert => alert.level === 'exceeded')) return EXIT_BUDGET_EXCEEDED;
+  if (alerts.length > 0) return EXIT_BUDGET_WARNING;
+  return 0;
+}
+
+module.exports = {
+  BUDGET_PERIODS,
+  EXIT_BUDGET_WARNING,
+  EXIT_BUDGET_EXCEEDED,
+  loadBudgets,
+  matchesProject,
+  checkBudget,
+  checkForecast,
+  formatBudgetAlert,
+  getBudgetExitCode
+};
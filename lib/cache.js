@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Bump whenever the parse state layout changes so stale caches are discarded.
+const CACHE_VERSION = 7;
+
+// Bytes just before the cached offset that must still match before a grown
+// file is resumed instead of re-read from the start.
+const TAIL_BYTES = 64;
+
+function getCacheDir() {
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'claude-code-costs');
+}
+
+function getCachePath() {
+  return path.join(getCacheDir(), 'parse-cache.json');
+}
+
+// `fingerprint` identifies the pricing the cached costs were computed with;
+// a cache built with different prices is thrown away.
+function loadParseCache({ fingerprint, rebuild = false, cachePath = getCachePath() }) {
+  const cache = { path: cachePath, fingerprint, files: {}, seen: new Set(), dirty: rebuild };
+  if (rebuild || !fs.existsSync(cachePath)) return cache;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    if (data.version === CACHE_VERSION && data.fingerprint === fingerprint) {
+      cache.files = data.files || {};
+    } else {
+      cache.dirty = true;
+    }
+  } catch (e) {
+    // A corrupt cache is just rebuilt
+    cache.dirty = true;
+  }
+  return cache;
+}
+
+function readTail(filePath, offset) {
+  const length = Math.min(TAIL_BYTES, offset);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, length, offset - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return buffer.toString('base64');
+}
+
+// Returns the cached `{ state, offset }` to resume parsing from, or null when
+// the file has to be parsed from the start. Files are assumed to only grow by
+// appending; a file that shrank or whose bytes before the offset changed is
+// re-read in full.
+function getResumePoint(cache, filePath, stat) {
+  cache.seen.add(filePath);
+
+  const entry = cache.files[filePath];
+  if (!entry || stat.size < entry.offset) return null;
+
+  const unchanged = entry.size === stat.size && entry.mtimeMs === stat.mtimeMs;
+  if (!unchanged && readTail(filePath, entry.offset) !== entry.tail) return null;
+
+  return { state: entry.state, offset: entry.offset };
+}
+
+function updateEntry(cache, filePath, stat, state, offset) {
+  const entry = cache.files[filePath];
+  if (
+    entry &&
+    entry.size === stat.size &&
+    entry.mtimeMs === stat.mtimeMs &&
+    entry.offset === offset
+  ) {
+    return;
+  }
+
+  cache.files[filePath] = {
+    size: stat.size,
+    mtimeMs: stat.mtimeMs,
+    offset,
+    tail: readTail(filePath, offset),
+    state
+  };
+  cache.dirty = true;
+}
+
+function saveParseCache(cache) {
+  // Forget files that were deleted, but keep entries that were merely filtered
+  // out of this run (e.g. by --project).
+  Object.keys(cache.files).forEach(filePath => {
+    if (!cache.seen.has(filePath) && !fs.existsSync(filePath)) {
+      delete cache.files[filePath];
+      cache.dirty = true;
+    }
+  });
+  if (!cache.dirty) return;
+
+  try {
+    fs.mkdirSync(path.dirname(cache.path), { recursive: true });
+    const tmpPath = `${cache.path}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tmpPath,
+      JSON.stringify({ version: CACHE_VERSION, fingerprint: cache.fingerprint, files: cache.files })
+    );
+    fs.renameSync(tmpPath, cache.path);
+    cache.dirty = false;
+  } catch (e) {
+    console.error(`Could not write parse cache ${cache.path}:`, e.message);
+  }
+}
+
+module.exports = {
+  CACHE_VERSION,
+  getCachePath,
+  loadParseCache,
+  getResumePoint,
+  updateEntry,
+  saveParseCache
+};
@@ -0,0 +1,478 @@
+const os = require('os');
+const path = require('path');
+const { EXPORT_FORMATS, EXPORT_TABLES } = require('./export');
+const {
+  WEEK_START_DAYS,
+  resolveTimeZone,
+  getTimeZone,
+  getDateKey,
+  addDays,
+  startOfDay,
+  endOfDay
+} = require('./timezone');
+
+// Sub-commands; the first positional argument picks one, `report` is the default.
+// `args` is the number of positional arguments the command takes.
+const COMMANDS = {
+  report: {
+    usage: 'report',
+    description: 'Analyze all conversations and generate the HTML report (default)'
+  },
+  watch: {
+    usage: 'watch',
+    description: 'Tail conversation logs and show a live spend dashboard'
+  },
+  show: {
+    usage: 'show <id>',
+    args: 1,
+    description: 'Show the cost of every turn of one conversation (ID or unique prefix)'
+  },
+  serve: {
+    usage: 'serve',
+    description: 'Serve the report and a JSON API locally, refreshed as logs change'
+  },
+  reconcile: {
+    usage: 'reconcile --billing <file>',
+    description: 'Compare the estimated costs with a usage or cost CSV from the Anthropic console'
+  },
+  compare: {
+    usage: 'compare --from <days> --to <days>',
+    description: 'Compare the spend of two periods, overall and per project and model'
+  },
+  'export-snapshot': {
+    usage: 'export-snapshot',
+    description: 'Write a summary of every conversation, tagged with this machine and user'
+  },
+  aggregate: {
+    usage: 'aggregate <dir>',
+    args: 1,
+    description:
+      'Merge the snapshots in a directory into a team report by person, machine and project'
+  }
+};
+
+// Command-line options. Boolean flags take no value and can be negated with a
+// `--no-` prefix; every other type consumes the next argument (or the text
+// after `=`). `list` options may be repeated and also accept comma-separated
+// values; `choice` options only accept one of their `choices`; `date` options
+// are read in the --tz time zone, and so are `range` options, which become
+// `{ from, to }` days. Names are camelCase here and kebab-case on the command
+// line.
+const OPTIONS = {
+  dir: {
+    type: 'path',
+    alias: 'd',
+    arg: '<path>',
+    description: 'Claude projects directory (default: ~/.claude/projects)'
+  },
+  since: {
+    type: 'date',
+    arg: '<date>',
+    description: 'Only count messages sent on or after this date'
+  },
+  until: {
+    type: 'date',
+    arg: '<date>',
+    endOfDay: true,
+    description: 'Only count messages sent on or before this date'
+  },
+  from: {
+    type: 'range',
+    arg: '<start..end>',
+    description: 'Base period for compare (one date or start..end)'
+  },
+  to: {
+    type: 'range',
+    arg: '<start..end>',
+    description: 'Period for compare to compare with the base period'
+  },
+  project: {
+    type: 'list',
+    alias: 'p',
+    arg: '<name>',
+    description: 'Only include projects whose name contains this text (repeatable)'
+  },
+  out: {
+    type: 'path',
+    alias: 'o',
+    arg: '<file>',
+    description: 'Write the report or export to this file'
+  },
+  format: {
+    type: 'choice',
+    alias: 'f',
+    arg: '<format>',
+    choices: EXPORT_FORMATS,
+    description: `Export data instead of the HTML report (${EXPORT_FORMATS.join(', ')})`
+  },
+  table: {
+    type: 'choice',
+    arg: '<name>',
+    choices: EXPORT_TABLES,
+    description: `Table to write with --format csv (${EXPORT_TABLES.join(', ')})`
+  },
+  config: {
+    type: 'path',
+    arg: '<file>',
+    description: 'Config file (default: ~/.config/claude-code-costs/config.json)'
+  },
+  dailyBudget: {
+    type: 'number',
+    arg: '<usd>',
+    description: "Alert when today's spend reaches this budget"
+  },
+  weeklyBudget: {
+    type: 'number',
+    arg: '<usd>',
+    description: "Alert when this week's spend reaches this budget"
+  },
+  monthlyBudget: {
+    type: 'number',
+    arg: '<usd>',
+    description: "Alert when this month's spend reaches this budget"
+  },
+  budgetWarn: {
+    type: 'number',
+    arg: '<ratio>',
+    description: 'Warn once spend reaches this fraction of a budget (default: 0.8)'
+  },
+  forecastWarn: {
+    type: 'number',
+    arg: '<usd>',
+    description: "Warn when this month's spend is projected to go over this amount"
+  },
+  anomalyThreshold: {
+    type: 'number',
+    arg: '<score>',
+    description: 'Flag conversations and days scoring above this (default: 3.5; lower flags more)'
+  },
+  pricing: {
+    type: 'path',
+    arg: '<file>',
+    description: 'Pricing overrides (default: ~/.config/claude-code-costs/pricing.json)'
+  },
+  port: {
+    type: 'number',
+    integer: true,
+    default: 3000,
+    arg: '<port>',
+    description: 'Port for serve (default: 3000)'
+  },
+  host: {
+    type: 'string',
+    default: '127.0.0.1',
+    arg: '<host>',
+    description: 'Address for serve to listen on (default: 127.0.0.1)'
+  },
+  commits: {
+    type: 'boolean',
+    description: 'Match sessions to the git commits made while they ran (runs git log)'
+  },
+  billing: {
+    type: 'path',
+    arg: '<file>',
+    description: 'Usage or cost export (CSV) from the Anthropic console, for reconcile'
+  },
+  machine: {
+    type: 'string',
+    arg: '<name>',
+    description: 'Machine name for export-snapshot (default: the host name)'
+  },
+  user: {
+    type: 'string',
+    arg: '<name>',
+    description: 'User name for export-snapshot (default: the login name)'
+  },
+  anonymize: {
+    type: 'boolean',
+    description: 'Pseudonymize project names as hashes and leave out titles in export-snapshot'
+  },
+  tz: {
+    type: 'string',
+    arg: '<zone>',
+    description: 'Time zone of days, weeks and months: an IANA name, UTC or local (default: local)'
+  },
+  weekStart: {
+    type: 'choice',
+    arg: '<day>',
+    choices: WEEK_START_DAYS,
+    default: 'monday',
+    description: `First day of the week (${WEEK_START_DAYS.join(', ')}; default: monday)`
+  },
+  dedupe: {
+    type: 'boolean',
+    default: true,
+    description: 'Count every logged copy of a response, to compare with the deduplicated totals'
+  },
+  lang: {
+    type: 'string',
+    arg: '<code>',
+    description: 'Language of the report and console output, e.g. en or zh (default: from LANG)'
+  },
+  open: {
+    type: 'boolean',
+    default: true,
+    description: 'Do not open the HTML report in the default browser'
+  },
+  quiet: {
+    type: 'boolean',
+    alias: 'q',
+    description: 'Only print errors'
+  },
+  jobs: {
+    type: 'number',
+    integer: true,
+    alias: 'j',
+    arg: '<n>',
+    description: 'Number of files to parse in parallel (default: CPU count, at most 8)'
+  },
+  threads: {
+    type: 'boolean',
+    default: true,
+    description: 'Parse on the main thread instead of in worker threads'
+  },
+  cache: {
+    type: 'boolean',
+    default: true,
+    description: 'Do not read or write the parse cache'
+  },
+  rebuildCache: {
+    type: 'boolean',
+    description: 'Ignore the parse cache and re-read every file'
+  },
+  help: {
+    type: 'boolean',
+    alias: 'h',
+    description: 'Show this help and exit'
+  },
+  version: {
+    type: 'boolean',
+    alias: 'v',
+    description: 'Show the version number and exit'
+  }
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+function expandHome(value) {
+  if (value === '~' || value.startsWith('~/')) {
+    return path.join(os.homedir(), value.slice(1));
+  }
+  return value;
+}
+
+// Accepts YYYY-MM-DD (a calendar day in `zone`), any string Date can parse,
+// or a relative number of days such as `7d` (midnight seven days ago).
+function parseDate(value, name, isEnd, zone = getTimeZone()) {
+  const relative = /^(\d+)d$/.exec(value);
+  const dateKey = relative
+    ? addDays(getDateKey(Date.now(), zone), -Number(relative[1]))
+    : /^\d{4}-\d{2}-\d{2}$/.test(value) && value;
+  if (dateKey) {
+    if (isNaN(Date.parse(`${dateKey}T00:00:00Z`))) {
+      throw new UsageError(`Invalid date for --${name}: ${value}`);
+    }
+    return new Date(isEnd ? endOfDay(dateKey, zone) : startOfDay(dateKey, zone));
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new UsageError(`Invalid date for --${name}: ${value}`);
+  }
+  return date;
+}
+
+// `start..end` or a single date, as the days (YYYY-MM-DD) of its first and
+// last moments in `zone`
+function parseRange(value, name, zone = getTimeZone()) {
+  const parts = value.split('..');
+  if (parts.length > 2 || parts.some(part => part === '')) {
+    throw new UsageError(`Invalid period for --${name}: ${value} (expected <start>..<end>)`);
+  }
+  const from = getDateKey(parseDate(parts[0], name, false, zone), zone);
+  const to = getDateKey(parseDate(parts[parts.length - 1], name, true, zone), zone);
+  if (from > to) {
+    throw new UsageError(`The period for --${name} ends before it starts: ${value}`);
+  }
+  return { from, to };
+}
+
+function parseValue(spec, name, value) {
+  switch (spec.type) {
+    case 'path':
+      return path.resolve(expandHome(value));
+    case 'number': {
+      const number = Number(value);
+      if (value === '' || isNaN(number) || (spec.integer && !Number.isInteger(number))) {
+        throw new UsageError(`Invalid number for --${name}: ${value}`);
+      }
+      return number;
+    }
+    case 'choice':
+      if (!spec.choices.includes(value)) {
+        throw new UsageError(`--${name} must be one of: ${spec.choices.join(', ')}`);
+      }
+      return value;
+    case 'list':
+      return value
+        .split(',')
+        .map(v => v.trim())
+        .filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+function toFlag(name) {
+  return name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+function findOption(flag) {
+  const name = flag.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+  if (OPTIONS[name] && toFlag(name) === flag) return name;
+  return Object.keys(OPTIONS).find(name => OPTIONS[name].alias === flag);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  const positionals = [];
+  // Dates and periods are read once the time zone is known
+  const dates = {};
+
+  for (const [name, spec] of Object.entries(OPTIONS)) {
+    if (spec.type === 'list') options[name] = [];
+    else if (spec.default !== undefined) options[name] = spec.default;
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      positionals.push(...argv.slice(i + 1));
+      break;
+    }
+    if (!arg.startsWith('-') || arg === '-') {
+      positionals.push(arg);
+      continue;
+    }
+
+    const isLong = arg.startsWith('--');
+    const eq = arg.indexOf('=');
+    let flag = isLong ? arg.slice(2, eq === -1 ? undefined : eq) : arg.slice(1);
+    let inlineValue = isLong && eq !== -1 ? arg.slice(eq + 1) : undefined;
+
+    let name = findOption(flag);
+    let negated = false;
+    if (!name && isLong && flag.startsWith('no-')) {
+      name = findOption(flag.slice(3));
+      negated = Boolean(name);
+    }
+    if (!name) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    const spec = OPTIONS[name];
+    if (spec.type === 'boolean') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`Option --${toFlag(name)} does not take a value`);
+      }
+      options[name] = !negated;
+      continue;
+    }
+    if (negated) {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+
+    if (inlineValue === undefined) {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`Option --${toFlag(name)} requires a value`);
+      }
+      inlineValue = argv[++i];
+    }
+
+    if (spec.type === 'date' || spec.type === 'range') {
+      dates[name] = inlineValue;
+      continue;
+    }
+    const value = parseValue(spec, toFlag(name), inlineValue);
+    if (spec.type === 'list') options[name].push(...value);
+    else options[name] = value;
+  }
+
+  if (options.tz !== undefined) {
+    const zone = resolveTimeZone(options.tz);
+    if (!zone) throw new UsageError(`Unknown time zone for --tz: ${options.tz}`);
+    options.tz = zone;
+  }
+
+  const command = positionals.length > 0 ? positionals.shift() : 'report';
+  if (!COMMANDS[command]) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  // The console reports usage by UTC day, and snapshots count it by UTC day
+  // as machines may be in any zone, so reconcile and aggregate take UTC days
+  const zone = command === 'reconcile' || command === 'aggregate' ? 'UTC' : options.tz;
+  Object.entries(dates).forEach(([name, value]) => {
+    options[name] =
+      OPTIONS[name].type === 'range'
+        ? parseRange(value, toFlag(name), zone)
+        : parseDate(value, toFlag(name), OPTIONS[name].endOfDay, zone);
+  });
+
+  if (options.since && options.until && options.since > options.until) {
+    throw new UsageError('--since must not be later than --until');
+  }
+  const expected = COMMANDS[command].args || 0;
+  if (positionals.length < expected) {
+    throw new UsageError(`Missing argument for ${command}: ${COMMANDS[command].usage}`);
+  }
+  if (positionals.length > expected) {
+    throw new UsageError(`Unexpected argument: ${positionals[expected]}`);
+  }
+
+  return { command, positionals, options };
+}
+
+function formatHelp() {
+  const rows = Object.entries(OPTIONS).map(([name, spec]) => {
+    const flag =
+      spec.type === 'boolean' && spec.default === true ? `no-${toFlag(name)}` : toFlag(name);
+    const alias = spec.alias ? `-${spec.alias}, ` : '    ';
+    return [`${alias}--${flag}${spec.arg ? ` ${spec.arg}` : ''}`, spec.description];
+  });
+  const width = Math.max(...rows.map(([flags]) => flags.length)) + 2;
+
+  const commands = Object.values(COMMANDS).map(c => [c.usage, c.description]);
+  const commandWidth = Math.max(...commands.map(([usage]) => usage.length)) + 2;
+
+  return [
+    'Usage: claude-code-costs [command] [options]',
+    '',
+    'Analyze Claude Code conversation costs and generate an HTML report.',
+    '',
+    'Commands:',
+    ...commands.map(([usage, description]) => `  ${usage.padEnd(commandWidth)}${description}`),
+    '',
+    'Options:',
+    ...rows.map(([flags, description]) => `  ${flags.padEnd(width)}${description}`),
+    '',
+    'Dates accept YYYY-MM-DD, an ISO timestamp, or a relative number of days (e.g. 7d).',
+    'Periods are two dates joined by .. (e.g. 2025-06-01..2025-06-30) or a single date.'
+  ].join('\n');
+}
+
+module.exports = {
+  COMMANDS,
+  OPTIONS,
+  UsageError,
+  parseDate,
+  parseRange,
+  parseArgs,
+  formatHelp
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// User configuration lives in $XDG_CONFIG_HOME/claude-code-costs, falling back
+// to ~/.config/claude-code-costs on every platform.
+function getConfigDir() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'claude-code-costs');
+}
+
+function readJSONFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (e) {
+    throw new ConfigError(`Cannot read ${filePath}: ${e.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError(`Invalid JSON in ${filePath}: ${e.message}`);
+  }
+}
+
+function getDefaultConfigPath() {
+  return path.join(getConfigDir(), 'config.json');
+}
+
+// Load the user's config.json. Without an explicit path a missing default file
+// just means "no configuration".
+function loadConfig(filePath) {
+  const configPath = filePath || getDefaultConfigPath();
+  if (!filePath && !fs.existsSync(configPath)) return {};
+
+  const config = readJSONFile(configPath);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Config file ${configPath} must contain a JSON object`);
+  }
+  return config;
+}
+
+module.exports = {
+  ConfigError,
+  getConfigDir,
+  getDefaultConfigPath,
+  readJSONFile,
+  loadConfig
+};
@@ -0,0 +1,125 @@
+const path = require('path');
+const { removeTurns } = require('./parser');
+const { encodeProjectPath } = require('./projects');
+const { isSameThread } = require('./threads');
+
+// The same API response can be logged more than once: streaming writes a
+// record per content block with the same usage, resumed sessions copy the
+// conversation so far into their new file, and copied project folders
+// repeat whole files. Responses are identified by their message and request
+// IDs, and each is counted once, in the file that logged it first: the file
+// whose records start earliest, and of copies that start at the same time
+// the one Claude Code wrote (see compareOwners).
+
+// Whether the file is in a directory other than the one Claude Code names
+// after the session's working directory, such as a backup of the folder
+function isCopiedFile(conv) {
+  if (!conv.cwd || !conv.filePath) return false;
+  return path.basename(path.dirname(conv.filePath)) !== encodeProjectPath(conv.cwd);
+}
+
+// The order in which files claim the responses they logged: earliest first
+// record, then the file in its own project directory before copies of it,
+// then by path so that the result does not depend on the order files were read
+function compareOwners(a, b) {
+  const timeA = a.startTime ? a.startTime.getTime() : Infinity;
+  const timeB = b.startTime ? b.startTime.getTime() : Infinity;
+  return (
+    timeA - timeB ||
+    isCopiedFile(a) - isCopiedFile(b) ||
+    (a.filePath || '').localeCompare(b.filePath || '') ||
+    a.conversationId.localeCompare(b.conversationId)
+  );
+}
+
+// A response logged over several records in one file can carry a tool call
+// in each of them. The repeated records are dropped with their cost, but the
+// calls the first record does not have are kept.
+function keepNewCalls(turn, original) {
+  const tools = {};
+  Object.entries(turn.tools || {}).forEach(([name, stats]) => {
+    const counted = original.tools && original.tools[name] ? original.tools[name].callCount : 0;
+    tools[name] = { ...stats, callCount: Math.min(stats.callCount, counted) };
+  });
+  return { ...turn, tools };
+}
+
+// Returns new conversation objects, in the same order, without the repeated
+// responses. Each records what was left out: `duplicateMessageCount` and
+// `duplicateCost` in total, and `copiedMessageCount` and `copiedCost` for
+// the part first logged by another file of the same thread. A file that
+// starts with copied responses starts at its first response of its own.
+function removeDuplicateResponses(conversations) {
+  const firstSeen = new Map();
+  const result = new Map();
+
+  conversations
+    .slice()
+    .sort(compareOwners)
+    .forEach(conv => {
+      const duplicates = new Set();
+      let copiedMessageCount = 0;
+      let copiedCost = 0;
+      const turns = conv.turns.map(turn => {
+        const original = turn.key && firstSeen.get(turn.key);
+        if (!original) {
+          if (turn.key) firstSeen.set(turn.key, { conv, turn });
+          return turn;
+        }
+
+        if (original.conv === conv) {
+          const repeated = keepNewCalls(turn, original.turn);
+          duplicates.add(repeated);
+          return repeated;
+        }
+        duplicates.add(turn);
+        if (isSameThread(original.conv, conv)) {
+          copiedMessageCount++;
+          copiedCost += turn.cost;
+        }
+        return turn;
+      });
+
+      const deduplicated = removeTurns({ ...conv, turns }, turn => duplicates.has(turn));
+      if (duplicates.size === 0) {
+        result.set(conv, {
+          ...conv,
+          duplicateMessageCount: 0,
+          duplicateCost: 0,
+          copiedMessageCount: 0,
+          copiedCost: 0
+        });
+        return;
+      }
+
+      const timing = {};
+      const first = deduplicated.turns.reduce(
+        (min, turn) => (turn.timestamp !== null && turn.timestamp < min ? turn.timestamp : min),
+        Infinity
+      );
+      if (
+        first !== Infinity &&
+        conv.startTime &&
+        conv.endTime &&
+        first > conv.startTime.getTime()
+      ) {
+        timing.startTime = new Date(first);
+        timing.duration = (conv.endTime - timing.startTime) / 1000 / 60;
+      }
+
+      result.set(conv, {
+        ...deduplicated,
+        ...timing,
+        duplicateMessageCount: duplicates.size,
+        duplicateCost: conv.totalCost - deduplicated.totalCost,
+        copiedMessageCount,
+        copiedCost
+      });
+    });
+
+  return conversations.map(conv => result.get(conv));
+}
+
+module.exports = {
+  removeDuplicateResponses
+};
@@ -0,0 +1,319 @@
+// Per-turn breakdown of a single conversation: what each assistant message
+// cost, the running total, and the turns worth looking at first.
+
+const {
+  t,
+  formatCurrency,
+  formatNumber,
+  formatPercent,
+  formatCurrencyChange,
+  formatTime,
+  formatDateTime,
+  textWidth,
+  padEnd,
+  padStart
+} = require('./i18n');
+const { analyzeCacheTurns, getPromptCacheStats } = require('./prompt-cache');
+
+const TOP_TURN_COUNT = 5;
+// A turn is cache-write heavy when cache writes make up this share of its cost
+const CACHE_WRITE_HEAVY_SHARE = 0.5;
+// Consecutive cache-write heavy turns needed to call out a stretch
+const MIN_STRETCH_TURNS = 3;
+
+function toISOString(time) {
+  return time === null || time === undefined ? null : new Date(time).toISOString();
+}
+
+// Turns are numbered from 1 in file order. `topTurns` lists the numbers of
+// the most expensive turns, when there are more turns than that to pick them
+// from; `cacheWriteStretches` the runs of consecutive
+// cache-write heavy turns; `tools` the tools called, by the cost they induced;
+// `promptCache` how well the prompt cache was used (see lib/prompt-cache.js).
+function buildConversationDetail(conversation) {
+  let cumulativeCost = 0;
+  const cacheTurns = analyzeCacheTurns(conversation.turns || []);
+  const turns = (conversation.turns || []).map((turn, index) => {
+    cumulativeCost += turn.cost;
+    return {
+      turn: index + 1,
+      timestamp: toISOString(turn.timestamp),
+      model: turn.model,
+      inputTokens: turn.inputTokens,
+      outputTokens: turn.outputTokens,
+      cacheWriteTokens: turn.cacheWriteTokens,
+      cacheReadTokens: turn.cacheReadTokens,
+      cost: turn.cost,
+      cumulativeCost,
+      sidechain: Boolean(turn.sidechain),
+      cacheWriteHeavy: turn.cost > 0 && turn.cacheWriteCost / turn.cost >= CACHE_WRITE_HEAVY_SHARE,
+      cacheMiss: cacheTurns[index].miss
+    };
+  });
+
+  const topTurns =
+    turns.length > TOP_TURN_COUNT
+      ? turns
+          .filter(t => t.cost > 0)
+          .sort((a, b) => b.cost - a.cost)
+          .slice(0, TOP_TURN_COUNT)
+          .map(t => t.turn)
+      : [];
+
+  const cacheWriteStretches = [];
+  let run = [];
+  const closeRun = () => {
+    if (run.length >= MIN_STRETCH_TURNS) {
+      const cost = run.reduce((sum, t) => sum + t.cost, 0);
+      cacheWriteStretches.push({
+        fromTurn: run[0].turn,
+        toTurn: run[run.length - 1].turn,
+        turnCount: run.length,
+        startTime: run[0].timestamp,
+        endTime: run[run.length - 1].timestamp,
+        cacheWriteTokens: run.reduce((sum, t) => sum + t.cacheWriteTokens, 0),
+        cost,
+        share: cumulativeCost > 0 ? cost / cumulativeCost : 0
+      });
+    }
+    run = [];
+  };
+  turns.forEach(turn => {
+    if (turn.cacheWriteHeavy) run.push(turn);
+    else closeRun();
+  });
+  closeRun();
+
+  const tools = Object.entries(conversation.tools || {})
+    .map(([tool, stats]) => ({ tool, ...stats }))
+    .sort((a, b) => b.totalCost - a.totalCost);
+
+  return {
+    conversationId: conversation.conversationId,
+    projectName: conversation.projectName,
+    conversationTitle: conversation.conversationTitle,
+    startTime: toISOString(conversation.startTime),
+    endTime: toISOString(conversation.endTime),
+    totalCost: cumulativeCost,
+    thread: {
+      threadId: conversation.threadId || conversation.conversationId,
+      fileCount: conversation.threadFileCount || 1,
+      copiedMessageCount: conversation.copiedMessageCount || 0,
+      copiedCost: conversation.copiedCost || 0
+    },
+    // Responses logged again that were left out, copied ones included
+    duplicates: {
+      messageCount: conversation.duplicateMessageCount || 0,
+      totalCost: conversation.duplicateCost || 0
+    },
+    subagents: {
+      count: conversation.subagentCount || 0,
+      messageCount: conversation.subagentMessageCount || 0,
+      totalCost: conversation.subagentCost || 0
+    },
+    turns,
+    topTurns,
+    cacheWriteStretches,
+    tools,
+    promptCache: conversation.promptCache || getPromptCacheStats(conversation)
+  };
+}
+
+// Find a conversation by its ID or an unambiguous prefix of it. Returns
+// `{ conversation }` or `{ matches }` with every candidate when there is no
+// single match.
+function findConversation(conversations, id) {
+  const exact = conversations.filter(c => c.conversationId === id);
+  const matches =
+    exact.length > 0 ? exact : conversations.filter(c => c.conversationId.startsWith(id));
+  return matches.length === 1 ? { conversation: matches[0] } : { matches };
+}
+
+function formatTokens(count) {
+  if (count >= 1e9) return `${(count / 1e9).toFixed(2)}B`;
+  if (count >= 1e6) return `${(count / 1e6).toFixed(2)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}K`;
+  return String(count);
+}
+
+function formatShare(cost, total) {
+  return total > 0 ? formatPercent(cost / total) : '-';
+}
+
+// Table rows padded to their columns' widths: the columns in `leftAligned`
+// (text) to the left, the others (numbers) to the right
+function alignTable(rows, leftAligned) {
+  const widths = rows[0].map((cell, i) => Math.max(...rows.map(row => textWidth(row[i]))));
+  return rows.map(cells =>
+    cells
+      .map((cell, i) => (leftAligned.has(i) ? padEnd(cell, widths[i]) : padStart(cell, widths[i])))
+      .join('  ')
+      .trimEnd()
+  );
+}
+
+// Plain-text rendering for the `show` command
+function formatConversationDetail(detail) {
+  const top = new Set(detail.topTurns);
+  const stretchTurns = new Set();
+  detail.cacheWriteStretches.forEach(s => {
+    for (let turn = s.fromTurn; turn <= s.toTurn; turn++) stretchTurns.add(turn);
+  });
+
+  const columns = [
+    ['#', turn => String(turn.turn)],
+    [t('column.time'), turn => formatTime(turn.timestamp)],
+    [
+      t('column.model'),
+      turn => (turn.model.length > 28 ? `${turn.model.substring(0, 27)}…` : turn.model)
+    ],
+    [t('tokens.input'), turn => formatTokens(turn.inputTokens)],
+    [t('tokens.output'), turn => formatTokens(turn.outputTokens)],
+    [t('tokens.cacheWrite'), turn => formatTokens(turn.cacheWriteTokens)],
+    [t('tokens.cacheRead'), turn => formatTokens(turn.cacheReadTokens)],
+    [t('column.cost'), turn => formatCurrency(turn.cost, 4)],
+    [t('column.cumulative'), turn => formatCurrency(turn.cumulativeCost, 4)],
+    [
+      '',
+      turn =>
+        [
+          top.has(turn.turn) ? t('show.flagTop') : '',
+          stretchTurns.has(turn.turn) ? t('show.flagCacheWrite') : '',
+          turn.sidechain ? t('show.flagSubagent') : '',
+          turn.cacheMiss ? t('show.flagCacheMiss') : ''
+        ]
+          .filter(Boolean)
+          .join(', ')
+    ]
+  ];
+  const rows = detail.turns.map(turn => columns.map(([, value]) => value(turn)));
+
+  const fields = [
+    [t('show.id'), detail.conversationId],
+    [t('show.project'), detail.projectName],
+    [t('show.started'), formatDateTime(detail.startTime)],
+    [
+      t('show.cost'),
+      t('show.costValue', {
+        cost: formatCurrency(detail.totalCost, 4),
+        turns: detail.turns.length
+      })
+    ]
+  ];
+  if (detail.thread.fileCount > 1) {
+    fields.push([
+      t('show.thread'),
+      t('show.threadValue', { id: detail.thread.threadId, files: detail.thread.fileCount })
+    ]);
+  }
+  if (detail.thread.copiedMessageCount > 0) {
+    fields.push([
+      t('show.copied'),
+      t('show.copiedValue', {
+        count: detail.thread.copiedMessageCount,
+        cost: formatCurrency(detail.thread.copiedCost, 4)
+      })
+    ]);
+  }
+  if (detail.duplicates.messageCount > detail.thread.copiedMessageCount) {
+    fields.push([
+      t('show.repeated'),
+      t('show.repeatedValue', {
+        count: detail.duplicates.messageCount - detail.thread.copiedMessageCount,
+        cost: formatCurrency(detail.duplicates.totalCost - detail.thread.copiedCost, 4)
+      })
+    ]);
+  }
+  if (detail.subagents.messageCount > 0) {
+    fields.push([
+      t('show.subagents'),
+      t('show.subagentValue', {
+        cost: formatCurrency(detail.subagents.totalCost, 4),
+        percent: formatShare(detail.subagents.totalCost, detail.totalCost),
+        count: detail.subagents.count,
+        turns: detail.subagents.messageCount
+      })
+    ]);
+  }
+  const { promptCache } = detail;
+  if (promptCache.hitRatio !== null) {
+    fields.push([
+      t('show.promptCache'),
+      t('show.promptCacheValue', {
+        ratio: formatPercent(promptCache.hitRatio),
+        net: formatCurrencyChange(promptCache.netSavings),
+        unread: formatCurrency(promptCache.unreadWriteCost, 4),
+        misses: formatNumber(promptCache.missCount),
+        switches: formatNumber(promptCache.modelSwitchCount)
+      })
+    ]);
+  }
+  const labelWidth = Math.max(...fields.map(([label]) => textWidth(label))) + 2;
+  const lines = [
+    detail.conversationTitle,
+    ...fields.map(([label, value]) => `${padEnd(`${label}:`, labelWidth)}${value}`),
+    ''
+  ];
+
+  if (detail.turns.length === 0) {
+    lines.push(t('show.noTurns'));
+    return lines.join('\n');
+  }
+
+  lines.push(...alignTable([columns.map(([label]) => label), ...rows], new Set([1, 2, 9])));
+
+  if (detail.topTurns.length > 0) {
+    lines.push('', t('show.topTurns'));
+    const topRows = detail.topTurns.map(number => {
+      const turn = detail.turns[number - 1];
+      return [
+        `#${turn.turn}`,
+        formatCurrency(turn.cost, 4),
+        formatShare(turn.cost, detail.totalCost),
+        formatTime(turn.timestamp),
+        turn.model
+      ];
+    });
+    const header = ['#', t('column.cost'), t('column.share'), t('column.time'), t('column.model')];
+    lines.push(...alignTable([header, ...topRows], new Set([3, 4])).map(line => `  ${line}`));
+  }
+
+  if (detail.cacheWriteStretches.length > 0) {
+    lines.push('', t('show.cacheWriteStretches'));
+    detail.cacheWriteStretches.forEach(s => {
+      const stretch = t('show.stretch', {
+        from: s.fromTurn,
+        to: s.toTurn,
+        turns: s.turnCount,
+        start: formatTime(s.startTime),
+        end: formatTime(s.endTime)
+      });
+      const written = t('show.stretchWritten', { tokens: formatTokens(s.cacheWriteTokens) });
+      lines.push(
+        `  ${stretch}: ${formatCurrency(s.cost, 4)} (${formatShare(s.cost, detail.totalCost)}), ${written}`
+      );
+    });
+  }
+
+  if (detail.tools.length > 0) {
+    lines.push('', t('show.tools'));
+    detail.tools.forEach(tool => {
+      const details = t('show.toolDetails', {
+        calls: formatNumber(tool.callCount),
+        errors: formatNumber(tool.errorCount),
+        tokens: formatTokens(tool.resultTokens)
+      });
+      lines.push(
+        `  ${tool.tool}: ${formatCurrency(tool.totalCost, 4)} (${formatShare(tool.totalCost, detail.totalCost)}), ${details}`
+      );
+    });
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildConversationDetail,
+  findConversation,
+  formatConversationDetail
+};
@@ -0,0 +1,174 @@
+// Machine-readable output for --format. The layout is described in the README
+// ("Export schema") and versioned by EXPORT_SCHEMA_VERSION; bump it whenever a
+// field is removed or changes meaning. Adding fields does not need a bump.
+
+const { getTimeZone } = require('./timezone');
+const { getPromptCacheStats } = require('./prompt-cache');
+
+// 2: daily costs are split by the day each message was sent, in the --tz zone
+const EXPORT_SCHEMA_VERSION = 2;
+
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv'];
+const EXPORT_TABLES = [
+  'conversations',
+  'daily',
+  'projects',
+  'models',
+  'branches',
+  'tools',
+  'threads'
+];
+
+const TOKEN_FIELDS = [
+  'inputTokens',
+  'outputTokens',
+  'cacheWriteTokens',
+  'cacheReadTokens',
+  'inputCost',
+  'outputCost',
+  'cacheWriteCost',
+  'cacheReadCost'
+];
+
+function toISOString(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+function exportConversation(conv) {
+  const totals = {};
+  TOKEN_FIELDS.forEach(field => {
+    totals[field] = Object.values(conv.models || {}).reduce((sum, m) => sum + m[field], 0);
+  });
+  const cache = conv.promptCache || getPromptCacheStats(conv);
+
+  return {
+    conversationId: conv.conversationId,
+    projectName: conv.projectName,
+    projectPath: conv.projectPath,
+    conversationName: conv.conversationName,
+    conversationTitle: conv.conversationTitle,
+    startTime: toISOString(conv.startTime),
+    endTime: toISOString(conv.endTime),
+    durationMinutes: conv.duration,
+    messageCount: conv.messageCount,
+    totalCost: conv.totalCost,
+    ...totals,
+    models: conv.models || {},
+    repository: conv.repository ? conv.repository.path : null,
+    gitBranches: conv.gitBranches || {},
+    tools: conv.tools || {},
+    subagentCount: conv.subagentCount || 0,
+    subagentMessageCount: conv.subagentMessageCount || 0,
+    subagentCost: conv.subagentCost || 0,
+    threadId: conv.threadId || conv.conversationId,
+    copiedMessageCount: conv.copiedMessageCount || 0,
+    copiedCost: conv.copiedCost || 0,
+    duplicateMessageCount: conv.duplicateMessageCount || 0,
+    duplicateCost: conv.duplicateCost || 0,
+    // Flat, so that the CSV table has them too (see lib/prompt-cache.js)
+    cacheHitRatio: cache.hitRatio,
+    cacheSavings: cache.savings,
+    cacheWritePremium: cache.writePremium,
+    cacheNetSavings: cache.netSavings,
+    unreadCacheWriteTokens: cache.unreadWriteTokens,
+    unreadCacheWriteCost: cache.unreadWriteCost,
+    cacheMissCount: cache.missCount,
+    modelSwitchCount: cache.modelSwitchCount,
+    // Only looked up with --commits
+    commits: conv.commits || null
+  };
+}
+
+function exportDay(day) {
+  return {
+    date: day.date,
+    totalCost: day.totalCost,
+    subagentCost: day.subagentCost,
+    messageCount: day.messageCount,
+    conversationCount: day.conversationCount,
+    conversationIds: day.conversations.map(c => c.conversationId)
+  };
+}
+
+// `data` holds the already aggregated analysis:
+// { conversations, daily, projects, models, branches, tools, threads }.
+function buildExport(data) {
+  const conversations = data.conversations.map(exportConversation);
+
+  return {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    generatedAt: new Date().toISOString(),
+    timeZone: getTimeZone(),
+    totals: {
+      totalCost: conversations.reduce((sum, c) => sum + c.totalCost, 0),
+      conversationCount: conversations.length,
+      messageCount: conversations.reduce((sum, c) => sum + c.messageCount, 0)
+    },
+    conversations,
+    daily: data.daily.map(exportDay),
+    projects: data.projects,
+    models: data.models,
+    branches: data.branches,
+    tools: data.tools,
+    threads: data.threads
+  };
+}
+
+function toCSVValue(value) {
+  if (value === null || value === undefined) return '';
+  // Lists of commits are written as their hashes
+  if (Array.isArray(value)) value = value.map(v => (v && v.hash ? v.hash : v)).join(';');
+  else if (typeof value === 'object') value = Object.keys(value).join(';');
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(rows) {
+  if (rows.length === 0) return '';
+
+  const columns = Object.keys(rows[0]);
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => toCSVValue(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+function formatExport(data, format, table = 'conversations') {
+  const exported = buildExport(data);
+
+  switch (format) {
+    case 'json':
+      return JSON.stringify(exported, null, 2) + '\n';
+    case 'ndjson': {
+      const { conversations, daily, projects, models, branches, tools, threads, ...meta } =
+        exported;
+      const records = [
+        { type: 'meta', ...meta },
+        ...conversations.map(record => ({ type: 'conversation', ...record })),
+        ...daily.map(record => ({ type: 'daily', ...record })),
+        ...projects.map(record => ({ type: 'project', ...record })),
+        ...models.map(record => ({ type: 'model', ...record })),
+        ...branches.map(record => ({ type: 'branch', ...record })),
+        ...tools.map(record => ({ type: 'tool', ...record })),
+        ...threads.map(record => ({ type: 'thread', ...record }))
+      ];
+      return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+    }
+    case 'csv':
+      return toCSV(exported[table]);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_SCHEMA_VERSION,
+  EXPORT_FORMATS,
+  EXPORT_TABLES,
+  exportConversation,
+  exportDay,
+  buildExport,
+  formatExport
+};
@@ -0,0 +1,124 @@
+const { getDateKey, addDays } = require('./timezone');
+const { countDays, getDailyCosts } = require('./trends');
+
+// Month-end and quarter-end spend projections from the daily aggregation (see
+// aggregateDailyCosts). The model is meant to be explained in one sentence:
+// every remaining day is expected to cost the average of the last four weeks,
+// scaled by how that weekday compares with the average. The range around the
+// projection comes from how far the past days were off their expected spend.
+
+// Days of history the average and weekday factors are taken from
+const WINDOW_DAYS = 28;
+// With less history than this every weekday counts the same
+const SEASONALITY_DAYS = 14;
+// Two-sided 90% range of a normal distribution
+const BAND_Z = 1.645;
+
+function getWeekDay(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+// The average and weekday factors (Sunday first) of the complete days before
+// `today`, or null without any spend before today
+function buildModel(costs, today) {
+  const firstDay = [...costs.keys()].sort()[0];
+  if (!firstDay || firstDay >= today) return null;
+
+  const windowStart = addDays(today, -WINDOW_DAYS);
+  const from = firstDay > windowStart ? firstDay : windowStart;
+  const to = addDays(today, -1);
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    days.push({ date, cost: costs.get(date) || 0 });
+  }
+
+  const dailyAverage = days.reduce((sum, day) => sum + day.cost, 0) / days.length;
+  const weekdayFactors = [1, 1, 1, 1, 1, 1, 1];
+  if (days.length >= SEASONALITY_DAYS && dailyAverage > 0) {
+    weekdayFactors.forEach((factor, weekDay) => {
+      const costsOfDay = days.filter(day => getWeekDay(day.date) === weekDay).map(day => day.cost);
+      weekdayFactors[weekDay] =
+        costsOfDay.reduce((sum, cost) => sum + cost, 0) / costsOfDay.length / dailyAverage;
+    });
+  }
+
+  // Standard deviation of the days from their expected spend
+  const squares = days.reduce((sum, day) => {
+    const error = day.cost - dailyAverage * weekdayFactors[getWeekDay(day.date)];
+    return sum + error * error;
+  }, 0);
+  const deviation = Math.sqrt(squares / Math.max(1, days.length - 1));
+
+  return { from, to, dayCount: days.length, dailyAverage, weekdayFactors, deviation };
+}
+
+function expectedCost(model, dateKey) {
+  return model.dailyAverage * model.weekdayFactors[getWeekDay(dateKey)];
+}
+
+// Spend from `from` to `to` (days, `today` in between): what was spent so far
+// and the projected total with its range. Today is under way and counts as
+// the larger of its spend so far and its expected spend.
+function projectPeriod(model, costs, { from, to }, today) {
+  let spent = 0;
+  for (let date = from; date <= today; date = addDays(date, 1)) spent += costs.get(date) || 0;
+
+  const days = [];
+  for (let date = today; date <= to; date = addDays(date, 1)) {
+    const expected = expectedCost(model, date);
+    const actual = date === today ? costs.get(date) || 0 : 0;
+    days.push({
+      date,
+      expected: Math.max(actual, expected),
+      low: Math.max(actual, expected - BAND_Z * model.deviation),
+      high: Math.max(actual, expected + BAND_Z * model.deviation)
+    });
+  }
+
+  const remaining = days.reduce((sum, day) => sum + day.expected, 0) - (costs.get(today) || 0);
+  const projected = spent + remaining;
+  // Days are taken to be independent, so the range grows with the square root of their number
+  const margin = BAND_Z * model.deviation * Math.sqrt(days.length);
+  return {
+    from,
+    to,
+    spent,
+    projected,
+    low: Math.max(spent, projected - margin),
+    high: projected + margin,
+    remainingDays: countDays({ from: today, to }),
+    days
+  };
+}
+
+// Month-end and quarter-end projections of all projects or of one, with the
+// model they come from; null when there is no spend before today to go by.
+function getForecast(daily, now = Date.now(), project = null) {
+  const costs = getDailyCosts(daily, project);
+  const today = getDateKey(now);
+  const model = buildModel(costs, today);
+  if (!model) return null;
+
+  const month = Number(today.slice(5, 7));
+  const year = today.slice(0, 4);
+  const monthStart = `${today.slice(0, 7)}-01`;
+  const quarterStart = `${year}-${String(month - ((month - 1) % 3)).padStart(2, '0')}-01`;
+  // The day before the first of the month three (or one) months on
+  const endOf = (start, months) => {
+    const date = new Date(`${start}T00:00:00Z`);
+    date.setUTCMonth(date.getUTCMonth() + months);
+    return addDays(date.toISOString().split('T')[0], -1);
+  };
+
+  return {
+    model,
+    month: projectPeriod(model, costs, { from: monthStart, to: endOf(monthStart, 1) }, today),
+    quarter: projectPeriod(model, costs, { from: quarterStart, to: endOf(quarterStart, 3) }, today)
+  };
+}
+
+module.exports = {
+  WINDOW_DAYS,
+  buildModel,
+  getForecast
+};
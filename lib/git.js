@@ -0,0 +1,137 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { stripHome } = require('./projects');
+
+// Branches that collect finished work rather than being one piece of it
+const MAINLINE_BRANCHES = ['main', 'master', 'develop', 'development', 'trunk'];
+// Commits made this long after a session's last message still count as its work
+const COMMIT_GRACE_MS = 30 * 60 * 1000;
+const GIT_TIMEOUT_MS = 10000;
+
+const repositories = new Map();
+
+function readGitFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8').trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+// The main working tree of the repository that `gitDir` belongs to. Linked
+// worktrees keep their git directory under <repo>/.git/worktrees/<name>, with
+// a `commondir` file pointing back to <repo>/.git.
+function getMainRoot(gitDir) {
+  const commonDir = readGitFile(path.join(gitDir, 'commondir'));
+  const common = commonDir ? path.resolve(gitDir, commonDir) : gitDir;
+  return path.basename(common) === '.git' ? path.dirname(common) : common;
+}
+
+function lookUpRepository(cwd) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    const dotGit = path.join(dir, '.git');
+    let stat = null;
+    try {
+      stat = fs.statSync(dotGit);
+    } catch (e) {
+      // Not here, try the parent
+    }
+
+    if (stat && stat.isDirectory()) {
+      return dir;
+    }
+    if (stat && stat.isFile()) {
+      const match = /^gitdir:\s*(.+)$/m.exec(readGitFile(dotGit) || '');
+      if (match) return getMainRoot(path.resolve(dir, match[1]));
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// The git repository a session ran in: `{ name, path }` of its main working
+// tree, so that worktrees count towards the repository they belong to. null
+// when the directory is not in a repository or does not exist on this machine.
+function findRepository(cwd) {
+  if (!cwd) return null;
+  if (!repositories.has(cwd)) {
+    const root = lookUpRepository(cwd);
+    repositories.set(cwd, root && { name: stripHome(root), path: root });
+  }
+  return repositories.get(cwd);
+}
+
+function isMainlineBranch(branch) {
+  return MAINLINE_BRANCHES.includes(branch);
+}
+
+function git(repoPath, args) {
+  return new Promise(resolve => {
+    execFile(
+      'git',
+      ['-C', repoPath, ...args],
+      { timeout: GIT_TIMEOUT_MS, maxBuffer: 32 * 1024 * 1024 },
+      (err, stdout) => resolve(err ? null : stdout)
+    );
+  });
+}
+
+// Commits on any branch of the repository with a commit time in the range.
+// Returns null when git is not available or the repository cannot be read.
+async function listCommits(repoPath, since, until) {
+  const output = await git(repoPath, [
+    'log',
+    '--all',
+    `--since=@${Math.floor(since / 1000)}`,
+    `--until=@${Math.ceil(until / 1000)}`,
+    '--format=%H%x1f%ct%x1f%s'
+  ]);
+  if (output === null) return null;
+
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [hash, time, subject] = line.split('\x1f');
+      return { hash, time: Number(time) * 1000, subject };
+    });
+}
+
+// Attach `commits` to every conversation that ran in a repository: the
+// commits made between its first message and shortly after its last one.
+// Each repository is read once, with git, for the range of all its sessions.
+async function attachCommits(conversations) {
+  const byRepository = new Map();
+  conversations.forEach(conv => {
+    if (!conv.repository || !conv.startTime || !conv.endTime) return;
+    const list = byRepository.get(conv.repository.path) || [];
+    list.push(conv);
+    byRepository.set(conv.repository.path, list);
+  });
+
+  for (const [repoPath, list] of byRepository) {
+    const since = Math.min(...list.map(c => c.startTime.getTime()));
+    const until = Math.max(...list.map(c => c.endTime.getTime())) + COMMIT_GRACE_MS;
+    const commits = (await listCommits(repoPath, since, until)) || [];
+
+    list.forEach(conv => {
+      const start = conv.startTime.getTime();
+      const end = conv.endTime.getTime() + COMMIT_GRACE_MS;
+      conv.commits = commits
+        .filter(commit => commit.time >= start && commit.time <= end)
+        .map(commit => ({ ...commit, time: new Date(commit.time).toISOString() }));
+    });
+  }
+}
+
+module.exports = {
+  MAINLINE_BRANCHES,
+  findRepository,
+  isMainlineBranch,
+  listCommits,
+  attachCommits
+};
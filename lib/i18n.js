@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const { getTimeZone } = require('./timezone');
+
+// Message catalogs are lib/locales/<language>.json. A catalog only needs the
+// keys it translates; missing keys fall back to English.
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+function readCatalog(name) {
+  return JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${name}.json`), 'utf8'));
+}
+
+function getAvailableLocales() {
+  return fs
+    .readdirSync(LOCALES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .sort();
+}
+
+// Turn a locale tag or POSIX locale (zh_CN.UTF-8) into a BCP 47 tag
+function normalizeTag(value) {
+  return value.split(/[.@]/)[0].replace(/_/g, '-');
+}
+
+// The catalog for a tag: an exact match (zh-TW) or its language (zh)
+function findCatalog(tag) {
+  const available = getAvailableLocales();
+  const lower = tag.toLowerCase();
+  return (
+    available.find(name => name.toLowerCase() === lower) ||
+    available.find(name => name.toLowerCase() === lower.split('-')[0]) ||
+    null
+  );
+}
+
+// Returns the normalized tag when there is a catalog for it, otherwise null
+function resolveLocale(value) {
+  if (!value) return null;
+  const tag = normalizeTag(value);
+  return findCatalog(tag) ? tag : null;
+}
+
+// The locale from the environment, like other command-line tools
+function detectLocale(env = process.env) {
+  const value = [env.LC_ALL, env.LC_MESSAGES, env.LANG].find(
+    v => v && v !== 'C' && v !== 'POSIX' && !v.startsWith('C.')
+  );
+  return resolveLocale(value) || DEFAULT_LOCALE;
+}
+
+function isSupportedByIntl(tag) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([tag]).length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+let activeLocale = DEFAULT_LOCALE;
+let activeMessages = readCatalog(DEFAULT_LOCALE);
+
+// Switch messages and number/date formatting to `tag` (see resolveLocale)
+function setLocale(tag) {
+  const catalog = findCatalog(tag) || DEFAULT_LOCALE;
+  activeLocale = isSupportedByIntl(tag) ? tag : catalog;
+  activeMessages = { ...readCatalog(DEFAULT_LOCALE), ...readCatalog(catalog) };
+  return activeLocale;
+}
+
+function getLocale() {
+  return activeLocale;
+}
+
+function getMessages() {
+  return activeMessages;
+}
+
+// Look up a message and fill in its {placeholders}
+function t(key, params = {}) {
+  const message = activeMessages[key];
+  if (message === undefined) return key;
+  return message.replace(/\{(\w+)\}/g, (match, name) =>
+    params[name] === undefined ? match : String(params[name])
+  );
+}
+
+// All costs are in USD
+function formatCurrency(value, digits = 2) {
+  return new Intl.NumberFormat(activeLocale, {
+    style: 'currency',
+    currency: 'USD',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(value);
+}
+
+function formatNumber(value, digits) {
+  const options =
+    digits === undefined ? {} : { minimumFractionDigits: digits, maximumFractionDigits: digits };
+  return new Intl.NumberFormat(activeLocale, options).format(value);
+}
+
+function formatPercent(ratio, digits = 1) {
+  return new Intl.NumberFormat(activeLocale, {
+    style: 'percent',
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(ratio);
+}
+
+// Dates and times are shown in the --tz time zone
+function formatDate(value) {
+  return value
+    ? new Date(value).toLocaleDateString(activeLocale, { timeZone: getTimeZone() })
+    : t('common.unknown');
+}
+
+function formatTime(value) {
+  return value
+    ? new Date(value).toLocaleTimeString(activeLocale, { timeZone: getTimeZone() })
+    : '-';
+}
+
+function formatDateTime(value) {
+  return value
+    ? new Date(value).toLocaleString(activeLocale, { timeZone: getTimeZone() })
+    : t('common.unknown');
+}
+
+// Short name of a day of the week, Sunday being 0
+function formatWeekDay(weekDay) {
+  return new Date(Date.UTC(2023, 0, 1 + weekDay)).toLocaleDateString(activeLocale, {
+    weekday: 'short',
+    timeZone: 'UTC'
+  });
+}
+
+// Terminal columns taken by `text`: CJK and fullwidth characters take two
+function textWidth(text) {
+  const wide = text.match(
+    /[\u1100-\u115f\u2e80-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6]/g
+  );
+  return text.length + (wide ? wide.length : 0);
+}
+
+// Pad by terminal columns, so translated headers line up
+function padEnd(text, width) {
+  return text + ' '.repeat(Math.max(0, width - textWidth(text)));
+}
+
+function padStart(text, width) {
+  return ' '.repeat(Math.max(0, width - textWidth(text))) + text;
+}
+
+// Lay out rows of cells (the first row being the header) as text columns. The
+// first `textColumns` columns are left-aligned, the others right-aligned.
+function formatTable(rows, textColumns = 1) {
+  const widths = rows[0].map((cell, i) => Math.max(...rows.map(row => textWidth(row[i]))));
+  return rows.map(row =>
+    row
+      .map((cell, i) => (i < textColumns ? padEnd(cell, widths[i]) : padStart(cell, widths[i])))
+      .join('  ')
+      .trimEnd()
+  );
+}
+
+// A change in cost or a relative change, always with its sign
+function formatCurrencyChange(value, digits = 4) {
+  return `${value < 0 ? '-' : '+'}${formatCurrency(Math.abs(value), digits)}`;
+}
+
+function formatPercentChange(ratio) {
+  if (ratio === null) return '-';
+  return `${ratio < 0 ? '' : '+'}${formatPercent(ratio)}`;
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  getAvailableLocales,
+  resolveLocale,
+  detectLocale,
+  setLocale,
+  getLocale,
+  getMessages,
+  t,
+  formatCurrency,
+  formatNumber,
+  formatPercent,
+  formatDate,
+  formatTime,
+  formatDateTime,
+  formatWeekDay,
+  textWidth,
+  padEnd,
+  padStart,
+  formatTable,
+  formatCurrencyChange,
+  formatPercentChange
+};
@@ -0,0 +1,16 @@
+// Worker thread entry point used by --jobs to parse conversation files off
+// the main thread. Pricing is loaded once from the same file as the parent.
+const { parentPort, workerData } = require('worker_threads');
+const { loadPricing } = require('./pricing');
+const { parseJSONLFileIncremental } = require('./parser');
+
+loadPricing(workerData.pricingPath);
+
+parentPort.on('message', async ({ filePath, size, resume }) => {
+  try {
+    const result = await parseJSONLFileIncremental(filePath, size, resume);
+    parentPort.postMessage({ result });
+  } catch (e) {
+    parentPort.postMessage({ error: e.message });
+  }
+});
@@ -0,0 +1,539 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateCostBreakdown } = require('./pricing');
+
+function getModelFamily(model) {
+  if (/opus/i.test(model)) return 'Opus';
+  if (/sonnet/i.test(model)) return 'Sonnet';
+  if (/haiku/i.test(model)) return 'Haiku';
+  return 'Other';
+}
+
+function createModelStats() {
+  return {
+    messageCount: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheWriteTokens: 0,
+    cacheReadTokens: 0,
+    inputCost: 0,
+    outputCost: 0,
+    cacheWriteCost: 0,
+    cacheReadCost: 0,
+    totalCost: 0
+  };
+}
+
+function addModelUsage(models, model, usage, cost) {
+  const stats = models[model] || (models[model] = createModelStats());
+  stats.messageCount++;
+  stats.inputTokens += usage.input_tokens || 0;
+  stats.outputTokens += usage.output_tokens || 0;
+  stats.cacheWriteTokens += usage.cache_creation_input_tokens || 0;
+  stats.cacheReadTokens += usage.cache_read_input_tokens || 0;
+  stats.inputCost += cost.input;
+  stats.outputCost += cost.output;
+  stats.cacheWriteCost += cost.cacheWrite;
+  stats.cacheReadCost += cost.cacheRead;
+  stats.totalCost += cost.total;
+}
+
+// Tool results are not tokenized in the logs; estimate them from their length
+const CHARS_PER_TOKEN = 4;
+
+function createToolStats() {
+  return {
+    callCount: 0,
+    errorCount: 0,
+    resultTokens: 0,
+    turnCost: 0,
+    resultCost: 0,
+    totalCost: 0
+  };
+}
+
+function getToolStats(state, name) {
+  return state.tools[name] || (state.tools[name] = createToolStats());
+}
+
+function contentLength(content) {
+  if (typeof content === 'string') return content.length;
+  if (!Array.isArray(content)) return 0;
+  return content.reduce(
+    (sum, block) => sum + (block && typeof block.text === 'string' ? block.text.length : 0),
+    0
+  );
+}
+
+// Tool results arrive in the user message after the call. Their size is
+// remembered until the next priced assistant message, which reads them as input.
+function addToolResults(state, content) {
+  if (!Array.isArray(content)) return;
+  content.forEach(block => {
+    if (!block || block.type !== 'tool_result') return;
+    const name = state.pendingToolUses[block.tool_use_id] || 'unknown';
+    delete state.pendingToolUses[block.tool_use_id];
+
+    const stats = getToolStats(state, name);
+    const tokens = Math.ceil(contentLength(block.content) / CHARS_PER_TOKEN);
+    stats.resultTokens += tokens;
+    if (block.is_error) stats.errorCount++;
+    state.pendingToolResults.push({ name, tokens, error: Boolean(block.is_error) });
+  });
+}
+
+// Split the cost of an assistant message between tools. The pending results
+// are charged the share of its uncached input (input and cache writes) that
+// they make up; the rest of the message's cost is split evenly between the
+// tools it calls. A message's cost is counted towards at most one tool per
+// part, so tool costs never add up to more than the total.
+//
+// Returns what the message added per tool, including the results it read, so
+// the message can be taken out again (see removeTurns).
+function addToolCosts(state, content, usage, cost) {
+  const charges = {};
+  const charge = name => charges[name] || (charges[name] = createToolStats());
+
+  const newTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0);
+  const resultTokens = state.pendingToolResults.reduce((sum, r) => sum + r.tokens, 0);
+  let resultCost = 0;
+  if (newTokens > 0 && resultTokens > 0) {
+    resultCost = ((cost.input + cost.cacheWrite) * Math.min(resultTokens, newTokens)) / newTokens;
+  }
+  state.pendingToolResults.forEach(result => {
+    const share = resultTokens > 0 ? (resultCost * result.tokens) / resultTokens : 0;
+    const stats = charge(result.name);
+    stats.resultTokens += result.tokens;
+    if (result.error) stats.errorCount++;
+    stats.resultCost += share;
+    stats.totalCost += share;
+  });
+  state.pendingToolResults = [];
+
+  const calls = Array.isArray(content)
+    ? content.filter(block => block && block.type === 'tool_use' && block.name)
+    : [];
+  calls.forEach(call => {
+    const share = (cost.total - resultCost) / calls.length;
+    const stats = charge(call.name);
+    stats.callCount++;
+    stats.turnCost += share;
+    stats.totalCost += share;
+    if (call.id) state.pendingToolUses[call.id] = call.name;
+  });
+
+  // Result sizes and errors were counted when the results arrived
+  Object.entries(charges).forEach(([name, stats]) => {
+    const target = getToolStats(state, name);
+    target.callCount += stats.callCount;
+    target.turnCost += stats.turnCost;
+    target.resultCost += stats.resultCost;
+    target.totalCost += stats.totalCost;
+  });
+  return charges;
+}
+
+// The response ID and request ID of an assistant message, or null when the
+// log does not record them
+function getMessageKey(message) {
+  const id = message.message && message.message.id;
+  if (!id) return null;
+  return message.requestId ? `${id}:${message.requestId}` : id;
+}
+
+// Parsing is split into a plain-object state, a per-line step and a final
+// step so that a file can be read in several passes: the cache stores the
+// state after the last complete line and later runs resume from there.
+function createParseState() {
+  return {
+    totalCost: 0,
+    messageCount: 0,
+    conversationName: '',
+    conversationTitle: '',
+    startTime: null,
+    endTime: null,
+    summary: '',
+    firstUserMessage: '',
+    models: {},
+    turns: [],
+    cwd: null,
+    gitBranch: null,
+    gitBranches: {},
+    tools: {},
+    // Tool calls waiting for their result, by tool_use ID
+    pendingToolUses: {},
+    pendingToolResults: [],
+    // Task subagents run in the same log as sidechain messages. Each subagent
+    // has an agentId in newer logs; older ones only start a new thread.
+    subagentIds: {},
+    subagentThreads: 0,
+    subagentMessageCount: 0,
+    subagentCost: 0,
+    // The subagent of the last sidechain record: its agentId, or in older
+    // logs the number of the subagent thread it started
+    agentId: null,
+    // Where the session continues another one (see lib/threads.js): the
+    // session IDs its records carry, the parent of its first record and the
+    // last record of the main thread
+    sessionIds: {},
+    firstParentUuid: null,
+    firstUuidSeen: false,
+    lastUuid: null
+  };
+}
+
+function parseLine(state, line) {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (e) {
+    // Silent error handling
+    return;
+  }
+  parseRecord(state, message);
+}
+
+function parseRecord(state, message) {
+  if (!message || typeof message !== 'object') return;
+
+  try {
+    // Extract conversation metadata
+    if (message.type === 'summary') {
+      if (message.summary) {
+        state.summary = message.summary;
+      }
+      if (message.metadata) {
+        state.conversationName =
+          message.metadata.workingDirectory || message.metadata.cwd || 'Unknown';
+        if (message.metadata.thread_summary) {
+          state.conversationTitle = message.metadata.thread_summary;
+        }
+        if (message.metadata.summary) {
+          state.conversationTitle = message.metadata.summary;
+        }
+      }
+    }
+
+    // Working directory and git branch are recorded on every message; the
+    // branch can change during a session
+    if (typeof message.cwd === 'string' && message.cwd && !state.cwd) {
+      state.cwd = message.cwd;
+    }
+    if (typeof message.gitBranch === 'string' && message.gitBranch) {
+      state.gitBranch = message.gitBranch;
+    }
+
+    if (typeof message.sessionId === 'string' && message.sessionId) {
+      state.sessionIds[message.sessionId] = true;
+    }
+    if (typeof message.uuid === 'string' && message.uuid) {
+      if (!state.firstUuidSeen) {
+        state.firstUuidSeen = true;
+        state.firstParentUuid = message.parentUuid || null;
+      }
+      if (message.isSidechain !== true) state.lastUuid = message.uuid;
+    }
+
+    if (message.isSidechain === true) {
+      if (typeof message.agentId === 'string' && message.agentId) {
+        state.subagentIds[message.agentId] = true;
+        state.agentId = message.agentId;
+      } else if (message.parentUuid === null) {
+        state.subagentThreads++;
+        state.agentId = `thread-${state.subagentThreads}`;
+      }
+    }
+
+    // Capture first user message as fallback title
+    if (message.type === 'user' && !state.firstUserMessage && message.text) {
+      state.firstUserMessage = message.text.substring(0, 100);
+    }
+
+    if (message.type === 'user' && message.message) {
+      addToolResults(state, message.message.content);
+    }
+
+    // Extract cost data from assistant messages
+    if (message.type === 'assistant' && message.message) {
+      const usage = message.message.usage;
+      const model = message.message.model;
+      if (usage && model) {
+        const cost = calculateCostBreakdown(usage, model, message.timestamp);
+        state.totalCost += cost.total;
+        state.messageCount++;
+        addModelUsage(state.models, model, usage, cost);
+        const tools = addToolCosts(state, message.message.content, usage, cost);
+
+        const timestamp = message.timestamp ? new Date(message.timestamp).getTime() : NaN;
+        state.turns.push({
+          timestamp: isNaN(timestamp) ? null : timestamp,
+          // Identifies the API response, which is logged again when a session is continued
+          key: getMessageKey(message),
+          model,
+          inputTokens: usage.input_tokens || 0,
+          outputTokens: usage.output_tokens || 0,
+          cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+          cacheReadTokens: usage.cache_read_input_tokens || 0,
+          inputCost: cost.input,
+          outputCost: cost.output,
+          cacheWriteCost: cost.cacheWrite,
+          cacheReadCost: cost.cacheRead,
+          cost: cost.total,
+          sidechain: message.isSidechain === true,
+          // The subagent that sent a sidechain message (see state.agentId)
+          agentId: message.isSidechain === true ? state.agentId : null,
+          gitBranch: state.gitBranch,
+          tools
+        });
+
+        if (message.isSidechain === true) {
+          state.subagentMessageCount++;
+          state.subagentCost += cost.total;
+        }
+
+        if (state.gitBranch) {
+          const branch =
+            state.gitBranches[state.gitBranch] ||
+            (state.gitBranches[state.gitBranch] = { messageCount: 0, totalCost: 0 });
+          branch.messageCount++;
+          branch.totalCost += cost.total;
+        }
+      }
+    }
+
+    // Track conversation time range (as epoch milliseconds so the state stays JSON)
+    if (message.timestamp) {
+      const timestamp = new Date(message.timestamp).getTime();
+      if (!isNaN(timestamp)) {
+        if (state.startTime === null || timestamp < state.startTime) state.startTime = timestamp;
+        if (state.endTime === null || timestamp > state.endTime) state.endTime = timestamp;
+      }
+    }
+  } catch (e) {
+    // Silent error handling
+  }
+}
+
+function finishParse(state, filePath) {
+  // Determine best title
+  const conversationTitle =
+    state.conversationTitle || state.summary || state.firstUserMessage || 'Untitled conversation';
+  const startTime = state.startTime === null ? null : new Date(state.startTime);
+  const endTime = state.endTime === null ? null : new Date(state.endTime);
+
+  return {
+    conversationId: path.basename(filePath, '.jsonl'),
+    filePath,
+    conversationName: state.conversationName,
+    conversationTitle: conversationTitle.replace(/\n/g, ' ').substring(0, 100),
+    totalCost: state.totalCost,
+    messageCount: state.messageCount,
+    models: state.models,
+    // Every priced assistant message in file order, for the drill-down view
+    turns: state.turns,
+    cwd: state.cwd,
+    // Cost per git branch the session's messages were sent on
+    gitBranches: state.gitBranches,
+    // Calls, errors and induced cost per tool
+    tools: state.tools,
+    // Spend in Task subagents, which is included in totalCost
+    subagentCount: Object.keys(state.subagentIds).length + state.subagentThreads,
+    subagentMessageCount: state.subagentMessageCount,
+    subagentCost: state.subagentCost,
+    links: {
+      sessionIds: Object.keys(state.sessionIds),
+      parentUuid: state.firstParentUuid,
+      lastUuid: state.lastUuid
+    },
+    startTime,
+    endTime,
+    duration: endTime && startTime ? (endTime - startTime) / 1000 / 60 : 0 // in minutes
+  };
+}
+
+function cloneStats(stats) {
+  return JSON.parse(JSON.stringify(stats || {}));
+}
+
+function subtractStats(target, stats) {
+  Object.keys(stats).forEach(key => {
+    target[key] -= stats[key];
+  });
+}
+
+// A copy of a parsed conversation without the turns for which `isRemoved`
+// returns true. Costs are added up again from the turns that remain, rather
+// than subtracted, so that a conversation left without turns costs exactly
+// nothing. Tool stats are reduced by what the removed turns added, as the
+// results read by no later turn are not in any turn. The conversation itself
+// is left alone, as its objects are shared with the parse cache.
+function removeTurns(conversation, isRemoved) {
+  const turns = conversation.turns.filter(turn => !isRemoved(turn));
+  if (turns.length === conversation.turns.length) return conversation;
+
+  const models = {};
+  const gitBranches = {};
+  let totalCost = 0;
+  let subagentMessageCount = 0;
+  let subagentCost = 0;
+  turns.forEach(turn => {
+    totalCost += turn.cost;
+    const model = models[turn.model] || (models[turn.model] = createModelStats());
+    model.messageCount++;
+    model.inputTokens += turn.inputTokens;
+    model.outputTokens += turn.outputTokens;
+    model.cacheWriteTokens += turn.cacheWriteTokens;
+    model.cacheReadTokens += turn.cacheReadTokens;
+    model.inputCost += turn.inputCost;
+    model.outputCost += turn.outputCost;
+    model.cacheWriteCost += turn.cacheWriteCost;
+    model.cacheReadCost += turn.cacheReadCost;
+    model.totalCost += turn.cost;
+
+    if (turn.gitBranch) {
+      const branch =
+        gitBranches[turn.gitBranch] ||
+        (gitBranches[turn.gitBranch] = { messageCount: 0, totalCost: 0 });
+      branch.messageCount++;
+      branch.totalCost += turn.cost;
+    }
+
+    if (turn.sidechain) {
+      subagentMessageCount++;
+      subagentCost += turn.cost;
+    }
+  });
+
+  const tools = cloneStats(conversation.tools);
+  conversation.turns.filter(isRemoved).forEach(turn => {
+    Object.entries(turn.tools || {}).forEach(([name, stats]) => {
+      const tool = tools[name];
+      if (!tool) return;
+      subtractStats(tool, stats);
+      if (tool.callCount <= 0 && tool.resultTokens <= 0) delete tools[name];
+    });
+  });
+  if (turns.length === 0) {
+    Object.values(tools).forEach(tool => {
+      tool.turnCost = 0;
+      tool.resultCost = 0;
+      tool.totalCost = 0;
+    });
+  }
+
+  return {
+    ...conversation,
+    totalCost,
+    messageCount: turns.length,
+    models,
+    tools,
+    gitBranches,
+    subagentCount: subagentMessageCount > 0 ? conversation.subagentCount : 0,
+    subagentMessageCount,
+    subagentCost,
+    turns
+  };
+}
+
+// The part of a conversation sent from `since` to `until` (Dates, either may
+// be missing): the turns sent in that time, with the totals and the start and
+// end time to match, or null when there are none. Turns without a time count
+// at the conversation's start, as does a conversation without turns.
+function limitToPeriod(conversation, since, until) {
+  if (!since && !until) return conversation;
+  const start = conversation.startTime ? conversation.startTime.getTime() : null;
+  const inPeriod = time =>
+    time !== null && (!since || time >= since.getTime()) && (!until || time <= until.getTime());
+  if (conversation.turns.length === 0) return inPeriod(start) ? conversation : null;
+
+  const limited = removeTurns(
+    conversation,
+    turn => !inPeriod(turn.timestamp === null ? start : turn.timestamp)
+  );
+  if (limited.turns.length === 0) return null;
+  if (limited === conversation) return conversation;
+
+  const times = limited.turns.map(turn => turn.timestamp).filter(time => time !== null);
+  const timing = {};
+  if (since && start !== null && start < since.getTime() && times.length > 0) {
+    timing.startTime = new Date(times.reduce((min, time) => Math.min(min, time)));
+  }
+  if (until && conversation.endTime && conversation.endTime > until && times.length > 0) {
+    timing.endTime = new Date(times.reduce((max, time) => Math.max(max, time)));
+  }
+  const startTime = timing.startTime || conversation.startTime;
+  const endTime = timing.endTime || conversation.endTime;
+  return {
+    ...limited,
+    ...timing,
+    duration: startTime && endTime ? (endTime - startTime) / 1000 / 60 : 0
+  };
+}
+
+// Feed every complete line between `start` and `end` (inclusive byte offsets)
+// to parseLine. Returns the offset just past the last newline and any trailing
+// text that is not newline-terminated yet (a record still being written).
+async function readLines(filePath, state, start, end) {
+  let offset = start;
+  let pending = Buffer.alloc(0);
+
+  if (end >= start) {
+    const stream = fs.createReadStream(filePath, { start, end });
+    for await (const chunk of stream) {
+      const buffer = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let lineStart = 0;
+      let newline;
+      while ((newline = buffer.indexOf(10, lineStart)) !== -1) {
+        parseLine(state, buffer.toString('utf8', lineStart, newline));
+        lineStart = newline + 1;
+      }
+      offset += lineStart;
+      pending = buffer.subarray(lineStart);
+    }
+  }
+
+  return { offset, remainder: pending.toString('utf8') };
+}
+
+// Parse a conversation file, optionally resuming from a cached state. Returns
+// the conversation plus the state and offset to cache for the next run.
+async function parseJSONLFileIncremental(filePath, size, resume) {
+  const state = resume ? resume.state : createParseState();
+  const { offset, remainder } = await readLines(
+    filePath,
+    state,
+    resume ? resume.offset : 0,
+    size - 1
+  );
+
+  // An unterminated last line still counts now, but it is parsed into a copy
+  // so the cached state only ever covers complete lines.
+  let finalState = state;
+  if (remainder.trim()) {
+    finalState = JSON.parse(JSON.stringify(state));
+    parseLine(finalState, remainder);
+  }
+
+  return { conversation: finishParse(finalState, filePath), state, offset };
+}
+
+async function parseJSONLFile(filePath) {
+  const { size } = fs.statSync(filePath);
+  const { conversation } = await parseJSONLFileIncremental(filePath, size);
+  return conversation;
+}
+
+module.exports = {
+  getModelFamily,
+  createModelStats,
+  createToolStats,
+  createParseState,
+  parseLine,
+  parseRecord,
+  finishParse,
+  getMessageKey,
+  removeTurns,
+  limitToPeriod,
+  parseJSONLFileIncremental,
+  parseJSONLFile
+};
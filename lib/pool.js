@@ -0,0 +1,107 @@
+const { Worker } = require('worker_threads');
+
+// Run `fn` over `items` with at most `limit` calls in flight. Results keep the
+// order of `items` regardless of completion order.
+async function runPool(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function runner() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runner);
+  await Promise.all(runners);
+  return results;
+}
+
+// A fixed set of worker threads running `script`. Each worker handles one
+// message at a time and answers with `{ result }` or `{ error }`. A worker
+// that stops fails its current task and is replaced, unless it stopped before
+// answering once: then it could not start, and the pool fails every task
+// still waiting and all later ones, with `failed` set to the error.
+function createWorkerPool(script, size, workerData) {
+  const idle = [];
+  const queue = [];
+  const workers = new Set();
+  let closed = false;
+
+  function dispatch() {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      worker.task = queue.shift();
+      worker.postMessage(worker.task.payload);
+    }
+  }
+
+  function fail(err) {
+    pool.failed = err;
+    queue.splice(0).forEach(task => task.reject(err));
+  }
+
+  function spawn() {
+    const worker = new Worker(script, { workerData });
+    worker.task = null;
+    worker.answered = false;
+
+    worker.on('message', ({ result, error }) => {
+      const task = worker.task;
+      worker.task = null;
+      worker.answered = true;
+      idle.push(worker);
+      if (error) task.reject(new Error(error));
+      else task.resolve(result);
+      dispatch();
+    });
+
+    // 'exit' follows 'error', and also ends a worker that stopped without one
+    worker.on('error', err => {
+      worker.error = err;
+    });
+    worker.on('exit', code => {
+      workers.delete(worker);
+      if (idle.includes(worker)) idle.splice(idle.indexOf(worker), 1);
+      const err = worker.error || new Error(`Worker stopped with exit code ${code}`);
+      if (worker.task) worker.task.reject(err);
+      if (closed || pool.failed) return;
+      if (!worker.answered) {
+        fail(err);
+        return;
+      }
+      spawn();
+      dispatch();
+    });
+
+    workers.add(worker);
+    idle.push(worker);
+  }
+
+  const pool = {
+    failed: null,
+    run(payload) {
+      return new Promise((resolve, reject) => {
+        if (pool.failed) {
+          reject(pool.failed);
+          return;
+        }
+        queue.push({ payload, resolve, reject });
+        dispatch();
+      });
+    },
+    close() {
+      closed = true;
+      return Promise.all([...workers].map(worker => worker.terminate()));
+    }
+  };
+
+  for (let i = 0; i < size; i++) spawn();
+  return pool;
+}
+
+module.exports = {
+  runPool,
+  createWorkerPool
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ConfigError, getConfigDir, readJSONFile } = require('./config');
+
+// Claude API Pricing (per million tokens)
+const CLAUDE_PRICING = {
+  // Claude Opus 4
+  'claude-opus-4-20250514': {
+    input: 15.0,
+    output: 75.0,
+    cache_write: 18.75,
+    cache_read: 1.5
+  },
+  'claude-opus-4-0': {
+    input: 15.0,
+    output: 75.0,
+    cache_write: 18.75,
+    cache_read: 1.5
+  },
+  // Claude Opus 4.1
+  'claude-opus-4-1-20250805': {
+    input: 15.0,
+    output: 75.0,
+    cache_write: 18.75,
+    cache_read: 1.5
+  },
+  'claude-opus-4-1': {
+    input: 15.0,
+    output: 75.0,
+    cache_write: 18.75,
+    cache_read: 1.5
+  },
+  // Claude Sonnet 4
+  'claude-sonnet-4-20250514': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  // Claude Sonnet 3.7
+  'claude-3-7-sonnet-20250219': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  'claude-3-7-sonnet-latest': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  // Claude Sonnet 3.5
+  'claude-3-5-sonnet-20241022': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  'claude-3-5-sonnet-20240620': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  'claude-3-5-sonnet-latest': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  // Claude Haiku 3.5
+  'claude-3-5-haiku-20241022': {
+    input: 0.8,
+    output: 4.0,
+    cache_write: 1.0,
+    cache_read: 0.08
+  },
+  'claude-3-5-haiku-latest': {
+    input: 0.8,
+    output: 4.0,
+    cache_write: 1.0,
+    cache_read: 0.08
+  },
+  // Claude Opus 3
+  'claude-3-opus-20240229': {
+    input: 15.0,
+    output: 75.0,
+    cache_write: 18.75,
+    cache_read: 1.5
+  },
+  'claude-3-opus-latest': {
+    input: 15.0,
+    output: 75.0,
+    cache_write: 18.75,
+    cache_read: 1.5
+  },
+  // Claude Sonnet 3
+  'claude-3-sonnet-20240229': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  // Claude Haiku 3
+  'claude-3-haiku-20240307': {
+    input: 0.25,
+    output: 1.25,
+    cache_write: 0.3,
+    cache_read: 0.03
+  },
+  // Model families, matched by prefix when no exact ID is listed above.
+  // The longest matching prefix wins.
+  'claude-opus-4-5*': {
+    input: 5.0,
+    output: 25.0,
+    cache_write: 6.25,
+    cache_read: 0.5
+  },
+  'claude-sonnet-4*': {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  },
+  'claude-haiku-4*': {
+    input: 1.0,
+    output: 5.0,
+    cache_write: 1.25,
+    cache_read: 0.1
+  },
+  // Default pricing (use Sonnet 3.5 as default)
+  default: {
+    input: 3.0,
+    output: 15.0,
+    cache_write: 3.75,
+    cache_read: 0.3
+  }
+};
+
+// Rates for the built-in table plus whatever the user's pricing file adds.
+// Every model maps to a list of rates sorted by the date they took effect.
+let activeTable = buildTable({ models: CLAUDE_PRICING });
+
+function getDefaultPricingPath() {
+  return path.join(getConfigDir(), 'pricing.json');
+}
+
+function normalizeRates(rates, where) {
+  if (!rates || typeof rates !== 'object') {
+    throw new ConfigError(`Pricing for ${where} must be an object or an array of objects`);
+  }
+  ['input', 'output'].forEach(key => {
+    if (typeof rates[key] !== 'number' || rates[key] < 0) {
+      throw new ConfigError(`Pricing for ${where} needs a non-negative number for "${key}"`);
+    }
+  });
+
+  let from = null;
+  if (rates.from !== undefined) {
+    from = new Date(rates.from);
+    if (isNaN(from.getTime())) {
+      throw new ConfigError(`Invalid "from" date for ${where}: ${rates.from}`);
+    }
+  }
+
+  // Anthropic prices cache writes at 1.25x and cache reads at 0.1x the input
+  // rate, so those two may be omitted.
+  return {
+    from,
+    input: rates.input,
+    output: rates.output,
+    cache_write: typeof rates.cache_write === 'number' ? rates.cache_write : rates.input * 1.25,
+    cache_read: typeof rates.cache_read === 'number' ? rates.cache_read : rates.input * 0.1
+  };
+}
+
+function effectiveTime(rates) {
+  return rates.from ? rates.from.getTime() : -Infinity;
+}
+
+// A model's rates sorted by `from`. Entries of `history` (the built-in rates
+// of the same key) stay in place unless an entry takes effect at the same time.
+function normalizeHistory(value, where, history = []) {
+  const entries = (Array.isArray(value) ? value : [value]).map(rates =>
+    normalizeRates(rates, where)
+  );
+  const times = new Set(entries.map(effectiveTime));
+  return history
+    .filter(rates => !times.has(effectiveTime(rates)))
+    .concat(entries)
+    .sort((a, b) => effectiveTime(a) - effectiveTime(b));
+}
+
+function buildTable({ models = {}, aliases = {} }, base) {
+  const table = {
+    models: Object.assign({}, base && base.models),
+    aliases: Object.assign({}, base && base.aliases)
+  };
+
+  Object.entries(models).forEach(([model, value]) => {
+    table.models[model] = normalizeHistory(value, model, table.models[model]);
+  });
+  Object.entries(aliases).forEach(([alias, target]) => {
+    if (typeof target !== 'string') {
+      throw new ConfigError(`Alias ${alias} must map to a model ID`);
+    }
+    table.aliases[alias] = target;
+  });
+
+  table.prefixes = Object.keys(table.models)
+    .filter(key => key.endsWith('*'))
+    .map(key => key.slice(0, -1))
+    .sort((a, b) => b.length - a.length);
+  return table;
+}
+
+// Merge a user pricing file over the built-in table. Without an explicit path
+// the default location is used when it exists. The file looks like:
+//
+//   {
+//     "models": {
+//       "claude-sonnet-4-5*": [{ "from": "2025-09-29", "input": 3, "output": 15 }]
+//     },
+//     "aliases": { "sonnet": "claude-sonnet-4-5*" },
+//     "default": { "input": 3, "output": 15 }
+//   }
+function loadPricing(filePath) {
+  const pricingPath = filePath || getDefaultPricingPath();
+  if (!filePath && !fs.existsSync(pricingPath)) {
+    activeTable = buildTable({ models: CLAUDE_PRICING });
+    return activeTable;
+  }
+
+  const config = readJSONFile(pricingPath);
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Pricing file ${pricingPath} must contain a JSON object`);
+  }
+  const unknownKeys = Object.keys(config).filter(
+    key => !['models', 'aliases', 'default'].includes(key)
+  );
+  if (unknownKeys.length > 0) {
+    throw new ConfigError(
+      `Unknown keys in ${pricingPath}: ${unknownKeys.join(', ')} (expected models, aliases, default)`
+    );
+  }
+
+  const models = Object.assign({}, config.models);
+  if (config.default) models.default = config.default;
+
+  activeTable = buildTable(
+    { models, aliases: config.aliases },
+    buildTable({ models: CLAUDE_PRICING })
+  );
+  return activeTable;
+}
+
+// Changes whenever the active prices do, so cached costs can be invalidated.
+function getPricingFingerprint() {
+  return crypto
+    .createHash('sha1')
+    .update(JSON.stringify({ models: activeTable.models, aliases: activeTable.aliases }))
+    .digest('hex');
+}
+
+// The rates in effect at `timestamp`, or null before the first `from` date
+function pickRates(history, timestamp) {
+  if (!timestamp) return history[history.length - 1];
+
+  const time = new Date(timestamp).getTime();
+  let rates = null;
+  history.forEach(entry => {
+    if (effectiveTime(entry) <= time) rates = entry;
+  });
+  return rates;
+}
+
+// Find the rates for a model ID at a point in time. Lookup order is exact ID,
+// alias, matching prefixes from the longest, then the default rates, in which
+// case `fallback` is true. A key whose rates only take effect later is
+// skipped.
+function resolvePricing(model, timestamp) {
+  const id = activeTable.aliases[model] || model;
+  const keys = [
+    ...(activeTable.models[id] ? [id] : []),
+    ...activeTable.prefixes.filter(p => id.startsWith(p)).map(p => `${p}*`)
+  ];
+
+  for (const key of keys) {
+    const rates = pickRates(activeTable.models[key], timestamp);
+    if (rates) return { key, fallback: key === 'default', rates };
+  }
+  // The built-in default has no `from` date, so some default rates always apply
+  return {
+    key: 'default',
+    fallback: true,
+    rates: pickRates(activeTable.models.default, timestamp)
+  };
+}
+
+function calculateCostBreakdown(usage, model, timestamp) {
+  if (!usage) return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 };
+
+  const pricing = resolvePricing(model, timestamp).rates;
+
+  // Calculate costs for each token type (price per million tokens)
+  const input = ((usage.input_tokens || 0) * pricing.input) / 1000000;
+  const output = ((usage.output_tokens || 0) * pricing.output) / 1000000;
+  const cacheWrite = ((usage.cache_creation_input_tokens || 0) * pricing.cache_write) / 1000000;
+  const cacheRead = ((usage.cache_read_input_tokens || 0) * pricing.cache_read) / 1000000;
+
+  return { input, output, cacheWrite, cacheRead, total: input + output + cacheWrite + cacheRead };
+}
+
+function calculateCost(usage, model, timestamp) {
+  return calculateCostBreakdown(usage, model, timestamp).total;
+}
+
+module.exports = {
+  CLAUDE_PRICING,
+  getDefaultPricingPath,
+  loadPricing,
+  getPricingFingerprint,
+  resolvePricing,
+  calculateCostBreakdown,
+  calculateCost
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError } = require('./config');
+
+// Claude Code stores each project's logs in a directory named after the
+// project's absolute path, with every character other than a letter or digit
+// replaced by a dash: /home/alice/my.app becomes -home-alice-my-app and
+// C:\Users\bob\app becomes C--Users-bob-app. The encoding is lossy, so the
+// path is recovered from the `cwd` recorded in the logs, else by matching the
+// name against the directories that exist on disk, else by reading every dash
+// as a separator.
+
+// Bytes read from the start of a log when looking for a recorded cwd
+const CWD_PROBE_BYTES = 64 * 1024;
+
+function encodeProjectPath(projectPath) {
+  return projectPath.replace(/[^a-zA-Z0-9]/g, '-');
+}
+
+function isWindowsDirName(dirName) {
+  return /^[a-zA-Z]--/.test(dirName);
+}
+
+// The first cwd in the project's logs whose encoding is the directory name
+function readRecordedCwd(projectDir, dirName) {
+  let files;
+  try {
+    files = fs.readdirSync(projectDir).filter(file => file.endsWith('.jsonl'));
+  } catch (e) {
+    return null;
+  }
+
+  for (const file of files.sort()) {
+    let text;
+    try {
+      const fd = fs.openSync(path.join(projectDir, file), 'r');
+      try {
+        const buffer = Buffer.alloc(CWD_PROBE_BYTES);
+        const length = fs.readSync(fd, buffer, 0, CWD_PROBE_BYTES, 0);
+        text = buffer.toString('utf8', 0, length);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (e) {
+      continue;
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line.includes('"cwd"')) continue;
+      try {
+        const { cwd } = JSON.parse(line);
+        if (typeof cwd === 'string' && encodeProjectPath(cwd) === dirName) return cwd;
+      } catch (e) {
+        // The last line of the probe is usually cut off
+      }
+    }
+  }
+  return null;
+}
+
+// Walk down from `root`, taking at each level the directory whose encoded
+// name matches the start of `rest`. Longer names are tried first, so
+// webapp-worktrees wins over webapp when both exist.
+function findOnDisk(root, rest) {
+  if (rest === '') return root;
+
+  let entries;
+  try {
+    entries = fs.readdirSync(root, { withFileTypes: true }).filter(e => e.isDirectory());
+  } catch (e) {
+    return null;
+  }
+
+  const candidates = entries
+    .map(entry => ({ name: entry.name, encoded: encodeProjectPath(entry.name) }))
+    .filter(c => rest === c.encoded || rest.startsWith(`${c.encoded}-`))
+    .sort((a, b) => b.encoded.length - a.encoded.length);
+  for (const candidate of candidates) {
+    const found = findOnDisk(
+      path.join(root, candidate.name),
+      rest.slice(candidate.encoded.length + 1)
+    );
+    if (found) return found;
+  }
+  return null;
+}
+
+// Every dash is a separator, and a doubled dash starts a dot-name (.config)
+function decodeNaively(dirName) {
+  if (isWindowsDirName(dirName)) {
+    const parts = dirName.slice(3).split('-');
+    return `${dirName[0]}:\\${joinParts(parts, '\\')}`;
+  }
+  return `/${joinParts(dirName.replace(/^-/, '').split('-'), '/')}`;
+}
+
+function joinParts(parts, separator) {
+  const names = [];
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] === '' && i + 1 < parts.length) {
+      names.push(`.${parts[++i]}`);
+    } else if (parts[i] !== '') {
+      names.push(parts[i]);
+    }
+  }
+  return names.join(separator);
+}
+
+// Recover the absolute path of a project from its log directory
+function decodeProjectDir(dirName, projectDir) {
+  const recorded = projectDir && readRecordedCwd(projectDir, dirName);
+  if (recorded) return recorded;
+
+  // Only look on disk for paths of this platform's style
+  if (isWindowsDirName(dirName) === (process.platform === 'win32')) {
+    const root = isWindowsDirName(dirName) ? `${dirName[0]}:\\` : '/';
+    const rest = isWindowsDirName(dirName) ? dirName.slice(3) : dirName.replace(/^-/, '');
+    const found = findOnDisk(root, rest);
+    if (found) return found;
+  }
+  return decodeNaively(dirName);
+}
+
+// Home directories on macOS, Linux and Windows. Logs copied from another
+// machine keep that machine's home, so any user's home is stripped.
+const HOME_PATTERNS = [
+  /^\/Users\/[^/]+(?=\/|$)/,
+  /^\/home\/[^/]+(?=\/|$)/,
+  /^\/root(?=\/|$)/,
+  /^[a-zA-Z]:\\Users\\[^\\]+(?=\\|$)/i
+];
+
+// The path relative to the user's home directory, or the full path when it
+// is outside of it
+function stripHome(projectPath, home = os.homedir()) {
+  let rest = null;
+  if (home && (projectPath === home || projectPath.startsWith(home + path.sep))) {
+    rest = projectPath.slice(home.length);
+  } else {
+    const pattern = HOME_PATTERNS.find(p => p.test(projectPath));
+    if (pattern) rest = projectPath.replace(pattern, '');
+  }
+  if (rest === null) return projectPath;
+  return rest.replace(/^[\\/]/, '') || '~';
+}
+
+function expandHome(pattern) {
+  return pattern.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+// Alias patterns match a path exactly or any directory below it; `*` matches
+// any run of characters, including separators
+function compilePattern(pattern) {
+  const source = expandHome(pattern)
+    .replace(/\\/g, '/')
+    .replace(/\/+$/, '')
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}(/.*)?$`, process.platform === 'win32' ? 'i' : '');
+}
+
+let activeAliases = [];
+const resolved = new Map();
+
+// Project aliases come from the "projectAliases" section of config.json and
+// map a project name onto one or more path patterns, for example
+//
+//   { "projectAliases": { "webapp": ["~/code/webapp", "~/code/webapp-worktrees/*"] } }
+//
+// The first alias whose pattern matches a project's path names the project.
+function loadProjectAliases(config = {}) {
+  const section = config.projectAliases || {};
+  if (typeof section !== 'object' || Array.isArray(section)) {
+    throw new ConfigError('"projectAliases" must map project names to path patterns');
+  }
+
+  activeAliases = Object.entries(section).map(([name, patterns]) => {
+    const list = typeof patterns === 'string' ? [patterns] : patterns;
+    if (!Array.isArray(list) || list.length === 0 || !list.every(p => typeof p === 'string')) {
+      throw new ConfigError(`The project alias "${name}" needs a path pattern or a list of them`);
+    }
+    return { name, patterns: list.map(compilePattern) };
+  });
+  resolved.clear();
+  return activeAliases;
+}
+
+// Name a project log directory: `{ dirName, path, name }`, where `name` is the
+// alias or the path relative to the home directory
+function resolveProject(claudeProjectsDir, dirName) {
+  const projectDir = path.join(claudeProjectsDir, dirName);
+  if (resolved.has(projectDir)) return resolved.get(projectDir);
+
+  const projectPath = decodeProjectDir(dirName, projectDir);
+  const normalized = projectPath.replace(/\\/g, '/');
+  const alias = activeAliases.find(a => a.patterns.some(p => p.test(normalized)));
+  const project = {
+    dirName,
+    path: projectPath,
+    name: alias ? alias.name : stripHome(projectPath)
+  };
+  resolved.set(projectDir, project);
+  return project;
+}
+
+module.exports = {
+  encodeProjectPath,
+  decodeProjectDir,
+  stripHome,
+  loadProjectAliases,
+  resolveProject
+};
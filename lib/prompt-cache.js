@@ -0,0 +1,169 @@
+const { resolvePricing } = require('./pricing');
+const { getDateKey } = require('./timezone');
+
+// How well conversations use the prompt cache. A request that reads its
+// prefix from the cache pays the cache read rate instead of the input rate;
+// writing the prefix costs more than input, which only pays off when a later
+// request reads it back. The cache is kept per model, and every subagent sends
+// prompts of its own, so requests are followed per model and per thread (the
+// main thread or one subagent, by its agentId): a request is expected to read
+// what the previous one of its chain left in the cache. Parallel subagents
+// interleave in the log, so they cannot share a chain.
+
+// A request that reads less than this share of the prefix the previous one
+// left in the cache missed it: it expired, or /clear or a compaction changed
+// the prompt
+const MISS_SHARE = 0.5;
+
+function inputPrice(turn) {
+  return resolvePricing(turn.model, turn.timestamp).rates.input / 1000000;
+}
+
+// For every turn: what reading from the cache saved compared to the input
+// rate, the premium paid for writing over the input rate, the written tokens
+// no later request read back (all of them for the last request of a chain)
+// and their cost, and whether the turn missed the cache.
+function analyzeCacheTurns(turns) {
+  const results = turns.map(turn => {
+    const price = inputPrice(turn);
+    return {
+      savings: turn.cacheReadTokens * price - turn.cacheReadCost,
+      writePremium: turn.cacheWriteCost - turn.cacheWriteTokens * price,
+      unreadWriteTokens: turn.cacheWriteTokens,
+      unreadWriteCost: turn.cacheWriteCost,
+      miss: false,
+      modelSwitch: false
+    };
+  });
+
+  const chains = new Map();
+  let previousMainModel = null;
+  turns.forEach((turn, index) => {
+    if (!turn.sidechain) {
+      results[index].modelSwitch = previousMainModel !== null && turn.model !== previousMainModel;
+      previousMainModel = turn.model;
+    }
+
+    const thread = turn.sidechain ? `subagent\n${turn.agentId || ''}` : 'main';
+    const chain = `${thread}\n${turn.model}`;
+    const previousIndex = chains.get(chain);
+    chains.set(chain, index);
+    if (previousIndex === undefined) return;
+
+    const previous = turns[previousIndex];
+    const cached = previous.cacheReadTokens + previous.cacheWriteTokens;
+    // The written tokens sit at the end of the cached prefix
+    const unread = Math.min(previous.cacheWriteTokens, Math.max(0, cached - turn.cacheReadTokens));
+    results[previousIndex].unreadWriteTokens = unread;
+    results[previousIndex].unreadWriteCost =
+      previous.cacheWriteTokens > 0
+        ? (previous.cacheWriteCost * unread) / previous.cacheWriteTokens
+        : 0;
+    results[index].miss = cached > 0 && turn.cacheReadTokens < cached * MISS_SHARE;
+  });
+
+  return results;
+}
+
+function createStats() {
+  return {
+    inputTokens: 0,
+    cacheWriteTokens: 0,
+    cacheReadTokens: 0,
+    hitRatio: null,
+    savings: 0,
+    writePremium: 0,
+    netSavings: 0,
+    unreadWriteTokens: 0,
+    unreadWriteCost: 0,
+    missCount: 0,
+    modelSwitchCount: 0
+  };
+}
+
+function addTurn(stats, turn, result) {
+  stats.inputTokens += turn.inputTokens;
+  stats.cacheWriteTokens += turn.cacheWriteTokens;
+  stats.cacheReadTokens += turn.cacheReadTokens;
+  stats.savings += result.savings;
+  stats.writePremium += result.writePremium;
+  stats.unreadWriteTokens += result.unreadWriteTokens;
+  stats.unreadWriteCost += result.unreadWriteCost;
+  if (result.miss) stats.missCount++;
+  if (result.modelSwitch) stats.modelSwitchCount++;
+}
+
+function addStats(stats, other) {
+  Object.keys(stats).forEach(key => {
+    if (key !== 'hitRatio' && key !== 'netSavings') stats[key] += other[key];
+  });
+}
+
+// The hit ratio is the share of prompt tokens read from the cache
+function finishStats(stats) {
+  const promptTokens = stats.inputTokens + stats.cacheWriteTokens + stats.cacheReadTokens;
+  stats.hitRatio = promptTokens > 0 ? stats.cacheReadTokens / promptTokens : null;
+  stats.netSavings = stats.savings - stats.writePremium;
+  return stats;
+}
+
+// Prompt cache stats of one conversation (see createStats)
+function getPromptCacheStats(conversation) {
+  const stats = createStats();
+  const turns = conversation.turns || [];
+  analyzeCacheTurns(turns).forEach((result, index) => addTurn(stats, turns[index], result));
+  return finishStats(stats);
+}
+
+// The stats of many conversations, from their `promptCache`
+function summarizePromptCache(conversations) {
+  const stats = createStats();
+  conversations.forEach(conv => addStats(stats, conv.promptCache));
+  return finishStats(stats);
+}
+
+// One row per project, the most spent on unread writes first
+function aggregatePromptCacheByProject(conversations) {
+  const projects = {};
+  conversations.forEach(conv => {
+    if (!projects[conv.projectName]) projects[conv.projectName] = [];
+    projects[conv.projectName].push(conv);
+  });
+  return Object.entries(projects)
+    .map(([projectName, list]) => ({ projectName, ...summarizePromptCache(list) }))
+    .sort((a, b) => b.unreadWriteCost - a.unreadWriteCost);
+}
+
+// The stats of each of `dates` (YYYY-MM-DD), counting every request on the day
+// it was sent, of all projects or of one
+function aggregatePromptCacheDaily(conversations, dates, project = null) {
+  const days = new Map(dates.map(date => [date, createStats()]));
+  conversations.forEach(conv => {
+    if (project !== null && conv.projectName !== project) return;
+    const turns = conv.turns || [];
+    analyzeCacheTurns(turns).forEach((result, index) => {
+      const turn = turns[index];
+      const time = turn.timestamp === null ? conv.startTime : turn.timestamp;
+      const stats = time && days.get(getDateKey(time));
+      if (stats) addTurn(stats, turn, result);
+    });
+  });
+  return dates.map(date => ({ date, ...finishStats(days.get(date)) }));
+}
+
+// The conversations that spent the most on cache writes nobody read
+function findWorstCacheConversations(conversations, limit = 10) {
+  return conversations
+    .filter(conv => conv.promptCache && conv.promptCache.unreadWriteCost > 0)
+    .sort((a, b) => b.promptCache.unreadWriteCost - a.promptCache.unreadWriteCost)
+    .slice(0, limit);
+}
+
+module.exports = {
+  analyzeCacheTurns,
+  getPromptCacheStats,
+  summarizePromptCache,
+  aggregatePromptCacheByProject,
+  aggregatePromptCacheDaily,
+  findWorstCacheConversations
+};
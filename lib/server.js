@@ -0,0 +1,327 @@
+const http = require('http');
+const net = require('net');
+const { URL } = require('url');
+const { UsageError, parseDate } = require('./cli');
+const { EXPORT_SCHEMA_VERSION, exportConversation, exportDay } = require('./export');
+const { matchesProject } = require('./budget');
+const { getPeriodKey, getTimeZone, getWeekStartDay } = require('./timezone');
+const { watchTree } = require('./watch');
+const { buildConversationDetail } = require('./detail');
+const { limitToPeriod } = require('./parser');
+const { getPromptCacheStats } = require('./prompt-cache');
+const { t } = require('./i18n');
+
+// Changes are picked up through fs.watch; this interval also re-checks for new
+// project directories and catches changes fs.watch missed, by comparing the
+// sizes and modification times of the logs.
+const REFRESH_INTERVAL_MS = 30000;
+
+const GROUP_PERIODS = { day: 'daily', week: 'weekly', month: 'monthly' };
+
+// Query parameters shared by every endpoint: project (repeatable or
+// comma-separated), since and until (same formats as the command line).
+function parseFilters(searchParams) {
+  const projects = [];
+  searchParams.getAll('project').forEach(value => {
+    value
+      .split(',')
+      .map(p => p.trim())
+      .filter(Boolean)
+      .forEach(p => projects.push(p));
+  });
+
+  const readDate = (name, isEnd) => {
+    const value = searchParams.get(name);
+    if (!value) return null;
+    try {
+      return parseDate(value, name, isEnd);
+    } catch (e) {
+      if (!(e instanceof UsageError)) throw e;
+      throw new UsageError(
+        `Invalid ${name}: ${value} (expected YYYY-MM-DD, a date and time, or days ago such as 7d)`
+      );
+    }
+  };
+  const since = readDate('since', false);
+  const until = readDate('until', true);
+  if (since && until && since > until) {
+    throw new UsageError('since must not be later than until');
+  }
+  return { projects, since, until };
+}
+
+const LOOPBACK_NAMES = ['localhost', '127.0.0.1', '::1'];
+const WILDCARD_ADDRESSES = ['0.0.0.0', '::'];
+
+// Whether a request's Host header names the address the server listens on.
+// A page from another site whose name was made to resolve to this machine
+// (DNS rebinding) sends its own name, and must not read the cost data. On a
+// loopback address any loopback name is fine, and on all addresses any IP
+// address.
+function isAllowedHost(header, boundHost) {
+  let name;
+  try {
+    name = new URL(`http://${header}`).hostname.replace(/^\[|\]$/g, '');
+  } catch (e) {
+    return false;
+  }
+  const bound = boundHost.replace(/^\[|\]$/g, '');
+  if (name === bound.toLowerCase()) return true;
+  if (WILDCARD_ADDRESSES.includes(bound)) {
+    return LOOPBACK_NAMES.includes(name) || net.isIP(name) !== 0;
+  }
+  return LOOPBACK_NAMES.includes(bound) && LOOPBACK_NAMES.includes(name);
+}
+
+// Like --since and --until, a date range keeps the messages sent in that time
+function applyFilters(conversations, { projects, since, until }) {
+  return conversations
+    .filter(
+      conv => projects.length === 0 || projects.some(p => matchesProject(conv.projectName, p))
+    )
+    .map(conv => {
+      const limited = limitToPeriod(conv, since, until);
+      if (!limited || limited === conv) return limited;
+      return { ...limited, promptCache: getPromptCacheStats(limited) };
+    })
+    .filter(Boolean);
+}
+
+function groupDaily(daily, groupBy) {
+  if (groupBy === 'day') return daily.map(exportDay);
+
+  const groups = {};
+  daily.forEach(day => {
+    const period = getPeriodKey(GROUP_PERIODS[groupBy], day.date);
+    const group =
+      groups[period] ||
+      (groups[period] = {
+        date: period,
+        totalCost: 0,
+        subagentCost: 0,
+        conversationCount: 0,
+        conversationIds: []
+      });
+    group.totalCost += day.totalCost;
+    group.subagentCost += day.subagentCost;
+    // A conversation that spans several days of the period counts once
+    day.conversations.forEach(c => {
+      if (group.conversationIds.includes(c.conversationId)) return;
+      group.conversationIds.push(c.conversationId);
+      group.conversationCount++;
+    });
+  });
+  return Object.values(groups);
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function sendConversation(res, data, encodedId, format) {
+  let id;
+  try {
+    id = decodeURIComponent(encodedId);
+  } catch (e) {
+    throw new UsageError(`Invalid conversation ID: ${encodedId}`);
+  }
+  const conversation = data.find(c => c.conversationId === id);
+  if (!conversation) {
+    sendJSON(res, 404, { error: `Conversation not found: ${id}` });
+    return;
+  }
+  sendJSON(res, 200, format(conversation));
+}
+
+function send(res, contentType, body) {
+  res.writeHead(200, { 'Content-Type': `${contentType}; charset=utf-8` });
+  res.end(body);
+}
+
+// Serve the report and a JSON API over the conversations under `dir`. The
+// parsed data is reloaded lazily, on the first request after a change.
+//
+// `handlers` supplies what lives in the main script: loadConversations(),
+// renderReport(conversations, dataSrc), renderReportData(conversations) and
+// the daily/projects/models/branches/tools/threads aggregations.
+function startServer({ port, host, dir, log }, handlers) {
+  let conversations = [];
+  let loadedAt = null;
+  let stale = true;
+  let loading = null;
+
+  function getConversations() {
+    if (!stale && !loading) return Promise.resolve(conversations);
+    if (!loading) {
+      stale = false;
+      loading = handlers.loadConversations().then(
+        result => {
+          conversations = result;
+          loadedAt = new Date();
+          loading = null;
+          return result;
+        },
+        err => {
+          stale = true;
+          loading = null;
+          throw err;
+        }
+      );
+    }
+    return loading;
+  }
+
+  const routes = [
+    [
+      /^\/$/,
+      (res, data, url) =>
+        send(res, 'text/html', handlers.renderReport(data, `/api/report-data.js${url.search}`))
+    ],
+    [
+      /^\/api\/report-data\.js$/,
+      (res, data) => send(res, 'application/javascript', handlers.renderReportData(data))
+    ],
+    [
+      /^\/api\/summary$/,
+      (res, data) =>
+        sendJSON(res, 200, {
+          schemaVersion: EXPORT_SCHEMA_VERSION,
+          loadedAt: loadedAt && loadedAt.toISOString(),
+          totalCost: data.reduce((sum, c) => sum + c.totalCost, 0),
+          conversationCount: data.length,
+          messageCount: data.reduce((sum, c) => sum + c.messageCount, 0)
+        })
+    ],
+    [
+      /^\/api\/conversations$/,
+      (res, data, url) => {
+        const sort = url.searchParams.get('sort') || 'cost';
+        if (!['cost', 'date'].includes(sort)) {
+          throw new UsageError('sort must be one of: cost, date');
+        }
+        const limit = Number(url.searchParams.get('limit') || data.length);
+        const offset = Number(url.searchParams.get('offset') || 0);
+        if (!Number.isInteger(limit) || !Number.isInteger(offset) || limit < 0 || offset < 0) {
+          throw new UsageError('limit and offset must be non-negative integers');
+        }
+
+        const sorted = data
+          .slice()
+          .sort((a, b) =>
+            sort === 'cost' ? b.totalCost - a.totalCost : (b.startTime || 0) - (a.startTime || 0)
+          );
+        sendJSON(res, 200, {
+          total: sorted.length,
+          conversations: sorted.slice(offset, offset + limit).map(exportConversation)
+        });
+      }
+    ],
+    [
+      /^\/api\/conversations\/([^/]+)$/,
+      (res, data, url, match) => sendConversation(res, data, match[1], exportConversation)
+    ],
+    [
+      /^\/api\/conversations\/([^/]+)\/turns$/,
+      (res, data, url, match) => sendConversation(res, data, match[1], buildConversationDetail)
+    ],
+    [
+      /^\/api\/daily$/,
+      (res, data, url) => {
+        const groupBy = url.searchParams.get('groupBy') || 'day';
+        if (!GROUP_PERIODS[groupBy]) {
+          throw new UsageError(`groupBy must be one of: ${Object.keys(GROUP_PERIODS).join(', ')}`);
+        }
+        sendJSON(res, 200, {
+          groupBy,
+          timeZone: getTimeZone(),
+          weekStart: getWeekStartDay(),
+          periods: groupDaily(handlers.aggregateDaily(data), groupBy)
+        });
+      }
+    ],
+    [
+      /^\/api\/projects$/,
+      (res, data) => sendJSON(res, 200, { projects: handlers.aggregateProjects(data) })
+    ],
+    [
+      /^\/api\/models$/,
+      (res, data) => sendJSON(res, 200, { models: handlers.aggregateModels(data) })
+    ],
+    [
+      /^\/api\/branches$/,
+      (res, data) => sendJSON(res, 200, { branches: handlers.aggregateBranches(data) })
+    ],
+    [/^\/api\/tools$/, (res, data) => sendJSON(res, 200, { tools: handlers.aggregateTools(data) })],
+    [
+      /^\/api\/threads$/,
+      (res, data) => sendJSON(res, 200, { threads: handlers.aggregateThreads(data) })
+    ]
+  ];
+
+  const server = http.createServer(async (req, res) => {
+    if (!isAllowedHost(req.headers.host || '', host)) {
+      sendJSON(res, 403, { error: `Host not allowed: ${req.headers.host || ''}` });
+      return;
+    }
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(([pattern]) => pattern.test(url.pathname));
+
+    if (!route) {
+      sendJSON(res, 404, { error: `Not found: ${url.pathname}` });
+      return;
+    }
+    if (req.method !== 'GET') {
+      sendJSON(res, 405, { error: 'Only GET is supported' });
+      return;
+    }
+
+    try {
+      const filters = parseFilters(url.searchParams);
+      const data = applyFilters(await getConversations(), filters);
+      route[1](res, data, url, url.pathname.match(route[0]));
+    } catch (e) {
+      if (e instanceof UsageError) {
+        sendJSON(res, 400, { error: e.message });
+      } else {
+        console.error(`Error handling ${req.url}:`, e);
+        sendJSON(res, 500, { error: 'Internal server error' });
+      }
+    }
+  });
+
+  const markStale = () => {
+    stale = true;
+  };
+  const tree = watchTree(dir, markStale);
+  const refreshTimer = setInterval(() => {
+    if (tree.sync()) markStale();
+  }, REFRESH_INTERVAL_MS);
+
+  server.on('error', err => {
+    console.error(`Could not start server: ${err.message}`);
+    clearInterval(refreshTimer);
+    tree.close();
+    process.exitCode = 1;
+  });
+
+  server.listen(port, host, () => {
+    log(t('serve.listening', { url: `http://${host}:${server.address().port}/` }));
+    log(t('common.pressCtrlC'));
+    // Parse up front so the first page load is fast
+    getConversations().catch(e => console.error('Error loading conversations:', e.message));
+  });
+
+  return {
+    server,
+    stop() {
+      clearInterval(refreshTimer);
+      tree.close();
+      server.close();
+    }
+  };
+}
+
+module.exports = {
+  startServer
+};
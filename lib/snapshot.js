@@ -0,0 +1,364 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConfigError, readJSONFile } = require('./config');
+const { t, formatCurrency, formatNumber, formatDateTime, formatTable } = require('./i18n');
+
+// Usage snapshots bring the conversations of many machines together. Each
+// machine writes a snapshot (`export-snapshot`): one JSON file with a summary
+// of every conversation with a cost, tagged with the machine and the user, but
+// without per-turn data, paths or tool results. `aggregate` merges the
+// snapshots found in a directory into one team report.
+
+const SNAPSHOT_TYPE = 'claude-code-costs-snapshot';
+// Bump whenever a field is removed or changes meaning
+const SNAPSHOT_VERSION = 1;
+
+function hashName(prefix, name) {
+  return `${prefix}-${crypto.createHash('sha256').update(name).digest('hex').slice(0, 10)}`;
+}
+
+function getDefaultUser() {
+  try {
+    return os.userInfo().username;
+  } catch (e) {
+    return process.env.USER || process.env.USERNAME || 'unknown';
+  }
+}
+
+function createDay() {
+  return { messageCount: 0, totalCost: 0, subagentCost: 0, models: {} };
+}
+
+// The messages and cost of a conversation per UTC day, so that aggregate can
+// count the messages sent in a period, whatever zone each machine is in
+function summarizeDays(conv) {
+  const days = {};
+  const start = conv.startTime ? new Date(conv.startTime).getTime() : null;
+  (conv.turns || []).forEach(turn => {
+    const time = turn.timestamp === null ? start : turn.timestamp;
+    if (time === null) return;
+    const date = new Date(time).toISOString().slice(0, 10);
+    const day = days[date] || (days[date] = createDay());
+    day.messageCount++;
+    day.totalCost += turn.cost;
+    if (turn.sidechain) day.subagentCost += turn.cost;
+    const model =
+      day.models[turn.model] || (day.models[turn.model] = { messageCount: 0, totalCost: 0 });
+    model.messageCount++;
+    model.totalCost += turn.cost;
+  });
+  return days;
+}
+
+// A snapshot of `conversations`. Files left with nothing but responses
+// logged elsewhere are left out, as their cost is counted where it was logged
+// first. With `anonymize` project names are replaced by hashes and
+// conversation titles are left out. That is pseudonymization: the same name
+// always gets the same hash, so projects still add up across machines, and
+// so a common name can be found by hashing guesses.
+function buildSnapshot(conversations, { machine, user, anonymize = false } = {}) {
+  return {
+    type: SNAPSHOT_TYPE,
+    snapshotVersion: SNAPSHOT_VERSION,
+    generatedAt: new Date().toISOString(),
+    machine: machine || os.hostname(),
+    user: user || getDefaultUser(),
+    anonymized: anonymize,
+    conversations: conversations
+      .filter(conv => conv.messageCount > 0 && conv.totalCost > 0)
+      .map(conv => ({
+        conversationId: conv.conversationId,
+        projectName: anonymize ? hashName('project', conv.projectName) : conv.projectName,
+        conversationTitle: anonymize ? null : conv.conversationTitle,
+        startTime: conv.startTime ? new Date(conv.startTime).toISOString() : null,
+        endTime: conv.endTime ? new Date(conv.endTime).toISOString() : null,
+        durationMinutes: conv.duration,
+        messageCount: conv.messageCount,
+        totalCost: conv.totalCost,
+        subagentCost: conv.subagentCost || 0,
+        models: Object.fromEntries(
+          Object.entries(conv.models || {}).map(([model, stats]) => [
+            model,
+            { messageCount: stats.messageCount, totalCost: stats.totalCost }
+          ])
+        ),
+        days: summarizeDays(conv)
+      }))
+  };
+}
+
+// Every snapshot in `dir` and the directories below it, with the `file` it
+// was read from. Other JSON files are an error, so that a typo in the
+// directory does not silently leave a machine out.
+function readSnapshots(dir) {
+  const files = [];
+  const walk = current => {
+    let entries;
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch (e) {
+      throw new ConfigError(`Cannot read ${current}: ${e.message}`);
+    }
+    entries
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const entryPath = path.join(current, entry.name);
+        if (entry.isDirectory()) walk(entryPath);
+        else if (entry.name.endsWith('.json')) files.push(entryPath);
+      });
+  };
+  walk(dir);
+  if (files.length === 0) throw new ConfigError(`No snapshots found in ${dir}`);
+
+  return files.map(file => {
+    const snapshot = readJSONFile(file);
+    if (!snapshot || snapshot.type !== SNAPSHOT_TYPE || !Array.isArray(snapshot.conversations)) {
+      throw new ConfigError(`${file} is not a snapshot written by export-snapshot`);
+    }
+    if (snapshot.snapshotVersion > SNAPSHOT_VERSION) {
+      throw new ConfigError(
+        `${file} was written by a newer version (snapshot version ${snapshot.snapshotVersion})`
+      );
+    }
+    return { ...snapshot, file };
+  });
+}
+
+function createTotals() {
+  return { conversationCount: 0, messageCount: 0, totalCost: 0, subagentCost: 0 };
+}
+
+// Add a conversation to the group under `key`, created with `fields` first
+function addTo(groups, key, fields, conv) {
+  const group = groups.get(key) || groups.set(key, { ...fields(), ...createTotals() }).get(key);
+  group.conversationCount++;
+  group.messageCount += conv.messageCount;
+  group.totalCost += conv.totalCost;
+  group.subagentCost += conv.subagentCost;
+  return group;
+}
+
+// `conv` with only the messages sent from day `from` to day `to` (UTC
+// YYYY-MM-DD, either may be null), or null when none were. Snapshots of
+// earlier versions have no days: their conversations are kept or dropped by
+// the time they started, against `since` and `until`.
+function limitToDays(conv, { from, to, since, until }) {
+  const dates = Object.keys(conv.days || {});
+  if (dates.length === 0) {
+    const start = conv.startTime ? new Date(conv.startTime) : null;
+    if (!start || (since && start < since) || (until && start > until)) return null;
+    return conv;
+  }
+
+  const kept = dates.filter(date => (!from || date >= from) && (!to || date <= to));
+  if (kept.length === 0) return null;
+  if (kept.length === dates.length) return conv;
+  const limited = { ...conv, ...createDay(), days: {} };
+  kept.forEach(date => {
+    const day = conv.days[date];
+    limited.days[date] = day;
+    limited.messageCount += day.messageCount;
+    limited.totalCost += day.totalCost;
+    limited.subagentCost += day.subagentCost;
+    Object.entries(day.models).forEach(([model, stats]) => {
+      const target =
+        limited.models[model] || (limited.models[model] = { messageCount: 0, totalCost: 0 });
+      target.messageCount += stats.messageCount;
+      target.totalCost += stats.totalCost;
+    });
+  });
+  return limited;
+}
+
+function sortByCost(groups) {
+  return [...groups.values()].sort((a, b) => b.totalCost - a.totalCost);
+}
+
+// Merge snapshots into one set of conversations and their totals per person,
+// machine, project and model. A conversation found in several snapshots (a
+// machine that sent a snapshot more than once, or logs copied between
+// machines) counts once, as in the snapshot that has the most of it, the
+// latest one on a tie. `since` and `until` (Dates, read as UTC days) keep the
+// messages sent in that time, and `project` (names, matched like --project)
+// the conversations of those projects.
+function aggregateSnapshots(snapshots, { since, until, project = [] } = {}) {
+  const latest = new Map();
+  let recordCount = 0;
+  let repeatedCount = 0;
+  snapshots.forEach(snapshot => {
+    const seen = new Set();
+    snapshot.conversations.forEach(conv => {
+      recordCount++;
+      if (seen.has(conv.conversationId)) repeatedCount++;
+      seen.add(conv.conversationId);
+      const current = latest.get(conv.conversationId);
+      if (
+        !current ||
+        conv.messageCount > current.conv.messageCount ||
+        (conv.messageCount === current.conv.messageCount &&
+          snapshot.generatedAt > current.snapshot.generatedAt)
+      ) {
+        latest.set(conv.conversationId, { conv, snapshot });
+      }
+    });
+  });
+
+  const projectFilters = project.map(p => p.toLowerCase());
+  const period = {
+    from: since ? since.toISOString().slice(0, 10) : null,
+    to: until ? until.toISOString().slice(0, 10) : null,
+    since,
+    until
+  };
+  const conversations = [...latest.values()]
+    .filter(
+      ({ conv }) =>
+        projectFilters.length === 0 ||
+        projectFilters.some(p => conv.projectName.toLowerCase().includes(p))
+    )
+    .map(({ conv, snapshot }) => {
+      const limited = since || until ? limitToDays(conv, period) : conv;
+      return limited && { ...limited, machine: snapshot.machine, user: snapshot.user };
+    })
+    .filter(Boolean);
+
+  const people = new Map();
+  const machines = new Map();
+  const projects = new Map();
+  const models = new Map();
+  conversations.forEach(conv => {
+    const person = addTo(people, conv.user, () => ({ user: conv.user, machines: new Set() }), conv);
+    person.machines.add(conv.machine);
+    const machineFields = () => ({ machine: conv.machine, user: conv.user });
+    addTo(machines, `${conv.user}\n${conv.machine}`, machineFields, conv);
+    const projectFields = () => ({ projectName: conv.projectName, people: new Set() });
+    addTo(projects, conv.projectName, projectFields, conv).people.add(conv.user);
+    Object.entries(conv.models).forEach(([model, stats]) => {
+      const target =
+        models.get(model) || models.set(model, { model, messageCount: 0, totalCost: 0 }).get(model);
+      target.messageCount += stats.messageCount;
+      target.totalCost += stats.totalCost;
+    });
+  });
+
+  // When each machine last sent a snapshot, including machines with nothing left after filtering
+  const lastSnapshots = new Map();
+  snapshots.forEach(snapshot => {
+    const key = `${snapshot.user}\n${snapshot.machine}`;
+    if (!lastSnapshots.has(key) || snapshot.generatedAt > lastSnapshots.get(key)) {
+      lastSnapshots.set(key, snapshot.generatedAt);
+    }
+  });
+  lastSnapshots.forEach((generatedAt, key) => {
+    const [user, machine] = key.split('\n');
+    if (!machines.has(key)) machines.set(key, { machine, user, ...createTotals() });
+    machines.get(key).lastSnapshot = generatedAt;
+  });
+
+  return {
+    snapshotCount: snapshots.length,
+    // Records left out because another snapshot had the same conversation
+    duplicateCount: recordCount - latest.size - repeatedCount,
+    // Records left out because the same snapshot had the conversation already
+    repeatedCount,
+    ...conversations.reduce((totals, conv) => {
+      totals.conversationCount++;
+      totals.messageCount += conv.messageCount;
+      totals.totalCost += conv.totalCost;
+      totals.subagentCost += conv.subagentCost;
+      return totals;
+    }, createTotals()),
+    people: sortByCost(people).map(person => ({
+      ...person,
+      machines: [...person.machines].sort()
+    })),
+    machines: sortByCost(machines),
+    projects: sortByCost(projects).map(p => ({ ...p, people: [...p.people].sort() })),
+    models: sortByCost(models),
+    conversations: conversations.sort((a, b) => b.totalCost - a.totalCost)
+  };
+}
+
+// Plain-text rendering for the `aggregate` command
+function formatTeamReport(result) {
+  const costCells = group => [
+    formatNumber(group.conversationCount),
+    formatNumber(group.messageCount),
+    formatCurrency(group.totalCost, 4)
+  ];
+  const counts = [t('column.conversations'), t('column.messages'), t('column.cost')];
+
+  const lines = [
+    t('team.title', {
+      snapshots: formatNumber(result.snapshotCount),
+      machines: formatNumber(result.machines.length),
+      people: formatNumber(result.people.length)
+    }),
+    '',
+    t('team.total', {
+      cost: formatCurrency(result.totalCost, 4),
+      conversations: formatNumber(result.conversationCount),
+      messages: formatNumber(result.messageCount)
+    })
+  ];
+  if (result.duplicateCount > 0) {
+    lines.push(t('team.duplicates', { count: formatNumber(result.duplicateCount) }));
+  }
+  if (result.repeatedCount > 0) {
+    lines.push(t('team.repeated', { count: formatNumber(result.repeatedCount) }));
+  }
+
+  lines.push(
+    '',
+    ...formatTable([
+      [t('column.person'), t('column.machines'), ...counts],
+      ...result.people.map(person => [
+        person.user,
+        formatNumber(person.machines.length),
+        ...costCells(person)
+      ])
+    ]),
+    '',
+    ...formatTable(
+      [
+        [t('column.machine'), t('column.person'), t('column.lastSnapshot'), ...counts],
+        ...result.machines.map(machine => [
+          machine.machine,
+          machine.user,
+          formatDateTime(machine.lastSnapshot),
+          ...costCells(machine)
+        ])
+      ],
+      3
+    ),
+    '',
+    ...formatTable([
+      [t('column.project'), t('column.people'), ...counts],
+      ...result.projects.map(project => [
+        project.projectName,
+        formatNumber(project.people.length),
+        ...costCells(project)
+      ])
+    ]),
+    '',
+    ...formatTable([
+      [t('column.model'), t('column.messages'), t('column.cost')],
+      ...result.models.map(model => [
+        model.model,
+        formatNumber(model.messageCount),
+        formatCurrency(model.totalCost, 4)
+      ])
+    ])
+  );
+  return lines.join('\n');
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  buildSnapshot,
+  readSnapshots,
+  aggregateSnapshots,
+  formatTeamReport
+};
@@ -0,0 +1,105 @@
+// Claude Code starts a new log file when a session is resumed or continued.
+// The new file links back to the old one: its first record's parent is the
+// last record of the old session, its records can carry the old session's
+// ID, and the conversation so far is often copied into it, responses
+// included. Files linked this way form one thread of work; the copied
+// responses are left out by lib/dedupe.js.
+//
+// Links are only followed within a project directory. A copied project
+// folder repeats the same session IDs and records, and streaming logs a
+// response more than once; those are duplicates, not continuations, so a
+// response found in two files does not link them either.
+
+const path = require('path');
+
+function createUnionFind(size) {
+  const parents = Array.from({ length: size }, (_, i) => i);
+  const find = i => {
+    while (parents[i] !== i) {
+      parents[i] = parents[parents[i]];
+      i = parents[i];
+    }
+    return i;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parents[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+  };
+  return { find, union };
+}
+
+// Oldest first, so that the copy of a response that is kept is the original
+function compareByStartTime(a, b) {
+  const timeA = a.startTime ? a.startTime.getTime() : Infinity;
+  const timeB = b.startTime ? b.startTime.getTime() : Infinity;
+  return timeA - timeB || a.conversationId.localeCompare(b.conversationId);
+}
+
+// Whether two conversations grouped by buildThreads are files of one thread.
+// Copies of a folder have the same file names, and so the same thread IDs, in
+// another directory.
+function isSameThread(a, b) {
+  return (
+    Boolean(a.threadId) &&
+    a.threadId === b.threadId &&
+    path.dirname(a.filePath || '') === path.dirname(b.filePath || '')
+  );
+}
+
+// Group conversations into threads. Returns new conversation objects, in the
+// same order, with `threadId` (the ID of the thread's first file) and
+// `threadFileCount`.
+function buildThreads(conversations) {
+  const sorted = conversations.slice().sort(compareByStartTime);
+  const { find, union } = createUnionFind(sorted.length);
+  // A session ID or record UUID within the conversation's directory
+  const inDirectory = (conv, id) => `${path.dirname(conv.filePath || '')}\n${id}`;
+
+  const byId = new Map();
+  const byLastUuid = new Map();
+  sorted.forEach((conv, index) => {
+    byId.set(inDirectory(conv, conv.conversationId), index);
+    if (conv.links && conv.links.lastUuid) {
+      byLastUuid.set(inDirectory(conv, conv.links.lastUuid), index);
+    }
+  });
+
+  sorted.forEach((conv, index) => {
+    const links = conv.links || {};
+    (links.sessionIds || []).forEach(sessionId => {
+      const other = byId.get(inDirectory(conv, sessionId));
+      if (other !== undefined) union(index, other);
+    });
+    if (links.parentUuid) {
+      const parent = byLastUuid.get(inDirectory(conv, links.parentUuid));
+      if (parent !== undefined) union(index, parent);
+    }
+  });
+
+  const threads = new Map();
+  sorted.forEach((conv, index) => {
+    const root = find(index);
+    if (!threads.has(root)) threads.set(root, []);
+    threads.get(root).push(conv);
+  });
+
+  const result = new Map();
+  threads.forEach(files => {
+    files.forEach(conv => {
+      result.set(conv, {
+        ...conv,
+        threadId: files[0].conversationId,
+        threadFileCount: files.length
+      });
+    });
+  });
+
+  return conversations.map(conv => result.get(conv));
+}
+
+module.exports = {
+  compareByStartTime,
+  isSameThread,
+  buildThreads
+};
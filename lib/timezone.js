@@ -0,0 +1,142 @@
+// Calendar days, weeks and months in the time zone chosen with --tz (the
+// system's zone by default). Days are YYYY-MM-DD keys; arithmetic on keys is
+// done in UTC, where every day has 24 hours, so daylight saving time changes
+// cannot skip or repeat a day.
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Days a week can start on with --week-start
+const WEEK_START_DAYS = ['monday', 'sunday', 'saturday'];
+
+function getSystemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+// The canonical name of an IANA time zone, the system's zone for `local`, or
+// null when the zone is not known
+function resolveTimeZone(value) {
+  if (!value || value === 'local') return getSystemTimeZone();
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch (e) {
+    return null;
+  }
+}
+
+let activeZone = getSystemTimeZone();
+let activeWeekStart = WEEK_DAYS.indexOf('monday');
+const formatters = new Map();
+
+// `zone` must be resolved (see resolveTimeZone)
+function setTimeZone(zone) {
+  activeZone = zone;
+}
+
+function getTimeZone() {
+  return activeZone;
+}
+
+function setWeekStart(day) {
+  activeWeekStart = WEEK_DAYS.indexOf(day);
+}
+
+function getWeekStartDay() {
+  return WEEK_DAYS[activeWeekStart];
+}
+
+function getFormatter(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(
+      zone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      })
+    );
+  }
+  return formatters.get(zone);
+}
+
+// Wall-clock time in the zone, as the UTC time with the same fields
+function toWallClock(time, zone) {
+  const fields = {};
+  getFormatter(zone)
+    .formatToParts(new Date(time))
+    .forEach(part => {
+      if (part.type !== 'literal') fields[part.type] = Number(part.value);
+    });
+  return Date.UTC(
+    fields.year,
+    fields.month - 1,
+    fields.day,
+    fields.hour % 24,
+    fields.minute,
+    fields.second
+  );
+}
+
+// The calendar day of a time (Date or epoch milliseconds) in the zone
+function getDateKey(time, zone = activeZone) {
+  return new Date(toWallClock(time, zone)).toISOString().split('T')[0];
+}
+
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// The first moment of a day in the zone, in epoch milliseconds
+function startOfDay(dateKey, zone = activeZone) {
+  const midnight = Date.parse(`${dateKey}T00:00:00Z`);
+  let time = midnight - (toWallClock(midnight, zone) - midnight);
+  // Correct for an offset that changes between midnight UTC and local midnight
+  time = midnight - (toWallClock(time, zone) - time);
+  // Where the clocks skip midnight the day starts when they land
+  while (getDateKey(time, zone) < dateKey) time += 60 * 60 * 1000;
+  return time;
+}
+
+function endOfDay(dateKey, zone = activeZone) {
+  return startOfDay(addDays(dateKey, 1), zone) - 1;
+}
+
+// The first day of the week containing a day
+function getWeekStart(dateKey) {
+  const weekDay = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+  return addDays(dateKey, -((weekDay - activeWeekStart + 7) % 7));
+}
+
+// The day (YYYY-MM-DD), week (its first day) or month (YYYY-MM) of a day
+function getPeriodKey(period, dateKey) {
+  if (period === 'monthly') return dateKey.slice(0, 7);
+  if (period === 'weekly') return getWeekStart(dateKey);
+  return dateKey;
+}
+
+// The last `count` days up to and including today, oldest first
+function getRecentDays(count, now = Date.now()) {
+  const today = getDateKey(now);
+  return Array.from({ length: count }, (_, i) => addDays(today, i - count + 1));
+}
+
+module.exports = {
+  WEEK_START_DAYS,
+  resolveTimeZone,
+  setTimeZone,
+  getTimeZone,
+  setWeekStart,
+  getWeekStartDay,
+  getDateKey,
+  addDays,
+  startOfDay,
+  endOfDay,
+  getWeekStart,
+  getPeriodKey,
+  getRecentDays
+};
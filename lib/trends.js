@@ -0,0 +1,257 @@
+const { getDateKey, addDays, getWeekStart, getRecentDays } = require('./timezone');
+const {
+  t,
+  formatCurrency,
+  formatNumber,
+  formatTable,
+  formatCurrencyChange,
+  formatPercentChange
+} = require('./i18n');
+
+// Spend over time from the daily aggregation (see aggregateDailyCosts):
+// comparisons of two periods, this week and month against the last, and
+// rolling averages. A period is an inclusive range `{ from, to }` of
+// YYYY-MM-DD days in the --tz time zone.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function countDays({ from, to }) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY) + 1;
+}
+
+// How a value changed from the base period to the current one; the percent
+// is null when there is nothing to compare with
+function change(base, current) {
+  const difference = current - base;
+  return { base, current, difference, percent: base > 0 ? difference / base : null };
+}
+
+// Spend over a period, in total and per project and model. With `project`
+// only that project's conversations count.
+function summarizePeriod(daily, range, project = null) {
+  const summary = {
+    from: range.from,
+    to: range.to,
+    dayCount: countDays(range),
+    totalCost: 0,
+    dailyAverage: 0,
+    messageCount: 0,
+    conversationCount: 0,
+    projects: {},
+    models: {}
+  };
+  const conversationIds = new Set();
+
+  daily.forEach(day => {
+    if (day.date < range.from || day.date > range.to) return;
+    day.conversations.forEach(conv => {
+      if (project !== null && conv.projectName !== project) return;
+      const share = day.conversationCosts[conv.conversationId];
+      conversationIds.add(conv.conversationId);
+      summary.totalCost += share.totalCost;
+      summary.messageCount += share.messageCount;
+      summary.projects[conv.projectName] =
+        (summary.projects[conv.projectName] || 0) + share.totalCost;
+      Object.entries(share.models).forEach(([model, cost]) => {
+        summary.models[model] = (summary.models[model] || 0) + cost;
+      });
+    });
+  });
+
+  summary.conversationCount = conversationIds.size;
+  summary.dailyAverage = summary.totalCost / summary.dayCount;
+  return summary;
+}
+
+// One row per name found in either period, biggest change first
+function compareBreakdown(base, current) {
+  return [...new Set([...Object.keys(base), ...Object.keys(current)])]
+    .map(name => ({ name, ...change(base[name] || 0, current[name] || 0) }))
+    .sort(
+      (a, b) => Math.abs(b.difference) - Math.abs(a.difference) || a.name.localeCompare(b.name)
+    );
+}
+
+// A period still under way ends today: the days to come have no spend yet
+function endAtToday(range, today) {
+  return range.from <= today && range.to > today ? { from: range.from, to: today } : range;
+}
+
+// Compare the spend of two periods, overall and per project and model. The
+// periods may differ in length, so the daily averages are compared as well.
+function comparePeriods(daily, baseRange, currentRange, project = null, now = Date.now()) {
+  const today = getDateKey(now);
+  const {
+    projects: baseProjects,
+    models: baseModels,
+    ...base
+  } = summarizePeriod(daily, endAtToday(baseRange, today), project);
+  const {
+    projects: currentProjects,
+    models: currentModels,
+    ...current
+  } = summarizePeriod(daily, endAtToday(currentRange, today), project);
+  const { difference, percent } = change(base.totalCost, current.totalCost);
+  return {
+    base,
+    current,
+    difference,
+    percent,
+    dailyAverage: change(base.dailyAverage, current.dailyAverage),
+    projects: compareBreakdown(baseProjects, currentProjects),
+    models: compareBreakdown(baseModels, currentModels)
+  };
+}
+
+// This week and this month so far, each against the same days of the week or
+// month before, so that a half-finished week is not compared with a whole one
+function getPeriodComparisons(daily, now = Date.now(), project = null) {
+  const today = getDateKey(now);
+
+  const weekStart = getWeekStart(today);
+  const weekDays = countDays({ from: weekStart, to: today });
+  const week = comparePeriods(
+    daily,
+    { from: addDays(weekStart, -7), to: addDays(weekStart, weekDays - 8) },
+    { from: weekStart, to: today },
+    project,
+    now
+  );
+
+  // Months differ in length: the 31st is compared with the end of a shorter month
+  const monthStart = `${today.slice(0, 7)}-01`;
+  const lastMonthEnd = addDays(monthStart, -1);
+  const lastMonthStart = `${lastMonthEnd.slice(0, 7)}-01`;
+  const sameDay = addDays(lastMonthStart, countDays({ from: monthStart, to: today }) - 1);
+  const month = comparePeriods(
+    daily,
+    { from: lastMonthStart, to: sameDay < lastMonthEnd ? sameDay : lastMonthEnd },
+    { from: monthStart, to: today },
+    project,
+    now
+  );
+
+  return { week, month };
+}
+
+// The spend of every day with spend, by date, of all projects or of one
+function getDailyCosts(daily, project = null) {
+  const costs = new Map();
+  daily.forEach(day => {
+    const cost = day.conversations
+      .filter(conv => project === null || conv.projectName === project)
+      .reduce((sum, conv) => sum + day.conversationCosts[conv.conversationId].totalCost, 0);
+    if (cost > 0) costs.set(day.date, cost);
+  });
+  return costs;
+}
+
+// The average daily spend over the 7 and 30 days up to each of `dates`. Days
+// before the first spend are left out of the window, so that a short history
+// is not averaged with days the logs do not cover; before it the averages are
+// null.
+function getRollingAverages(daily, dates, project = null) {
+  const costs = getDailyCosts(daily, project);
+  const firstDay = [...costs.keys()].sort()[0];
+
+  const average = (date, days) => {
+    if (!firstDay || date < firstDay) return null;
+    const start = addDays(date, 1 - days);
+    const range = { from: start > firstDay ? start : firstDay, to: date };
+    let total = 0;
+    for (let day = range.from; day <= range.to; day = addDays(day, 1)) {
+      total += costs.get(day) || 0;
+    }
+    return total / countDays(range);
+  };
+
+  return dates.map(date => ({ date, average7: average(date, 7), average30: average(date, 30) }));
+}
+
+// Week-over-week, month-over-month and the rolling averages of the last 30 days
+function getTrends(daily, now = Date.now(), project = null) {
+  return {
+    ...getPeriodComparisons(daily, now, project),
+    averages: getRollingAverages(daily, getRecentDays(30, now), project)
+  };
+}
+
+function formatCountChange(value) {
+  return `${value < 0 ? '-' : '+'}${formatNumber(Math.abs(value))}`;
+}
+
+function formatBreakdown(label, rows, { baseLabel, currentLabel, limit }) {
+  return formatTable([
+    [label, baseLabel, currentLabel, t('compare.change'), ''],
+    ...rows
+      .slice(0, limit)
+      .map(row => [
+        row.name,
+        formatCurrency(row.base, 4),
+        formatCurrency(row.current, 4),
+        formatCurrencyChange(row.difference),
+        formatPercentChange(row.percent)
+      ])
+  ]);
+}
+
+// Side-by-side tables of the spend per project and per model in two periods,
+// at most `limit` rows each
+function formatBreakdowns(comparison, { baseLabel, currentLabel, limit = Infinity }) {
+  const columns = { baseLabel, currentLabel, limit };
+  const tables = [];
+  if (comparison.projects.length > 0) {
+    tables.push(formatBreakdown(t('column.project'), comparison.projects, columns));
+  }
+  if (comparison.models.length > 0) {
+    tables.push(formatBreakdown(t('column.model'), comparison.models, columns));
+  }
+  return tables.reduce((lines, table) => [...lines, '', ...table], []).slice(1);
+}
+
+// The totals of two periods side by side, then the breakdowns
+function formatComparison(comparison, { baseLabel, currentLabel }) {
+  const { base, current } = comparison;
+  const countRow = (label, field) => [
+    label,
+    formatNumber(base[field]),
+    formatNumber(current[field]),
+    formatCountChange(current[field] - base[field]),
+    ''
+  ];
+  const breakdowns = formatBreakdowns(comparison, { baseLabel, currentLabel });
+
+  const lines = formatTable([
+    ['', baseLabel, currentLabel, t('compare.change'), ''],
+    [
+      t('compare.totalCost'),
+      formatCurrency(base.totalCost, 4),
+      formatCurrency(current.totalCost, 4),
+      formatCurrencyChange(comparison.difference),
+      formatPercentChange(comparison.percent)
+    ],
+    [
+      t('compare.dailyAverage'),
+      formatCurrency(comparison.dailyAverage.base, 4),
+      formatCurrency(comparison.dailyAverage.current, 4),
+      formatCurrencyChange(comparison.dailyAverage.difference),
+      formatPercentChange(comparison.dailyAverage.percent)
+    ],
+    countRow(t('compare.days'), 'dayCount'),
+    countRow(t('column.messages'), 'messageCount'),
+    countRow(t('column.conversations'), 'conversationCount')
+  ]);
+  return breakdowns.length > 0 ? [...lines, '', ...breakdowns] : lines;
+}
+
+module.exports = {
+  countDays,
+  getDailyCosts,
+  summarizePeriod,
+  comparePeriods,
+  getPeriodComparisons,
+  getRollingAverages,
+  getTrends,
+  formatBreakdowns,
+  formatComparison
+};
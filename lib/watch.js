@@ -0,0 +1,387 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateCost } = require('./pricing');
+const { createParseState, parseRecord, finishParse, getMessageKey } = require('./parser');
+const { resolveProject } = require('./projects');
+const { t, formatCurrency, formatNumber, formatTime, textWidth } = require('./i18n');
+const { getDateKey, startOfDay } = require('./timezone');
+
+// Conversations updated within this window count as active
+const ACTIVE_WINDOW_MS = 30 * 60 * 1000;
+const BURN_RATE_WINDOW_MS = 60 * 60 * 1000;
+// fs.watch misses events on some platforms and network drives, so every file
+// is also re-checked on this interval
+const POLL_INTERVAL_MS = 5000;
+const RENDER_INTERVAL_MS = 1000;
+
+// Days are in the --tz time zone, like the daily aggregation of the report
+function startOfToday() {
+  return startOfDay(getDateKey(Date.now()));
+}
+
+function listProjects(dir) {
+  try {
+    return fs.readdirSync(dir).filter(name => {
+      try {
+        return fs.statSync(path.join(dir, name)).isDirectory();
+      } catch (e) {
+        return false;
+      }
+    });
+  } catch (e) {
+    return [];
+  }
+}
+
+// Watch the projects directory and every project directory in it (fs.watch is
+// not recursive on Linux before Node 20). `onChange(projectName, fileName)` is
+// called for changes inside a project directory, and without arguments when
+// the set of projects may have changed. sync() starts watching project
+// directories created since the last call, and returns whether a log file was
+// added, changed or removed since then.
+function watchTree(dir, onChange) {
+  const watchers = new Map();
+
+  function watchDirectory(dirPath, listener) {
+    if (watchers.has(dirPath)) return;
+    try {
+      const watcher = fs.watch(dirPath, listener);
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dirPath);
+      });
+      watchers.set(dirPath, watcher);
+    } catch (e) {
+      // The directory vanished; the next sync picks up whatever replaces it
+    }
+  }
+
+  // Size and modification time of every log file, by path, at the last sync
+  let fileStates = new Map();
+
+  function sync() {
+    const current = new Map();
+    listProjects(dir).forEach(projectName => {
+      const projectPath = path.join(dir, projectName);
+      watchDirectory(projectPath, (event, fileName) => onChange(projectName, fileName));
+      let entries = [];
+      try {
+        entries = fs.readdirSync(projectPath).filter(f => f.endsWith('.jsonl'));
+      } catch (e) {
+        return;
+      }
+      entries.forEach(entry => {
+        const filePath = path.join(projectPath, entry);
+        try {
+          const stat = fs.statSync(filePath);
+          current.set(filePath, `${stat.size}:${stat.mtimeMs}`);
+        } catch (e) {
+          // Removed since it was listed
+        }
+      });
+    });
+
+    const changed =
+      current.size !== fileStates.size ||
+      [...current].some(([filePath, state]) => fileStates.get(filePath) !== state);
+    fileStates = current;
+    return changed;
+  }
+
+  watchDirectory(dir, () => {
+    sync();
+    onChange();
+  });
+  sync();
+
+  return {
+    sync,
+    close() {
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
+
+// Tail every conversation log under `dir` and keep a running dashboard of the
+// spend. Returns a handle whose stop() closes all watchers and timers.
+function startWatch(options) {
+  const dir = options.dir;
+  const out = options.output || process.stdout;
+  const startedAt = Date.now();
+  const files = new Map();
+  // The file that logged each response first, by message and request ID
+  const responseFiles = new Map();
+  // Priced messages of the last hour by message timestamp, for the burn rate
+  let recentMessages = [];
+  let sessionCost = 0;
+  let sessionMessages = 0;
+  let dirty = true;
+
+  function createFileState(filePath, dirName, stat) {
+    return {
+      filePath,
+      projectName: resolveProject(dir, dirName).name,
+      ino: stat.ino,
+      offset: 0,
+      pending: Buffer.alloc(0),
+      parseState: createParseState(),
+      dailyCosts: {},
+      lastActivity: 0
+    };
+  }
+
+  function handleLine(file, line, live) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (e) {
+      return;
+    }
+
+    // A response logged again, in parts or in a resumed session, counts once
+    const key = message.type === 'assistant' && options.dedupe !== false && getMessageKey(message);
+    if (key) {
+      if (responseFiles.has(key)) return;
+      responseFiles.set(key, file.filePath);
+    }
+    parseRecord(file.parseState, message);
+
+    if (message.type !== 'assistant' || !message.message) return;
+    const { usage, model } = message.message;
+    if (!usage || !model) return;
+
+    let time = message.timestamp ? new Date(message.timestamp).getTime() : NaN;
+    if (isNaN(time)) time = Date.now();
+    const cost = calculateCost(usage, model, message.timestamp);
+    const dateKey = getDateKey(time);
+
+    file.dailyCosts[dateKey] = (file.dailyCosts[dateKey] || 0) + cost;
+    file.lastActivity = Math.max(file.lastActivity, time);
+    if (Date.now() - time <= BURN_RATE_WINDOW_MS) {
+      recentMessages.push({ time, cost });
+    }
+    if (live) {
+      sessionCost += cost;
+      sessionMessages++;
+    }
+    dirty = true;
+  }
+
+  function forgetResponses(filePath) {
+    responseFiles.forEach((owner, key) => {
+      if (owner === filePath) responseFiles.delete(key);
+    });
+  }
+
+  // Read whatever was appended since the last read. A file that shrank or was
+  // replaced by a new one (different inode) is read again from the start.
+  function readFile(filePath, projectName, live) {
+    let stat;
+    try {
+      stat = fs.statSync(filePath);
+    } catch (e) {
+      forgetResponses(filePath);
+      if (files.delete(filePath)) dirty = true;
+      return;
+    }
+
+    let file = files.get(filePath);
+    if (!file || file.ino !== stat.ino || stat.size < file.offset) {
+      // Content re-read after a truncation or rotation is not new spend
+      if (file) live = false;
+      forgetResponses(filePath);
+      file = createFileState(filePath, projectName, stat);
+      files.set(filePath, file);
+      dirty = true;
+    }
+    if (stat.size === file.offset) return;
+
+    const length = stat.size - file.offset;
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, file.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    file.offset = stat.size;
+
+    // Split on newline bytes and decode whole lines only: a read can end in
+    // the middle of a multibyte character
+    const data = file.pending.length > 0 ? Buffer.concat([file.pending, buffer]) : buffer;
+    let lineStart = 0;
+    let newline;
+    while ((newline = data.indexOf(10, lineStart)) !== -1) {
+      handleLine(file, data.toString('utf8', lineStart, newline), live);
+      lineStart = newline + 1;
+    }
+    file.pending = data.subarray(lineStart);
+  }
+
+  function readProject(projectName, live) {
+    const projectPath = path.join(dir, projectName);
+    let entries = [];
+    try {
+      entries = fs.readdirSync(projectPath).filter(f => f.endsWith('.jsonl'));
+    } catch (e) {
+      return;
+    }
+    entries.forEach(fileName => readFile(path.join(projectPath, fileName), projectName, live));
+  }
+
+  function scan(live) {
+    listProjects(dir).forEach(projectName => readProject(projectName, live));
+
+    // Drop state for files that disappeared
+    files.forEach((file, filePath) => {
+      if (!fs.existsSync(filePath)) {
+        forgetResponses(filePath);
+        files.delete(filePath);
+        dirty = true;
+      }
+    });
+  }
+
+  // Start from the current end of every file that was not touched today, and
+  // read today's files in full so today's total is complete.
+  function initialScan() {
+    const todayStart = startOfToday();
+    listProjects(dir).forEach(projectName => {
+      const projectPath = path.join(dir, projectName);
+      let entries = [];
+      try {
+        entries = fs.readdirSync(projectPath).filter(f => f.endsWith('.jsonl'));
+      } catch (e) {
+        return;
+      }
+      entries.forEach(fileName => {
+        const filePath = path.join(projectPath, fileName);
+        try {
+          const stat = fs.statSync(filePath);
+          if (stat.mtimeMs < todayStart) {
+            const file = createFileState(filePath, projectName, stat);
+            file.offset = stat.size;
+            file.skippedHistory = true;
+            files.set(filePath, file);
+          }
+        } catch (e) {
+          // Ignore files that disappear while scanning
+        }
+      });
+    });
+    scan(false);
+  }
+
+  function render() {
+    const now = Date.now();
+    const todayKey = getDateKey(now);
+    const conversations = [...files.values()].map(file => ({
+      file,
+      conversation: finishParse(file.parseState, file.filePath)
+    }));
+
+    const todayCost = conversations.reduce((sum, c) => sum + (c.file.dailyCosts[todayKey] || 0), 0);
+    recentMessages = recentMessages.filter(m => now - m.time <= BURN_RATE_WINDOW_MS);
+    const burnRate =
+      recentMessages.reduce((sum, m) => sum + m.cost, 0) / (BURN_RATE_WINDOW_MS / 3600000);
+
+    const active = conversations
+      .filter(c => now - c.file.lastActivity <= ACTIVE_WINDOW_MS)
+      .sort((a, b) => b.conversation.totalCost - a.conversation.totalCost);
+    const current = conversations
+      .filter(c => c.file.lastActivity > 0)
+      .sort((a, b) => b.file.lastActivity - a.file.lastActivity)[0];
+
+    // Costs of conversations whose history was skipped only cover what was
+    // appended while watching
+    const describe = c =>
+      `${formatCurrency(c.conversation.totalCost, 4)}${c.file.skippedHistory ? '+' : ''}  ${
+        c.file.projectName
+      }  ${c.conversation.conversationTitle.substring(0, 50)}`;
+
+    const fields = [
+      [t('watch.today', { date: todayKey }), formatCurrency(todayCost, 4)],
+      [
+        t('watch.sinceStart'),
+        t('watch.sessionSpend', {
+          cost: formatCurrency(sessionCost, 4),
+          messages: formatNumber(sessionMessages)
+        })
+      ],
+      [t('watch.burnRate'), t('watch.perHour', { cost: formatCurrency(burnRate) })],
+      [t('watch.current'), current ? describe(current) : '-'],
+      [t('watch.mostExpensive'), active.length > 0 ? describe(active[0]) : '-']
+    ];
+    const labelWidth = Math.max(28, ...fields.map(([label]) => textWidth(label) + 2));
+    const lines = [
+      t('watch.title', { dir, time: formatTime(startedAt) }),
+      '',
+      ...fields.map(
+        ([label, value]) => `${label}:${' '.repeat(labelWidth - textWidth(label) - 1)}${value}`
+      ),
+      '',
+      t('watch.active', { minutes: ACTIVE_WINDOW_MS / 60000 }),
+      ...(active.length > 0
+        ? active.slice(0, 10).map(
+            c =>
+              `  ${describe(c)}  (${t('watch.lastMessage', {
+                time: formatTime(c.file.lastActivity)
+              })})`
+          )
+        : [`  ${t('watch.none')}`]),
+      '',
+      t('common.pressCtrlC')
+    ];
+
+    if (out.isTTY) {
+      out.write('\x1b[2J\x1b[H' + lines.join('\n') + '\n');
+    } else {
+      out.write(
+        `${t('watch.statusLine', {
+          time: formatTime(now),
+          today: formatCurrency(todayCost, 4),
+          session: formatCurrency(sessionCost, 4),
+          burn: formatCurrency(burnRate),
+          active: formatNumber(active.length)
+        })}\n`
+      );
+    }
+  }
+
+  initialScan();
+  const tree = watchTree(dir, (projectName, fileName) => {
+    if (!projectName) {
+      scan(true);
+    } else if (fileName && fileName.endsWith('.jsonl')) {
+      readFile(path.join(dir, projectName, fileName), projectName, true);
+    }
+  });
+
+  const pollTimer = setInterval(() => {
+    tree.sync();
+    scan(true);
+  }, POLL_INTERVAL_MS);
+  let lastRender = 0;
+  const renderTimer = setInterval(() => {
+    // Re-render at least every poll so the burn rate and active list age out
+    if (dirty || Date.now() - lastRender >= POLL_INTERVAL_MS) {
+      dirty = false;
+      lastRender = Date.now();
+      render();
+    }
+  }, RENDER_INTERVAL_MS);
+
+  return {
+    stop() {
+      clearInterval(pollTimer);
+      clearInterval(renderTimer);
+      tree.close();
+    }
+  };
+}
+
+module.exports = {
+  watchTree,
+  startWatch
+};
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('assert');
+const { ConfigError } = require('../lib/config');
+const { DEFAULT_THRESHOLD, loadAnomalyThreshold, detectAnomalies } = require('../lib/anomalies');
+
+function conversation(id, totalCost, extra = {}) {
+  return {
+    conversationId: id,
+    conversationTitle: `Conversation ${id}`,
+    projectName: 'app',
+    startTime: new Date('2025-06-02T10:00:00Z'),
+    totalCost,
+    messageCount: 10,
+    duration: 30,
+    ...extra
+  };
+}
+
+// Twenty ordinary conversations between $0.80 and $1.19, and one that cost $40
+function history() {
+  const conversations = Array.from({ length: 20 }, (_, i) =>
+    conversation(`c${i}`, 0.8 + ((i * 7) % 20) / 50)
+  );
+  return [...conversations, conversation('big', 40)];
+}
+
+test('detectAnomalies flags a conversation that cost far more than usual', () => {
+  const flagged = detectAnomalies(history(), []);
+  assert.ok(flagged.length > 0);
+  assert.ok(flagged.every(anomaly => anomaly.conversationId === 'big'));
+  assert.deepStrictEqual(flagged.map(anomaly => anomaly.kind).sort(), [
+    'burnRate',
+    'cost',
+    'messageCost'
+  ]);
+  assert.ok(flagged.every(anomaly => anomaly.score > DEFAULT_THRESHOLD));
+});
+
+test('detectAnomalies ignores files left with nothing but repeated responses', () => {
+  const residue = Array.from({ length: 10 }, (_, i) =>
+    conversation(`copy${i}`, 1e-17, { messageCount: 0 })
+  );
+  const flagged = detectAnomalies([...history(), ...residue], []);
+  assert.deepStrictEqual(flagged, detectAnomalies(history(), []));
+});
+
+test('detectAnomalies flags an outlier among mostly equal values', () => {
+  const conversations = Array.from({ length: 20 }, (_, i) =>
+    conversation(`c${i}`, i < 15 ? 1 : 1.2)
+  );
+  const flagged = detectAnomalies([...conversations, conversation('big', 37)], []);
+  assert.ok(flagged.some(anomaly => anomaly.conversationId === 'big' && anomaly.kind === 'cost'));
+  assert.ok(flagged.every(anomaly => anomaly.conversationId === 'big'));
+
+  const alike = Array.from({ length: 20 }, (_, i) => conversation(`c${i}`, 1));
+  assert.deepStrictEqual(detectAnomalies(alike, []), []);
+});
+
+test('detectAnomalies needs enough history', () => {
+  assert.deepStrictEqual(detectAnomalies(history().slice(15), []), []);
+});
+
+test('loadAnomalyThreshold prefers the option, then the config', () => {
+  assert.strictEqual(loadAnomalyThreshold({}, {}), DEFAULT_THRESHOLD);
+  assert.strictEqual(loadAnomalyThreshold({ anomalies: { threshold: 3 } }, {}), 3);
+  assert.strictEqual(
+    loadAnomalyThreshold({ anomalies: { threshold: 3 } }, { anomalyThreshold: 5 }),
+    5
+  );
+  assert.throws(() => loadAnomalyThreshold({ anomalies: { threshold: -1 } }, {}), ConfigError);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { setTimeZone } = require('../lib/timezone');
+const { normalizeModelName, readBillingCSV, reconcileBilling } = require('../lib/billing');
+const {
+  analyzeAllConversations,
+  aggregateDailyCosts
+} = require('../analyze-claude-costs-enhanced');
+
+const EXAMPLE = path.join(__dirname, '..', 'examples', 'billing');
+
+test('normalizeModelName matches console names with model IDs', () => {
+  const pairs = [
+    ['Claude Sonnet 4', 'claude-sonnet-4-20250514'],
+    ['Claude Opus 4.1', 'claude-opus-4-1-20250805'],
+    ['Claude Sonnet 4.5', 'claude-sonnet-4-5-20250929'],
+    ['Claude Haiku 3.5', 'claude-3-5-haiku-20241022'],
+    ['Claude Sonnet 3.7', 'claude-3-7-sonnet-20250219'],
+    ['Claude Haiku 3', 'claude-3-haiku-20240307'],
+    ['claude-3-5-sonnet-latest', 'Claude Sonnet 3.5']
+  ];
+  pairs.forEach(([a, b]) => assert.strictEqual(normalizeModelName(a), normalizeModelName(b)));
+  assert.notStrictEqual(
+    normalizeModelName('Claude Haiku 3.5'),
+    normalizeModelName('Claude Haiku 3')
+  );
+  assert.notStrictEqual(normalizeModelName('Claude Sonnet 4'), normalizeModelName('Claude Opus 4'));
+  assert.strictEqual(normalizeModelName('my-proxy-model'), 'my-proxy-model');
+});
+
+test('reconcile matches every model of the bundled example', async () => {
+  const conversations = await analyzeAllConversations({
+    dir: path.join(EXAMPLE, 'projects'),
+    cache: false,
+    threads: false,
+    quiet: true
+  });
+  setTimeZone('UTC');
+  const result = reconcileBilling(
+    aggregateDailyCosts(conversations),
+    readBillingCSV(path.join(EXAMPLE, 'usage.csv'))
+  );
+
+  assert.strictEqual(result.from, '2026-10-01');
+  assert.strictEqual(result.to, '2026-10-04');
+  assert.deepStrictEqual(result.localOnlyDays, ['2026-10-03']);
+  assert.deepStrictEqual(result.billingOnlyDays, ['2026-10-04']);
+  assert.deepStrictEqual(
+    result.models.map(m => m.model),
+    ['claude-sonnet-4-20250514', 'claude-3-5-haiku-20241022']
+  );
+  const haiku = result.models[1];
+  assert.ok(Math.abs(haiku.localCost - 0.04) < 1e-9);
+  assert.ok(Math.abs(haiku.billedCost - 0.04) < 1e-9);
+  assert.ok(Math.abs(result.billedCost - 1.15) < 1e-9);
+});
+
+test('reconcile takes --since and --until as UTC days in any time zone', () => {
+  const output = execFileSync(
+    process.execPath,
+    [
+      path.join(__dirname, '..', 'analyze-claude-costs-enhanced.js'),
+      'reconcile',
+      '--dir',
+      path.join(EXAMPLE, 'projects'),
+      '--billing',
+      path.join(EXAMPLE, 'usage.csv'),
+      '--since',
+      '2026-10-02',
+      '--until',
+      '2026-10-02',
+      '--no-cache',
+      '--format',
+      'json'
+    ],
+    { env: { ...process.env, TZ: 'Pacific/Honolulu' }, encoding: 'utf8' }
+  );
+  const result = JSON.parse(output);
+
+  assert.strictEqual(result.from, '2026-10-02');
+  assert.strictEqual(result.to, '2026-10-02');
+  assert.ok(Math.abs(result.localCost - 0.49) < 1e-9);
+  assert.ok(Math.abs(result.billedCost - 0.58) < 1e-9);
+});
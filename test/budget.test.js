@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { ConfigError } = require('../lib/config');
+const {
+  EXIT_BUDGET_WARNING,
+  EXIT_BUDGET_EXCEEDED,
+  loadBudgets,
+  checkBudget,
+  checkForecast,
+  getBudgetExitCode
+} = require('../lib/budget');
+const { buildSession, makeTempDir, writeLog } = require('./helpers');
+
+test('loadBudgets reads the config, with the flags overriding the overall budgets', () => {
+  const config = {
+    budgets: { daily: 20, monthly: { limit: 300, warn: 0.9 }, projects: { webapp: { weekly: 50 } } }
+  };
+  assert.deepStrictEqual(loadBudgets(config, { dailyBudget: 10, budgetWarn: 0.5 }), [
+    { period: 'daily', project: null, limit: 10, warnAt: 5 },
+    { period: 'monthly', project: null, limit: 300, warnAt: 270 },
+    { period: 'weekly', project: 'webapp', limit: 50, warnAt: 25 }
+  ]);
+  assert.throws(() => loadBudgets({ budgets: { daily: -1 } }), ConfigError);
+  assert.throws(() => loadBudgets({ budgets: { daily: { limit: 5, warn: 2 } } }), ConfigError);
+});
+
+test('checkBudget adds up the spend of the period containing today', () => {
+  const budget = { period: 'weekly', project: null, limit: 10, warnAt: 8 };
+  // Weeks start on Monday: June 2, 2025 is one
+  const daily = [
+    { date: '2025-06-01', totalCost: 50 },
+    { date: '2025-06-02', totalCost: 4 },
+    { date: '2025-06-04', totalCost: 4.5 }
+  ];
+  assert.strictEqual(checkBudget(budget, daily.slice(0, 2), '2025-06-04'), null);
+  const alert = checkBudget(budget, daily, '2025-06-04');
+  assert.strictEqual(alert.level, 'warning');
+  assert.strictEqual(alert.spent, 8.5);
+  assert.strictEqual(alert.periodKey, '2025-06-02');
+  assert.strictEqual(checkBudget({ ...budget, limit: 8.5 }, daily, '2025-06-04').level, 'exceeded');
+});
+
+test('getBudgetExitCode tells warnings from budgets exceeded', () => {
+  const projection = { from: '2025-06-01', spent: 100, projected: 400 };
+  assert.strictEqual(checkForecast(projection, 500), null);
+  const projected = checkForecast(projection, 300);
+  assert.strictEqual(projected.level, 'projected');
+
+  assert.strictEqual(getBudgetExitCode([]), 0);
+  assert.strictEqual(getBudgetExitCode([projected]), EXIT_BUDGET_WARNING);
+  assert.strictEqual(
+    getBudgetExitCode([projected, { level: 'exceeded' }, { level: 'warning' }]),
+    EXIT_BUDGET_EXCEEDED
+  );
+});
+
+test('the command exits with the budget exit code', () => {
+  const root = makeTempDir();
+  try {
+    const start = new Date().toISOString();
+    writeLog(
+      path.join(root, '-app', 'S1.jsonl'),
+      buildSession({ sessionId: 'S1', cwd: '/app', start, turns: 1 })
+    );
+    const run = budget =>
+      spawnSync(
+        process.execPath,
+        [
+          path.join(__dirname, '..', 'analyze-claude-costs-enhanced.js'),
+          '--dir',
+          root,
+          '--no-cache',
+          '--format',
+          'json',
+          '--daily-budget',
+          String(budget)
+        ],
+        { encoding: 'utf8' }
+      );
+    assert.strictEqual(run(1).status, 0);
+    assert.strictEqual(run(0.002).status, EXIT_BUDGET_WARNING);
+    const exceeded = run(0.001);
+    assert.strictEqual(exceeded.status, EXIT_BUDGET_EXCEEDED);
+    assert.match(exceeded.stderr, /exceeded/i);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadParseCache, getResumePoint, updateEntry, saveParseCache } = require('../lib/cache');
+const { parseJSONLFileIncremental } = require('../lib/parser');
+const { buildSession, makeTempDir, writeLog } = require('./helpers');
+
+const records = buildSession({
+  sessionId: 'S1',
+  cwd: '/app',
+  start: '2025-06-02T10:00:00Z',
+  turns: 4
+});
+const lines = records.map(record => JSON.stringify(record) + '\n');
+
+// Parse `filePath` as analyzeAllConversations does, resuming from the cache
+async function parseCached(cachePath, filePath, fingerprint = 'prices') {
+  const cache = loadParseCache({ fingerprint, cachePath });
+  const stat = fs.statSync(filePath);
+  const resume = getResumePoint(cache, filePath, stat);
+  const result = await parseJSONLFileIncremental(filePath, stat.size, resume);
+  updateEntry(cache, filePath, stat, result.state, result.offset);
+  saveParseCache(cache);
+  return { resume, conversation: result.conversation };
+}
+
+function withFiles(fn) {
+  return async () => {
+    const root = makeTempDir();
+    try {
+      await fn(path.join(root, 'cache.json'), path.join(root, '-app', 'S1.jsonl'));
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test(
+  'an appended log resumes from the cached offset with the same totals',
+  withFiles(async (cachePath, filePath) => {
+    writeLog(filePath, records.slice(0, 4));
+    const first = await parseCached(cachePath, filePath);
+    assert.strictEqual(first.resume, null);
+    assert.strictEqual(first.conversation.messageCount, 2);
+
+    fs.appendFileSync(filePath, lines.slice(4).join(''));
+    const second = await parseCached(cachePath, filePath);
+    assert.strictEqual(second.resume.offset, lines.slice(0, 4).join('').length);
+    assert.strictEqual(second.conversation.messageCount, 4);
+
+    const full = await parseJSONLFileIncremental(filePath, fs.statSync(filePath).size);
+    assert.strictEqual(second.conversation.totalCost, full.conversation.totalCost);
+  })
+);
+
+test(
+  'a rewritten log, other prices or a corrupt cache mean parsing from the start',
+  withFiles(async (cachePath, filePath) => {
+    writeLog(filePath, records.slice(0, 4));
+    await parseCached(cachePath, filePath);
+    assert.strictEqual((await parseCached(cachePath, filePath, 'new prices')).resume, null);
+
+    // Same length, different bytes before the cached offset
+    writeLog(filePath, [records[1], records[0], records[3], records[2]]);
+    // Rewritten within the same millisecond or not
+    const later = new Date(Date.now() + 1000);
+    fs.utimesSync(filePath, later, later);
+    assert.strictEqual((await parseCached(cachePath, filePath, 'new prices')).resume, null);
+
+    fs.writeFileSync(cachePath, '{"version":');
+    const cache = loadParseCache({ fingerprint: 'new prices', cachePath });
+    assert.deepStrictEqual(cache.files, {});
+    assert.strictEqual(cache.dirty, true);
+  })
+);
+
+test(
+  'saveParseCache forgets deleted logs',
+  withFiles(async (cachePath, filePath) => {
+    writeLog(filePath, records);
+    await parseCached(cachePath, filePath);
+    fs.rmSync(filePath);
+    saveParseCache(loadParseCache({ fingerprint: 'prices', cachePath }));
+    assert.deepStrictEqual(loadParseCache({ fingerprint: 'prices', cachePath }).files, {});
+  })
+);
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('assert');
+const { parseArgs, UsageError } = require('../lib/cli');
+
+test('parseArgs defaults to the report command', () => {
+  const { command, positionals, options } = parseArgs([]);
+  assert.strictEqual(command, 'report');
+  assert.deepStrictEqual(positionals, []);
+  assert.deepStrictEqual(options.project, []);
+});
+
+test('parseArgs reads aliases, repeated lists, negations and inline values', () => {
+  const { options } = parseArgs(['-p', 'webapp', '--project=api', '--no-open', '--out', 'r.html']);
+  assert.deepStrictEqual(options.project, ['webapp', 'api']);
+  assert.strictEqual(options.open, false);
+  assert.ok(options.out.endsWith('r.html'));
+});
+
+test('parseArgs reads dates in the --tz time zone', () => {
+  const { options } = parseArgs(['--tz', 'UTC', '--since', '2025-06-01', '--until', '2025-06-30']);
+  assert.strictEqual(options.since.toISOString(), '2025-06-01T00:00:00.000Z');
+  assert.strictEqual(options.until.toISOString(), '2025-06-30T23:59:59.999Z');
+});
+
+test('parseArgs reads reconcile and aggregate dates as UTC days', () => {
+  const { options } = parseArgs([
+    'reconcile',
+    '--tz',
+    'Pacific/Honolulu',
+    '--since',
+    '2026-10-02',
+    '--until',
+    '2026-10-02'
+  ]);
+  assert.strictEqual(options.since.toISOString(), '2026-10-02T00:00:00.000Z');
+  assert.strictEqual(options.until.toISOString(), '2026-10-02T23:59:59.999Z');
+  const aggregate = parseArgs(['aggregate', 'team', '--tz', 'Asia/Tokyo', '--since', '2026-10-02']);
+  assert.strictEqual(aggregate.options.since.toISOString(), '2026-10-02T00:00:00.000Z');
+});
+
+test('parseArgs rejects bad usage', () => {
+  assert.throws(() => parseArgs(['--nope']), UsageError);
+  assert.throws(() => parseArgs(['show']), UsageError);
+  assert.throws(() => parseArgs(['--since', '2025-07-01', '--until', '2025-06-01']), UsageError);
+  assert.throws(() => parseArgs(['--tz', 'Mars/Base']), UsageError);
+});
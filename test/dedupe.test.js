@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseJSONLFile } = require('../lib/parser');
+const { buildThreads } = require('../lib/threads');
+const { removeDuplicateResponses } = require('../lib/dedupe');
+const { assistantRecord, buildSession, makeTempDir, writeLog } = require('./helpers');
+
+const CWD = '/home/alice/work/api';
+const WORK = '-home-alice-work-api';
+const BACKUP = '-home-alice-backup-api';
+
+async function analyze(root, files) {
+  const parsed = await Promise.all(files.map(file => parseJSONLFile(path.join(root, file))));
+  return removeDuplicateResponses(buildThreads(parsed));
+}
+
+test('a copied project folder leaves the cost with the original', async () => {
+  const root = makeTempDir();
+  try {
+    const records = buildSession({
+      sessionId: 'S1',
+      cwd: CWD,
+      start: '2025-06-02T10:00:00Z',
+      turns: 3
+    });
+    writeLog(path.join(root, WORK, 'S1.jsonl'), records);
+    writeLog(path.join(root, BACKUP, 'S1.jsonl'), records);
+
+    // The backup sorts first, whichever order the files are read in
+    for (const files of [
+      [`${BACKUP}/S1.jsonl`, `${WORK}/S1.jsonl`],
+      [`${WORK}/S1.jsonl`, `${BACKUP}/S1.jsonl`]
+    ]) {
+      const conversations = await analyze(root, files);
+      const work = conversations.find(conv => conv.filePath.includes(WORK));
+      const backup = conversations.find(conv => conv.filePath.includes(BACKUP));
+
+      assert.strictEqual(work.messageCount, 3);
+      assert.ok(work.totalCost > 0);
+      assert.strictEqual(work.duplicateMessageCount, 0);
+
+      assert.strictEqual(backup.messageCount, 0);
+      assert.strictEqual(backup.totalCost, 0);
+      assert.strictEqual(backup.subagentCost, 0);
+      assert.deepStrictEqual(backup.models, {});
+      assert.strictEqual(backup.duplicateMessageCount, 3);
+      assert.strictEqual(backup.duplicateCost, work.totalCost);
+      // A copy is a duplicate, not a continuation of the original
+      assert.strictEqual(backup.copiedMessageCount, 0);
+      assert.strictEqual(backup.threadFileCount, 1);
+      assert.strictEqual(work.threadFileCount, 1);
+    }
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a resumed session is one thread with the copied responses counted once', async () => {
+  const root = makeTempDir();
+  try {
+    const first = buildSession({
+      sessionId: 'S1',
+      cwd: CWD,
+      start: '2025-06-02T10:00:00Z',
+      turns: 2
+    });
+    const resumed = buildSession({
+      sessionId: 'S2',
+      cwd: CWD,
+      start: '2025-06-02T12:00:00Z',
+      turns: 2
+    });
+    resumed[0].parentUuid = first[first.length - 1].uuid;
+    writeLog(path.join(root, WORK, 'S1.jsonl'), first);
+    writeLog(path.join(root, WORK, 'S2.jsonl'), [...first, ...resumed]);
+
+    const [original, continued] = await analyze(root, [`${WORK}/S1.jsonl`, `${WORK}/S2.jsonl`]);
+    assert.strictEqual(original.threadId, 'S1');
+    assert.strictEqual(continued.threadId, 'S1');
+    assert.strictEqual(continued.threadFileCount, 2);
+    assert.strictEqual(continued.messageCount, 2);
+    assert.strictEqual(continued.copiedMessageCount, 2);
+    assert.strictEqual(continued.copiedCost, original.totalCost);
+    assert.strictEqual(continued.startTime.toISOString(), '2025-06-02T12:00:00.000Z');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a response logged in two unrelated files does not link them', async () => {
+  const root = makeTempDir();
+  try {
+    const shared = assistantRecord({
+      sessionId: 'S1',
+      cwd: CWD,
+      timestamp: '2025-06-02T10:00:00Z',
+      id: 'msg_shared'
+    });
+    writeLog(path.join(root, WORK, 'S1.jsonl'), [shared]);
+    writeLog(path.join(root, WORK, 'S2.jsonl'), [{ ...shared, sessionId: 'S2', uuid: 'other' }]);
+
+    const [a, b] = await analyze(root, [`${WORK}/S1.jsonl`, `${WORK}/S2.jsonl`]);
+    assert.notStrictEqual(a.threadId, b.threadId);
+    assert.strictEqual(a.messageCount + b.messageCount, 1);
+    assert.strictEqual(a.copiedMessageCount + b.copiedMessageCount, 0);
+    assert.strictEqual(a.duplicateMessageCount + b.duplicateMessageCount, 1);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a response streamed over several records counts once', async () => {
+  const root = makeTempDir();
+  try {
+    const records = buildSession({
+      sessionId: 'S1',
+      cwd: CWD,
+      start: '2025-06-02T10:00:00Z',
+      turns: 2
+    });
+    writeLog(path.join(root, WORK, 'S1.jsonl'), [...records, records[1]]);
+
+    const [conv] = await analyze(root, [`${WORK}/S1.jsonl`]);
+    assert.strictEqual(conv.messageCount, 2);
+    assert.strictEqual(conv.duplicateMessageCount, 1);
+    assert.strictEqual(conv.models['claude-sonnet-4-20250514'].messageCount, 2);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
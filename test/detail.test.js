@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseJSONLFile } = require('../lib/parser');
+const { buildConversationDetail, formatConversationDetail } = require('../lib/detail');
+const { buildSession, makeTempDir, writeLog } = require('./helpers');
+
+async function parseSession(turns) {
+  const root = makeTempDir();
+  try {
+    const file = path.join(root, '-app', 'S1.jsonl');
+    writeLog(
+      file,
+      buildSession({ sessionId: 'S1', cwd: '/app', start: '2025-06-02T10:00:00Z', turns })
+    );
+    return await parseJSONLFile(file);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('buildConversationDetail only picks top turns out of more turns than it lists', async () => {
+  assert.deepStrictEqual(buildConversationDetail(await parseSession(3)).topTurns, []);
+  assert.strictEqual(buildConversationDetail(await parseSession(8)).topTurns.length, 5);
+  assert.ok(
+    !formatConversationDetail(buildConversationDetail(await parseSession(3))).includes('top')
+  );
+});
+
+test('formatConversationDetail aligns the top turns under their headers', async () => {
+  const lines = formatConversationDetail(buildConversationDetail(await parseSession(12))).split(
+    '\n'
+  );
+  const start = lines.indexOf('Most expensive turns:') + 1;
+  const [header, ...rows] = lines.slice(start, start + 6);
+  const shareEnd = header.indexOf('Share') + 'Share'.length;
+  assert.strictEqual(rows.length, 5);
+  rows.forEach(row => assert.match(row.slice(0, shareEnd), /\d%$/));
+});
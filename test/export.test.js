@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseJSONLFile } = require('../lib/parser');
+const { EXPORT_SCHEMA_VERSION, formatExport } = require('../lib/export');
+const { buildSession, makeTempDir, writeLog } = require('./helpers');
+
+async function exportData() {
+  const root = makeTempDir();
+  try {
+    const file = path.join(root, '-app', 'S1.jsonl');
+    writeLog(file, [
+      { type: 'summary', summary: 'Fix "login", then deploy' },
+      ...buildSession({ sessionId: 'S1', cwd: '/app', start: '2025-06-02T10:00:00Z', turns: 2 })
+    ]);
+    const conversation = { ...(await parseJSONLFile(file)), projectName: 'app' };
+    return {
+      conversations: [conversation],
+      daily: [
+        {
+          date: '2025-06-02',
+          totalCost: conversation.totalCost,
+          subagentCost: 0,
+          messageCount: 2,
+          conversationCount: 1,
+          conversations: [conversation]
+        }
+      ],
+      projects: [{ projectName: 'app', totalCost: conversation.totalCost }],
+      models: [],
+      branches: [],
+      tools: [],
+      threads: []
+    };
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('formatExport json carries the schema version, totals and tables', async () => {
+  const data = await exportData();
+  const exported = JSON.parse(formatExport(data, 'json'));
+  assert.strictEqual(exported.schemaVersion, EXPORT_SCHEMA_VERSION);
+  assert.strictEqual(exported.totals.conversationCount, 1);
+  assert.strictEqual(exported.totals.messageCount, 2);
+  assert.strictEqual(exported.conversations[0].startTime, '2025-06-02T10:00:00.000Z');
+  assert.strictEqual(exported.conversations[0].outputTokens, 200);
+  assert.deepStrictEqual(exported.daily[0].conversationIds, ['S1']);
+});
+
+test('formatExport ndjson writes one typed record per line', async () => {
+  const lines = formatExport(await exportData(), 'ndjson')
+    .trim()
+    .split('\n')
+    .map(JSON.parse);
+  assert.deepStrictEqual(
+    lines.map(record => record.type),
+    ['meta', 'conversation', 'daily', 'project']
+  );
+  assert.strictEqual(lines[0].schemaVersion, EXPORT_SCHEMA_VERSION);
+});
+
+test('formatExport csv quotes values and writes nested values as keys', async () => {
+  const data = await exportData();
+  const [header, row, end] = formatExport(data, 'csv').split('\n');
+  const columns = header.split(',');
+  assert.strictEqual(columns[0], 'conversationId');
+  assert.ok(row.includes('"Fix ""login"", then deploy"'));
+  assert.ok(row.includes(',claude-sonnet-4-20250514,'));
+  assert.strictEqual(end, '');
+
+  const projects = formatExport(data, 'csv', 'projects').split('\n');
+  assert.strictEqual(projects[0], 'projectName,totalCost');
+  assert.throws(() => formatExport(data, 'xml'), /Unsupported export format/);
+});
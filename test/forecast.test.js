@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setTimeZone } = require('../lib/timezone');
+const { buildModel, getForecast } = require('../lib/forecast');
+
+setTimeZone('UTC');
+
+// Daily aggregation (see aggregateDailyCosts) with one conversation a day
+function buildDaily(costs) {
+  return Object.entries(costs).map(([date, totalCost]) => ({
+    date,
+    totalCost,
+    conversations: [{ conversationId: date, projectName: 'app' }],
+    conversationCosts: { [date]: { totalCost, messageCount: 1, models: {} } }
+  }));
+}
+
+function everyDay(from, to, cost) {
+  const costs = {};
+  for (let day = new Date(`${from}T00:00:00Z`); day <= new Date(`${to}T00:00:00Z`);) {
+    const key = day.toISOString().slice(0, 10);
+    costs[key] = typeof cost === 'function' ? cost(day) : cost;
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+  return costs;
+}
+
+test('getForecast is null without spend before today', () => {
+  const now = Date.parse('2025-06-15T12:00:00Z');
+  assert.strictEqual(getForecast([], now), null);
+  assert.strictEqual(getForecast(buildDaily({ '2025-06-15': 5 }), now), null);
+});
+
+test('getForecast projects a steady spend to the end of the month and quarter', () => {
+  const daily = buildDaily(everyDay('2025-05-01', '2025-06-14', 10));
+  const forecast = getForecast(daily, Date.parse('2025-06-15T12:00:00Z'));
+
+  assert.strictEqual(forecast.model.dayCount, 28);
+  assert.strictEqual(forecast.model.dailyAverage, 10);
+  assert.strictEqual(forecast.model.deviation, 0);
+  // 14 days spent, today and 15 more days expected
+  assert.strictEqual(forecast.month.spent, 140);
+  assert.strictEqual(forecast.month.remainingDays, 16);
+  assert.strictEqual(forecast.month.projected, 300);
+  assert.strictEqual(forecast.month.low, 300);
+  assert.strictEqual(forecast.month.high, 300);
+  assert.strictEqual(forecast.quarter.from, '2025-04-01');
+  assert.strictEqual(forecast.quarter.to, '2025-06-30');
+  assert.strictEqual(forecast.quarter.projected, 610);
+});
+
+test('buildModel scales weekdays by how they compare with the average', () => {
+  // Nothing on weekends, 10 on weekdays
+  const costs = new Map(
+    Object.entries(everyDay('2025-05-18', '2025-06-14', day => (day.getUTCDay() % 6 ? 10 : 0)))
+  );
+  const model = buildModel(costs, '2025-06-15');
+  assert.strictEqual(model.dayCount, 28);
+  assert.strictEqual(model.weekdayFactors[0], 0);
+  assert.strictEqual(model.weekdayFactors[6], 0);
+  assert.ok(Math.abs(model.weekdayFactors[3] - 1.4) < 1e-9);
+  assert.ok(model.deviation < 1e-9);
+});
+
+test('getForecast widens the range with day-to-day variation', () => {
+  const daily = buildDaily(
+    everyDay('2025-05-18', '2025-06-14', day => (day.getUTCDate() % 2 ? 5 : 15))
+  );
+  const { month } = getForecast(daily, Date.parse('2025-06-15T12:00:00Z'));
+  assert.ok(month.low < month.projected && month.projected < month.high);
+  assert.ok(month.low >= month.spent);
+});
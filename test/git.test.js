@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseJSONLFile } = require('../lib/parser');
+const { findRepository, isMainlineBranch, attachCommits } = require('../lib/git');
+const { buildSession, makeTempDir, writeLog } = require('./helpers');
+
+function git(cwd, args, date) {
+  const env = date
+    ? { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+    : process.env;
+  return execFileSync(
+    'git',
+    ['-C', cwd, '-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args],
+    { env, stdio: 'pipe' }
+  ).toString();
+}
+
+function commit(cwd, subject, date) {
+  git(cwd, ['commit', '--allow-empty', '-q', '-m', subject], date);
+}
+
+test('the parser splits the cost of a session by git branch', async () => {
+  const root = makeTempDir();
+  try {
+    const records = buildSession({
+      sessionId: 'S1',
+      cwd: '/home/alice/api',
+      start: '2025-06-02T10:00:00Z',
+      turns: 3
+    });
+    // The branch is switched before the last turn
+    records.forEach((record, i) => (record.gitBranch = i < 4 ? 'main' : 'feature/login'));
+    writeLog(path.join(root, 'S1.jsonl'), records);
+
+    const conv = await parseJSONLFile(path.join(root, 'S1.jsonl'));
+    assert.deepStrictEqual(Object.keys(conv.gitBranches).sort(), ['feature/login', 'main']);
+    assert.strictEqual(conv.gitBranches.main.messageCount, 2);
+    assert.strictEqual(conv.gitBranches['feature/login'].messageCount, 1);
+    assert.ok(Math.abs(conv.gitBranches.main.totalCost - 2 * 0.00183) < 1e-9);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('isMainlineBranch recognises the usual integration branches', () => {
+  assert.ok(isMainlineBranch('main'));
+  assert.ok(isMainlineBranch('develop'));
+  assert.ok(!isMainlineBranch('feature/main'));
+});
+
+test('findRepository counts worktrees and subdirectories towards the main working tree', () => {
+  const root = makeTempDir();
+  try {
+    const repo = path.join(root, 'api');
+    const worktree = path.join(root, 'api-login');
+    fs.mkdirSync(path.join(repo, 'src'), { recursive: true });
+    git(repo, ['init', '-q']);
+    commit(repo, 'Initial commit');
+    git(repo, ['worktree', 'add', '-q', '-b', 'login', worktree]);
+
+    const expected = { name: repo, path: repo };
+    assert.deepStrictEqual(findRepository(path.join(repo, 'src')), expected);
+    assert.deepStrictEqual(findRepository(worktree), expected);
+    assert.strictEqual(findRepository(path.join(root, 'elsewhere')), null);
+    assert.strictEqual(findRepository(null), null);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('attachCommits gives a session the commits made while it ran and shortly after', async () => {
+  const root = makeTempDir();
+  try {
+    const repo = path.join(root, 'web');
+    fs.mkdirSync(repo);
+    git(repo, ['init', '-q']);
+    commit(repo, 'Before', '2025-06-02T09:00:00Z');
+    commit(repo, 'During', '2025-06-02T10:30:00Z');
+    commit(repo, 'Just after', '2025-06-02T11:20:00Z');
+    commit(repo, 'Much later', '2025-06-02T13:00:00Z');
+    // Commits on other branches count too
+    git(repo, ['checkout', '-q', '-b', 'feature']);
+    commit(repo, 'On a branch', '2025-06-02T10:45:00Z');
+
+    const conv = {
+      repository: findRepository(repo),
+      startTime: new Date('2025-06-02T10:00:00Z'),
+      endTime: new Date('2025-06-02T11:00:00Z')
+    };
+    const outside = { repository: null, startTime: conv.startTime, endTime: conv.endTime };
+    await attachCommits([conv, outside]);
+
+    assert.deepStrictEqual(conv.commits.map(c => c.subject).sort(), [
+      'During',
+      'Just after',
+      'On a branch'
+    ]);
+    assert.ok(conv.commits.every(c => /^[0-9a-f]{40}$/.test(c.hash)));
+    assert.ok(conv.commits.some(c => c.time === '2025-06-02T10:30:00.000Z'));
+    assert.strictEqual(outside.commits, undefined);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Log records as Claude Code writes them, for building test fixtures
+
+let counter = 0;
+
+function userRecord({ sessionId, cwd, parentUuid = null, timestamp, text = 'Hello' }) {
+  return {
+    type: 'user',
+    sessionId,
+    cwd,
+    parentUuid,
+    isSidechain: false,
+    uuid: `user-${++counter}`,
+    timestamp,
+    message: { role: 'user', content: text }
+  };
+}
+
+function assistantRecord({
+  sessionId,
+  cwd,
+  parentUuid = null,
+  timestamp,
+  id = `msg_${++counter}`,
+  model = 'claude-sonnet-4-20250514',
+  usage = { input_tokens: 10, output_tokens: 100, cache_read_input_tokens: 1000 },
+  sidechain = false,
+  agentId
+}) {
+  return {
+    type: 'assistant',
+    sessionId,
+    cwd,
+    parentUuid,
+    isSidechain: sidechain,
+    ...(agentId ? { agentId } : {}),
+    uuid: `assistant-${++counter}`,
+    timestamp,
+    requestId: `req_${id}`,
+    message: { id, role: 'assistant', model, usage, content: [{ type: 'text', text: 'ok' }] }
+  };
+}
+
+// A user message and its response every minute from `start`, linked by
+// parentUuid
+function buildSession({ sessionId, cwd, start, turns }) {
+  const records = [];
+  let parentUuid = null;
+  for (let i = 0; i < turns; i++) {
+    const timestamp = new Date(Date.parse(start) + i * 60000).toISOString();
+    const user = userRecord({ sessionId, cwd, parentUuid, timestamp });
+    const assistant = assistantRecord({ sessionId, cwd, parentUuid: user.uuid, timestamp });
+    records.push(user, assistant);
+    parentUuid = assistant.uuid;
+  }
+  return records;
+}
+
+function makeTempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'claude-code-costs-test-'));
+}
+
+function writeLog(filePath, records) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+}
+
+module.exports = {
+  userRecord,
+  assistantRecord,
+  buildSession,
+  makeTempDir,
+  writeLog
+};
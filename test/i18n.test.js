@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const {
+  DEFAULT_LOCALE,
+  getAvailableLocales,
+  resolveLocale,
+  detectLocale,
+  setLocale,
+  t,
+  formatCurrency,
+  textWidth,
+  padEnd,
+  formatTable
+} = require('../lib/i18n');
+
+test.after(() => setLocale(DEFAULT_LOCALE));
+
+const placeholders = message => (message.match(/\{\w+\}/g) || []).sort();
+
+test('every catalog translates every message with the same placeholders', () => {
+  const english = require(path.join(__dirname, '..', 'lib', 'locales', 'en.json'));
+  getAvailableLocales().forEach(name => {
+    const catalog = require(path.join(__dirname, '..', 'lib', 'locales', `${name}.json`));
+    assert.deepStrictEqual(Object.keys(catalog).sort(), Object.keys(english).sort(), name);
+    Object.entries(catalog).forEach(([key, message]) =>
+      assert.deepStrictEqual(placeholders(message), placeholders(english[key]), `${name}: ${key}`)
+    );
+  });
+});
+
+test('detectLocale reads the environment like other command-line tools', () => {
+  assert.strictEqual(detectLocale({ LANG: 'zh_CN.UTF-8' }), 'zh-CN');
+  assert.strictEqual(detectLocale({ LC_ALL: 'C.UTF-8', LANG: 'zh_TW' }), 'zh-TW');
+  assert.strictEqual(detectLocale({ LANG: 'fr_FR.UTF-8' }), DEFAULT_LOCALE);
+  assert.strictEqual(detectLocale({}), DEFAULT_LOCALE);
+  assert.strictEqual(resolveLocale('xx'), null);
+});
+
+test('setLocale switches messages and number formats', () => {
+  setLocale('en');
+  assert.strictEqual(t('column.cost'), 'Cost');
+  assert.strictEqual(t('no.such.key'), 'no.such.key');
+  assert.strictEqual(t('show.stretchWritten', { tokens: '5K' }), '5K tokens written');
+
+  setLocale('zh-CN');
+  assert.strictEqual(t('column.cost'), '花费');
+  assert.strictEqual(formatCurrency(1234.5), 'US$1,234.50');
+});
+
+test('tables line up by terminal columns, wide characters taking two', () => {
+  assert.strictEqual(textWidth('费用'), 4);
+  assert.strictEqual(padEnd('费用', 6), '费用  ');
+  assert.deepStrictEqual(
+    formatTable([
+      ['项目', 'Cost'],
+      ['app', '$1']
+    ]),
+    ['项目  Cost', 'app     $1']
+  );
+});
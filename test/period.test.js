@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseJSONLFile, limitToPeriod } = require('../lib/parser');
+const { buildSession, makeTempDir, writeLog } = require('./helpers');
+
+const CWD = '/home/alice/work/api';
+
+async function parseSession(turns) {
+  const root = makeTempDir();
+  try {
+    const file = path.join(root, '-home-alice-work-api', 'S1.jsonl');
+    writeLog(
+      file,
+      buildSession({ sessionId: 'S1', cwd: CWD, start: '2025-06-01T23:58:00Z', turns })
+    );
+    return await parseJSONLFile(file);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test('--since and --until keep the messages sent in the period', async () => {
+  // Responses at 23:58, 23:59, 00:00, 00:01 and 00:02
+  const conversation = await parseSession(5);
+  const perTurn = conversation.totalCost / 5;
+
+  const since = limitToPeriod(conversation, new Date('2025-06-02T00:00:00Z'), null);
+  assert.strictEqual(since.messageCount, 3);
+  assert.ok(Math.abs(since.totalCost - perTurn * 3) < 1e-9);
+  assert.strictEqual(since.startTime.toISOString(), '2025-06-02T00:00:00.000Z');
+  assert.strictEqual(since.endTime.getTime(), conversation.endTime.getTime());
+
+  const until = limitToPeriod(conversation, null, new Date('2025-06-01T23:59:59Z'));
+  assert.strictEqual(until.messageCount, 2);
+  assert.ok(Math.abs(until.totalCost - perTurn * 2) < 1e-9);
+  assert.strictEqual(until.startTime.getTime(), conversation.startTime.getTime());
+  assert.strictEqual(until.endTime.toISOString(), '2025-06-01T23:59:00.000Z');
+
+  assert.strictEqual(limitToPeriod(conversation, null, null), conversation);
+  assert.strictEqual(limitToPeriod(conversation, new Date('2025-06-03T00:00:00Z'), null), null);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { runPool, createWorkerPool } = require('../lib/pool');
+const { makeTempDir } = require('./helpers');
+
+const root = makeTempDir();
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// A worker script with `body` run before it starts answering messages
+function writeWorker(name, body = '') {
+  const filePath = path.join(root, `${name}.js`);
+  fs.writeFileSync(
+    filePath,
+    `const { parentPort } = require('worker_threads');
+${body}
+parentPort.on('message', value => {
+  if (value === 'exit') process.exit(3);
+  parentPort.postMessage(value === 'fail' ? { error: 'failed' } : { result: value * 2 });
+});
+`
+  );
+  return filePath;
+}
+
+test('runPool keeps the order of the items with a limit on calls in flight', async () => {
+  let inFlight = 0;
+  let most = 0;
+  const results = await runPool([30, 10, 20, 0], 2, async (delay, index) => {
+    most = Math.max(most, ++inFlight);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    inFlight--;
+    return index;
+  });
+  assert.deepStrictEqual(results, [0, 1, 2, 3]);
+  assert.strictEqual(most, 2);
+});
+
+test('createWorkerPool answers with results and errors', async () => {
+  const pool = createWorkerPool(writeWorker('echo'), 2);
+  try {
+    assert.deepStrictEqual(await Promise.all([1, 2, 3].map(pool.run)), [2, 4, 6]);
+    await assert.rejects(pool.run('fail'), /failed/);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('createWorkerPool replaces a worker that stops during a task', async () => {
+  const pool = createWorkerPool(writeWorker('exits'), 1);
+  try {
+    assert.strictEqual(await pool.run(1), 2);
+    await assert.rejects(pool.run('exit'), /exit code 3/);
+    assert.strictEqual(await pool.run(2), 4);
+    assert.strictEqual(pool.failed, null);
+  } finally {
+    await pool.close();
+  }
+});
+
+test('createWorkerPool fails every task when its workers cannot start', async () => {
+  const pool = createWorkerPool(writeWorker('broken', "throw new Error('no pricing');"), 2);
+  try {
+    const results = await Promise.allSettled([1, 2, 3].map(pool.run));
+    assert.ok(results.every(result => result.status === 'rejected'));
+    assert.match(pool.failed.message, /no pricing/);
+    await assert.rejects(pool.run(4), /no pricing/);
+  } finally {
+    await pool.close();
+  }
+});
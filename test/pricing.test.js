@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('../lib/config');
+const { loadPricing, resolvePricing, calculateCost } = require('../lib/pricing');
+const { makeTempDir } = require('./helpers');
+
+const root = makeTempDir();
+
+// Load a pricing file with `config`; without one only the built-in table
+function usePricing(config = {}) {
+  const filePath = path.join(root, 'pricing.json');
+  fs.writeFileSync(filePath, JSON.stringify(config));
+  return loadPricing(filePath);
+}
+
+test.after(() => {
+  usePricing();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('resolvePricing prefers an exact ID, then an alias, then the longest prefix', () => {
+  usePricing({ aliases: { 'my-proxy-model': 'claude-opus-4-1-20250805' } });
+  assert.strictEqual(resolvePricing('claude-sonnet-4-20250514').key, 'claude-sonnet-4-20250514');
+  assert.strictEqual(resolvePricing('my-proxy-model').key, 'claude-opus-4-1-20250805');
+  assert.strictEqual(resolvePricing('claude-opus-4-5-20251101').key, 'claude-opus-4-5*');
+  assert.strictEqual(resolvePricing('claude-sonnet-4-5-20250929').key, 'claude-sonnet-4*');
+  assert.deepStrictEqual(
+    { ...resolvePricing('gpt-4o'), rates: undefined },
+    { key: 'default', fallback: true, rates: undefined }
+  );
+});
+
+test('Opus 4 and 4.1 rates do not reach later Opus 4 versions', () => {
+  usePricing();
+  assert.strictEqual(resolvePricing('claude-opus-4-1').rates.input, 15);
+  assert.strictEqual(resolvePricing('claude-opus-4-0').rates.input, 15);
+  assert.strictEqual(resolvePricing('claude-opus-4-6').fallback, true);
+});
+
+test('a user price history is merged with the built-in rates by date', () => {
+  usePricing({
+    models: { 'claude-sonnet-4*': [{ from: '2026-01-01', input: 2.5, output: 12.5 }] }
+  });
+  const usage = { input_tokens: 1000000 };
+  const model = 'claude-sonnet-4-5-20250929';
+  assert.strictEqual(calculateCost(usage, model, '2025-10-01T00:00:00Z'), 3);
+  assert.strictEqual(calculateCost(usage, model, '2026-02-01T00:00:00Z'), 2.5);
+  assert.strictEqual(calculateCost(usage, model), 2.5);
+  assert.strictEqual(resolvePricing(model, '2026-02-01T00:00:00Z').rates.cache_read, 0.25);
+});
+
+test('an entry without a date replaces the built-in rates', () => {
+  usePricing({ models: { 'claude-sonnet-4-20250514': { input: 1, output: 2 } } });
+  assert.strictEqual(
+    calculateCost({ input_tokens: 1000000 }, 'claude-sonnet-4-20250514', '2025-06-01T00:00:00Z'),
+    1
+  );
+});
+
+test('no rates apply before the first date of a model', () => {
+  usePricing({ models: { 'claude-next*': [{ from: '2026-06-01', input: 10, output: 50 }] } });
+  const before = resolvePricing('claude-next-1', '2026-05-01T00:00:00Z');
+  assert.strictEqual(before.key, 'default');
+  assert.strictEqual(before.fallback, true);
+  assert.strictEqual(before.rates.input, 3);
+  assert.strictEqual(resolvePricing('claude-next-1', '2026-06-02T00:00:00Z').rates.input, 10);
+});
+
+test('loadPricing rejects malformed files', () => {
+  assert.throws(() => usePricing({ prices: {} }), ConfigError);
+  assert.throws(() => usePricing({ models: { x: { input: -1, output: 1 } } }), ConfigError);
+  assert.throws(
+    () => usePricing({ models: { x: { from: 'soon', input: 1, output: 1 } } }),
+    ConfigError
+  );
+});
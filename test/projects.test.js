@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('../lib/config');
+const {
+  encodeProjectPath,
+  decodeProjectDir,
+  stripHome,
+  loadProjectAliases,
+  resolveProject
+} = require('../lib/projects');
+const { buildSession, makeTempDir, writeLog } = require('./helpers');
+
+test.after(() => loadProjectAliases({}));
+
+test('encodeProjectPath replaces everything but letters and digits with dashes', () => {
+  assert.strictEqual(encodeProjectPath('/home/alice/my.app'), '-home-alice-my-app');
+  assert.strictEqual(encodeProjectPath('C:\\Users\\bob\\app'), 'C--Users-bob-app');
+});
+
+test('decodeProjectDir prefers the cwd recorded in the logs', () => {
+  const root = makeTempDir();
+  try {
+    const cwd = '/home/alice/my.app';
+    const dirName = encodeProjectPath(cwd);
+    const projectDir = path.join(root, dirName);
+    writeLog(
+      path.join(projectDir, 'session.jsonl'),
+      buildSession({ sessionId: 's1', cwd, start: '2025-06-01T10:00:00Z', turns: 1 })
+    );
+    assert.strictEqual(decodeProjectDir(dirName, projectDir), cwd);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('decodeProjectDir ignores a recorded cwd of another project', () => {
+  const root = makeTempDir();
+  try {
+    const dirName = '-nonexistent-alice-app';
+    const projectDir = path.join(root, dirName);
+    writeLog(
+      path.join(projectDir, 'session.jsonl'),
+      buildSession({ sessionId: 's1', cwd: '/elsewhere', start: '2025-06-01T10:00:00Z', turns: 1 })
+    );
+    assert.strictEqual(decodeProjectDir(dirName, projectDir), '/nonexistent/alice/app');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test(
+  'decodeProjectDir matches directories on disk, longest name first',
+  { skip: process.platform === 'win32' },
+  () => {
+    const root = makeTempDir();
+    try {
+      const dotted = path.join(root, 'my.app');
+      const worktree = path.join(root, 'webapp-worktrees', 'feature');
+      fs.mkdirSync(dotted);
+      fs.mkdirSync(path.join(root, 'webapp', 'worktrees', 'other'), { recursive: true });
+      fs.mkdirSync(worktree, { recursive: true });
+
+      assert.strictEqual(decodeProjectDir(encodeProjectPath(dotted)), dotted);
+      assert.strictEqual(decodeProjectDir(encodeProjectPath(worktree)), worktree);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  }
+);
+
+test('decodeProjectDir falls back to reading every dash as a separator', () => {
+  assert.strictEqual(
+    decodeProjectDir('-nonexistent-alice--config-app'),
+    '/nonexistent/alice/.config/app'
+  );
+  assert.strictEqual(decodeProjectDir('C--Users-bob-app'), 'C:\\Users\\bob\\app');
+});
+
+test('stripHome shortens paths under any home directory', () => {
+  assert.strictEqual(stripHome('/home/alice/code/app', '/home/alice'), 'code/app');
+  assert.strictEqual(stripHome('/home/alice', '/home/alice'), '~');
+  assert.strictEqual(stripHome('/Users/bob/app', '/home/alice'), 'app');
+  assert.strictEqual(stripHome('C:\\Users\\bob\\app', '/home/alice'), 'app');
+  assert.strictEqual(stripHome('/srv/app', '/home/alice'), '/srv/app');
+  assert.strictEqual(stripHome('/home/alicea/app', null), 'app');
+});
+
+test('resolveProject names a project after the first matching alias', () => {
+  const root = makeTempDir();
+  try {
+    loadProjectAliases({
+      projectAliases: {
+        webapp: ['/srv/webapp', '/srv/webapp-worktrees/*'],
+        tools: '/srv/tools'
+      }
+    });
+    const name = dirName => resolveProject(root, dirName).name;
+    assert.strictEqual(name('-srv-webapp'), 'webapp');
+    assert.strictEqual(name('-srv-webapp-worktrees-feature'), 'webapp');
+    assert.strictEqual(name('-srv-tools-cli'), 'tools');
+    assert.strictEqual(name('-srv-other'), '/srv/other');
+
+    const project = resolveProject(root, '-srv-webapp');
+    assert.deepStrictEqual(project, {
+      dirName: '-srv-webapp',
+      path: '/srv/webapp',
+      name: 'webapp'
+    });
+  } finally {
+    loadProjectAliases({});
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('loadProjectAliases rejects malformed sections', () => {
+  assert.throws(() => loadProjectAliases({ projectAliases: ['webapp'] }), ConfigError);
+  assert.throws(() => loadProjectAliases({ projectAliases: { webapp: [] } }), ConfigError);
+  assert.throws(() => loadProjectAliases({ projectAliases: { webapp: [1] } }), ConfigError);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('assert');
+const { createParseState, parseRecord, finishParse } = require('../lib/parser');
+const { analyzeCacheTurns } = require('../lib/prompt-cache');
+const { assistantRecord } = require('./helpers');
+
+const MODEL = 'claude-sonnet-4-20250514';
+
+// A request that reads `read` tokens from the cache and writes `write` more
+function turn(read, write, extra = {}) {
+  return {
+    model: MODEL,
+    timestamp: Date.parse('2025-06-02T10:00:00Z'),
+    inputTokens: 10,
+    cacheReadTokens: read,
+    cacheWriteTokens: write,
+    cacheReadCost: (read * 0.3) / 1000000,
+    cacheWriteCost: (write * 3.75) / 1000000,
+    sidechain: false,
+    agentId: null,
+    ...extra
+  };
+}
+
+test('the parser records the subagent of every sidechain turn', () => {
+  const state = createParseState();
+  const base = { sessionId: 'S1', cwd: '/app', timestamp: '2025-06-02T10:00:00Z' };
+  parseRecord(state, assistantRecord(base));
+  parseRecord(state, assistantRecord({ ...base, sidechain: true, agentId: 'a1' }));
+  parseRecord(state, assistantRecord({ ...base, sidechain: true, agentId: 'a2' }));
+  const { turns, subagentCount } = finishParse(state, '/logs/S1.jsonl');
+  assert.deepStrictEqual(
+    turns.map(t => t.agentId),
+    [null, 'a1', 'a2']
+  );
+  assert.strictEqual(subagentCount, 2);
+});
+
+test('parallel subagents each read their own cache', () => {
+  const a1 = { sidechain: true, agentId: 'a1' };
+  const a2 = { sidechain: true, agentId: 'a2' };
+  const results = analyzeCacheTurns([
+    turn(0, 5000, a1),
+    turn(0, 20000, a2),
+    turn(5000, 1000, a1),
+    turn(20000, 1000, a2),
+    turn(6000, 0, a1),
+    turn(21000, 0, a2)
+  ]);
+  assert.deepStrictEqual(
+    results.map(r => r.miss),
+    [false, false, false, false, false, false]
+  );
+  // Every write was read back by the next request of the same subagent
+  assert.deepStrictEqual(
+    results.slice(0, 4).map(r => r.unreadWriteTokens),
+    [0, 0, 0, 0]
+  );
+});
+
+test('a request that reads little of the cached prefix misses it', () => {
+  const results = analyzeCacheTurns([turn(0, 10000), turn(10000, 2000), turn(1000, 11000)]);
+  assert.deepStrictEqual(
+    results.map(r => r.miss),
+    [false, false, true]
+  );
+  assert.strictEqual(results[1].unreadWriteTokens, 2000);
+  assert.strictEqual(results[2].unreadWriteTokens, 11000);
+});
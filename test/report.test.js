@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { analyzeAllConversations, renderReportHTML } = require('../analyze-claude-costs-enhanced');
+const { userRecord, assistantRecord, makeTempDir, writeLog } = require('./helpers');
+
+const CWD = '/home/alice/work/api';
+
+test('titles from the logs cannot end the report scripts early', async () => {
+  const root = makeTempDir();
+  try {
+    const timestamp = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const title = 'Why does </script><script>alert(1)</script> break?';
+    const user = userRecord({ sessionId: 'S1', cwd: CWD, timestamp });
+    writeLog(path.join(root, '-home-alice-work-api', 'S1.jsonl'), [
+      { type: 'summary', summary: title },
+      user,
+      assistantRecord({ sessionId: 'S1', cwd: CWD, parentUuid: user.uuid, timestamp })
+    ]);
+    const conversations = await analyzeAllConversations({ dir: root, cache: false, quiet: true });
+    const html = renderReportHTML(conversations);
+
+    const scripts = [...html.matchAll(/<script>([\s\S]*?)<\/script>/g)].map(match => match[1]);
+    assert.ok(scripts.length > 0);
+    scripts.forEach(script => assert.doesNotThrow(() => new vm.Script(script)));
+    assert.ok(!html.includes('<script>alert(1)'));
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const { startServer } = require('../lib/server');
+const { makeTempDir } = require('./helpers');
+
+// GET `path` from the server with the given Host header; resolves to the
+// status and the parsed JSON body
+function get(port, path, host) {
+  return new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path, headers: { host } }, res => {
+        let body = '';
+        res.on('data', chunk => (body += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      })
+      .on('error', reject);
+  });
+}
+
+test('the server answers its own host only and names query parameters in errors', async () => {
+  const root = makeTempDir();
+  const serve = startServer(
+    { port: 0, host: '127.0.0.1', dir: root, log: () => {} },
+    { loadConversations: async () => [] }
+  );
+  try {
+    await new Promise(resolve => serve.server.once('listening', resolve));
+    const { port } = serve.server.address();
+
+    const summary = await get(port, '/api/summary', `127.0.0.1:${port}`);
+    assert.strictEqual(summary.status, 200);
+    assert.strictEqual(summary.body.conversationCount, 0);
+    assert.strictEqual((await get(port, '/api/summary', `localhost:${port}`)).status, 200);
+
+    const rebound = await get(port, '/api/summary', `attacker.example:${port}`);
+    assert.strictEqual(rebound.status, 403);
+
+    const invalid = await get(port, '/api/summary?since=soon', `localhost:${port}`);
+    assert.strictEqual(invalid.status, 400);
+    assert.match(invalid.body.error, /^Invalid since: soon/);
+    assert.ok(!invalid.body.error.includes('--'));
+  } finally {
+    serve.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
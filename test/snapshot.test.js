@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('assert');
+const { buildSnapshot, aggregateSnapshots } = require('../lib/snapshot');
+
+function conversation(id, extra = {}) {
+  return {
+    conversationId: id,
+    projectName: 'work/api',
+    conversationTitle: `Conversation ${id}`,
+    startTime: new Date('2025-06-02T10:00:00Z'),
+    endTime: new Date('2025-06-02T10:30:00Z'),
+    duration: 30,
+    messageCount: 10,
+    totalCost: 1,
+    subagentCost: 0,
+    models: { 'claude-sonnet-4-20250514': { messageCount: 10, totalCost: 1, inputTokens: 5 } },
+    ...extra
+  };
+}
+
+test('buildSnapshot leaves out files without messages of their own', () => {
+  const snapshot = buildSnapshot(
+    [
+      conversation('a'),
+      conversation('a', { projectName: 'backup/api', messageCount: 0, totalCost: 1e-17 }),
+      conversation('b', { totalCost: 0 })
+    ],
+    { machine: 'laptop', user: 'alice' }
+  );
+  assert.strictEqual(snapshot.machine, 'laptop');
+  assert.strictEqual(snapshot.user, 'alice');
+  assert.deepStrictEqual(
+    snapshot.conversations.map(conv => [conv.conversationId, conv.projectName]),
+    [['a', 'work/api']]
+  );
+  assert.deepStrictEqual(snapshot.conversations[0].models, {
+    'claude-sonnet-4-20250514': { messageCount: 10, totalCost: 1 }
+  });
+});
+
+test('buildSnapshot with anonymize hashes project names the same way everywhere', () => {
+  const first = buildSnapshot([conversation('a')], { anonymize: true });
+  const second = buildSnapshot([conversation('b')], { anonymize: true });
+  assert.match(first.conversations[0].projectName, /^project-[0-9a-f]{10}$/);
+  assert.strictEqual(first.conversations[0].projectName, second.conversations[0].projectName);
+  assert.strictEqual(first.conversations[0].conversationTitle, null);
+});
+
+test('aggregateSnapshots counts a conversation once and tells duplicates apart', () => {
+  const laptop = buildSnapshot([conversation('a'), conversation('b')], {
+    machine: 'laptop',
+    user: 'alice'
+  });
+  const desk = buildSnapshot([conversation('c', { totalCost: 2 })], {
+    machine: 'desk',
+    user: 'bob'
+  });
+  // The laptop's snapshot sent again after one more message, and a file that repeats a record
+  const later = {
+    ...laptop,
+    generatedAt: '2099-01-01T00:00:00.000Z',
+    conversations: [
+      { ...laptop.conversations[0], messageCount: 11, totalCost: 1.5 },
+      laptop.conversations[1],
+      laptop.conversations[1]
+    ]
+  };
+
+  const result = aggregateSnapshots([laptop, desk, later]);
+  assert.strictEqual(result.conversationCount, 3);
+  assert.strictEqual(result.totalCost, 4.5);
+  assert.strictEqual(result.duplicateCount, 2);
+  assert.strictEqual(result.repeatedCount, 1);
+  assert.deepStrictEqual(
+    result.people.map(person => [person.user, person.totalCost]),
+    [
+      ['alice', 2.5],
+      ['bob', 2]
+    ]
+  );
+  assert.strictEqual(
+    result.machines.find(m => m.machine === 'laptop').lastSnapshot,
+    later.generatedAt
+  );
+  assert.deepStrictEqual(result.projects[0].people, ['alice', 'bob']);
+});
+
+test('aggregateSnapshots keeps the messages sent between since and until', () => {
+  const turn = (timestamp, cost, sidechain = false) => ({
+    timestamp: Date.parse(timestamp),
+    model: 'claude-sonnet-4-20250514',
+    cost,
+    sidechain
+  });
+  const snapshot = buildSnapshot(
+    [
+      conversation('a', {
+        startTime: new Date('2025-06-01T23:00:00Z'),
+        messageCount: 3,
+        totalCost: 6,
+        subagentCost: 3,
+        turns: [
+          turn('2025-06-01T23:00:00Z', 1),
+          turn('2025-06-02T00:30:00Z', 2),
+          turn('2025-06-02T01:00:00Z', 3, true)
+        ]
+      }),
+      conversation('b', { startTime: new Date('2025-06-01T10:00:00Z') })
+    ],
+    { machine: 'laptop', user: 'alice' }
+  );
+  assert.deepStrictEqual(Object.keys(snapshot.conversations[0].days), ['2025-06-01', '2025-06-02']);
+
+  const result = aggregateSnapshots([snapshot], { since: new Date('2025-06-02T00:00:00Z') });
+  assert.deepStrictEqual(
+    result.conversations.map(conv => [conv.conversationId, conv.messageCount, conv.totalCost]),
+    [['a', 2, 5]]
+  );
+  assert.strictEqual(result.conversations[0].subagentCost, 3);
+  assert.deepStrictEqual(result.models, [
+    { model: 'claude-sonnet-4-20250514', messageCount: 2, totalCost: 5 }
+  ]);
+
+  // Snapshots of earlier versions have no days: by start time
+  const older = {
+    ...snapshot,
+    conversations: snapshot.conversations.map(({ days, ...conv }) => conv)
+  };
+  assert.deepStrictEqual(
+    aggregateSnapshots([older], { since: new Date('2025-06-01T12:00:00Z') }).conversations.map(
+      conv => [conv.conversationId, conv.totalCost]
+    ),
+    [['a', 6]]
+  );
+});
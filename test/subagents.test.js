@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { setTimeZone } = require('../lib/timezone');
+const { parseJSONLFile, removeTurns } = require('../lib/parser');
+const { aggregateDailyCosts } = require('../analyze-claude-costs-enhanced');
+const { assistantRecord, buildSession, makeTempDir, writeLog } = require('./helpers');
+
+setTimeZone('UTC');
+
+const SESSION = { sessionId: 'S1', cwd: '/home/alice/api' };
+// The cost of one turn from the helpers
+const TURN = 0.00183;
+
+const near = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// Two main turns on June 2nd, two Task subagents with agent IDs and, after
+// midnight, a sidechain from before agent IDs were logged
+function subagentSession() {
+  const sidechain = (timestamp, agentId, parentUuid = 'assistant-main') =>
+    assistantRecord({ ...SESSION, timestamp, sidechain: true, agentId, parentUuid });
+  return [
+    ...buildSession({ ...SESSION, start: '2025-06-02T23:50:00Z', turns: 2 }),
+    sidechain('2025-06-02T23:52:00Z', 'agent-1', null),
+    sidechain('2025-06-02T23:53:00Z', 'agent-1'),
+    sidechain('2025-06-02T23:54:00Z', 'agent-2', null),
+    sidechain('2025-06-03T00:05:00Z', undefined, null)
+  ];
+}
+
+test('the parser counts subagents and the part of the cost they spent', async () => {
+  const root = makeTempDir();
+  try {
+    writeLog(path.join(root, 'S1.jsonl'), subagentSession());
+    const conv = await parseJSONLFile(path.join(root, 'S1.jsonl'));
+
+    assert.strictEqual(conv.messageCount, 6);
+    assert.strictEqual(conv.subagentCount, 3);
+    assert.strictEqual(conv.subagentMessageCount, 4);
+    near(conv.subagentCost, 4 * TURN);
+    near(conv.totalCost, 6 * TURN);
+    assert.deepStrictEqual(
+      conv.turns.map(turn => turn.agentId),
+      [null, null, 'agent-1', 'agent-1', 'agent-2', 'thread-1']
+    );
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('aggregateDailyCosts counts subagent spend on the day it was sent', async () => {
+  const root = makeTempDir();
+  try {
+    writeLog(path.join(root, 'S1.jsonl'), subagentSession());
+    const conv = await parseJSONLFile(path.join(root, 'S1.jsonl'));
+    const [june2, june3] = aggregateDailyCosts([conv]);
+
+    assert.strictEqual(june2.date, '2025-06-02');
+    near(june2.totalCost, 5 * TURN);
+    near(june2.subagentCost, 3 * TURN);
+    near(june2.conversationCosts.S1.subagentCost, 3 * TURN);
+    assert.strictEqual(june3.date, '2025-06-03');
+    near(june3.subagentCost, TURN);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('removeTurns leaves no subagents when all their turns are removed', async () => {
+  const root = makeTempDir();
+  try {
+    writeLog(path.join(root, 'S1.jsonl'), subagentSession());
+    const conv = await parseJSONLFile(path.join(root, 'S1.jsonl'));
+
+    const mainOnly = removeTurns(conv, turn => turn.sidechain);
+    assert.strictEqual(mainOnly.subagentCount, 0);
+    assert.strictEqual(mainOnly.subagentMessageCount, 0);
+    assert.strictEqual(mainOnly.subagentCost, 0);
+
+    const withoutThread = removeTurns(conv, turn => turn.agentId === 'thread-1');
+    assert.strictEqual(withoutThread.subagentMessageCount, 3);
+    near(withoutThread.subagentCost, 3 * TURN);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
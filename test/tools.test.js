@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { parseJSONLFile, removeTurns } = require('../lib/parser');
+const { aggregateToolCosts } = require('../analyze-claude-costs-enhanced');
+const { userRecord, assistantRecord, makeTempDir, writeLog } = require('./helpers');
+
+const SESSION = { sessionId: 'S1', cwd: '/home/alice/api' };
+
+const near = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+// A response calling Read and Bash ($0.0045), then the results of both and a
+// response reading them ($0.0066, 1100 of its 2200 input tokens are results)
+function toolSession() {
+  const call = assistantRecord({
+    ...SESSION,
+    timestamp: '2025-06-02T10:00:00Z',
+    usage: { input_tokens: 1000, output_tokens: 100 }
+  });
+  call.message.content = [
+    { type: 'tool_use', id: 'toolu_1', name: 'Read', input: {} },
+    { type: 'tool_use', id: 'toolu_2', name: 'Bash', input: {} }
+  ];
+  const results = userRecord({ ...SESSION, timestamp: '2025-06-02T10:00:05Z' });
+  results.message.content = [
+    { type: 'tool_result', tool_use_id: 'toolu_1', content: 'x'.repeat(4000) },
+    {
+      type: 'tool_result',
+      tool_use_id: 'toolu_2',
+      is_error: true,
+      content: [{ type: 'text', text: 'y'.repeat(400) }]
+    }
+  ];
+  const reply = assistantRecord({
+    ...SESSION,
+    timestamp: '2025-06-02T10:00:10Z',
+    usage: { input_tokens: 2200, output_tokens: 0 }
+  });
+  return [userRecord({ ...SESSION, timestamp: '2025-06-02T09:59:55Z' }), call, results, reply];
+}
+
+async function parse(root, records) {
+  const file = path.join(root, `${records[0].sessionId}.jsonl`);
+  writeLog(file, records);
+  return parseJSONLFile(file);
+}
+
+test('a response is split between the tools it calls and the results it reads', async () => {
+  const root = makeTempDir();
+  try {
+    const conv = await parse(root, toolSession());
+    const { Read, Bash } = conv.tools;
+
+    assert.strictEqual(Read.callCount, 1);
+    assert.strictEqual(Read.resultTokens, 1000);
+    assert.strictEqual(Read.errorCount, 0);
+    near(Read.turnCost, 0.00225);
+    near(Read.resultCost, 0.003);
+
+    assert.strictEqual(Bash.callCount, 1);
+    assert.strictEqual(Bash.resultTokens, 100);
+    assert.strictEqual(Bash.errorCount, 1);
+    near(Bash.turnCost, 0.00225);
+    near(Bash.resultCost, 0.0003);
+    near(Bash.totalCost, 0.00255);
+
+    const toolCost = Object.values(conv.tools).reduce((sum, tool) => sum + tool.totalCost, 0);
+    near(conv.totalCost, 0.0111);
+    assert.ok(toolCost <= conv.totalCost);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('results never cost more than the uncached input of the response reading them', async () => {
+  const root = makeTempDir();
+  try {
+    const records = toolSession();
+    records[3].message.usage = { input_tokens: 100, output_tokens: 0 };
+    const conv = await parse(root, records);
+
+    // 100 tokens at $3/M, split 10:1 between the two results
+    near(conv.tools.Read.resultCost + conv.tools.Bash.resultCost, 0.0003);
+    near(conv.tools.Read.resultCost / conv.tools.Bash.resultCost, 10);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('removeTurns takes a removed response out of the tool stats', async () => {
+  const root = makeTempDir();
+  try {
+    const conv = await parse(root, toolSession());
+    const callTurn = conv.turns[0];
+    const left = removeTurns(conv, turn => turn === callTurn);
+
+    assert.strictEqual(left.tools.Read.callCount, 0);
+    near(left.tools.Read.turnCost, 0);
+    near(left.tools.Read.resultCost, 0.003);
+    assert.strictEqual(left.tools.Read.resultTokens, 1000);
+    // The parsed conversation is shared with the parse cache and stays as it was
+    assert.strictEqual(conv.tools.Read.callCount, 1);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('aggregateToolCosts adds up tools across conversations, most expensive first', async () => {
+  const root = makeTempDir();
+  try {
+    const first = await parse(root, toolSession());
+    const second = await parse(
+      root,
+      toolSession().map(record => ({ ...record, sessionId: 'S2' }))
+    );
+    const rows = aggregateToolCosts([first, second, { tools: {} }]);
+
+    assert.deepStrictEqual(
+      rows.map(row => row.tool),
+      ['Read', 'Bash']
+    );
+    assert.strictEqual(rows[0].conversationCount, 2);
+    assert.strictEqual(rows[0].callCount, 2);
+    assert.strictEqual(rows[1].errorCount, 2);
+    near(rows[0].totalCost, 0.0105);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
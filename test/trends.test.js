@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('assert');
+const { setTimeZone } = require('../lib/timezone');
+const { comparePeriods } = require('../lib/trends');
+
+setTimeZone('UTC');
+
+// Daily aggregation (see aggregateDailyCosts) with one conversation a day
+function buildDaily(costs) {
+  return Object.entries(costs).map(([date, totalCost]) => ({
+    date,
+    totalCost,
+    conversations: [{ conversationId: date, projectName: 'app' }],
+    conversationCosts: { [date]: { totalCost, messageCount: 1, models: {} } }
+  }));
+}
+
+test('comparePeriods ends a period still under way at today', () => {
+  const now = Date.parse('2025-06-10T12:00:00Z');
+  const daily = buildDaily({ '2025-05-01': 31, '2025-06-01': 5, '2025-06-10': 5 });
+  const comparison = comparePeriods(
+    daily,
+    { from: '2025-05-01', to: '2025-05-31' },
+    { from: '2025-06-01', to: '2025-06-30' },
+    null,
+    now
+  );
+
+  assert.strictEqual(comparison.base.dayCount, 31);
+  assert.strictEqual(comparison.base.dailyAverage, 1);
+  assert.strictEqual(comparison.current.to, '2025-06-10');
+  assert.strictEqual(comparison.current.dayCount, 10);
+  assert.strictEqual(comparison.current.dailyAverage, 1);
+  assert.strictEqual(comparison.dailyAverage.percent, 0);
+});
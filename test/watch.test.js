@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { watchTree, startWatch } = require('../lib/watch');
+const { assistantRecord, buildSession, makeTempDir, writeLog } = require('./helpers');
+
+test('watchTree sync reports added, changed and removed logs only', () => {
+  const root = makeTempDir();
+  const session = buildSession({
+    sessionId: 'S1',
+    cwd: '/app',
+    start: '2025-06-02T10:00:00Z',
+    turns: 1
+  });
+  writeLog(path.join(root, '-app', 'S1.jsonl'), session);
+  const tree = watchTree(root, () => {});
+  try {
+    assert.strictEqual(tree.sync(), false);
+
+    fs.appendFileSync(path.join(root, '-app', 'S1.jsonl'), JSON.stringify(session[0]) + '\n');
+    assert.strictEqual(tree.sync(), true);
+    assert.strictEqual(tree.sync(), false);
+
+    writeLog(path.join(root, '-other', 'S2.jsonl'), session);
+    assert.strictEqual(tree.sync(), true);
+
+    fs.rmSync(path.join(root, '-app', 'S1.jsonl'));
+    assert.strictEqual(tree.sync(), true);
+    assert.strictEqual(tree.sync(), false);
+  } finally {
+    tree.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('startWatch prices a line whose character was split between reads', async () => {
+  const root = makeTempDir();
+  const filePath = path.join(root, '-app', 'S1.jsonl');
+  const record = assistantRecord({
+    sessionId: 'S1',
+    cwd: '/app',
+    timestamp: new Date().toISOString()
+  });
+  record.message.content[0].text = 'Café ☕';
+  const line = Buffer.from(JSON.stringify(record) + '\n');
+  const split = line.indexOf(Buffer.from('☕')) + 1;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, line.subarray(0, split));
+
+  let written = '';
+  const output = { isTTY: false, write: text => (written += text) };
+  const watch = startWatch({ dir: root, output });
+  try {
+    fs.appendFileSync(filePath, line.subarray(split));
+    const deadline = Date.now() + 8000;
+    while (!written.includes('today $0.0018') && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    assert.ok(written.includes('today $0.0018'), written);
+  } finally {
+    watch.stop();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});